@@ -39,20 +39,14 @@
 
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
-const nodemailer = require("nodemailer");
 const User = require("../models/User"); 
+const { sendMail, appUrl } = require("../mail");
+const { revokeUserSessions } = require("../utils/authTokens");
 require("dotenv").config();
 
 const SECRET_KEY = process.env.JWT_SECRET;
-
-// Nodemailer setup
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
+// How long a password reset link works
+const RESET_TOKEN_MINUTES = 15;
 
 // 📌 **Forgot Password Controller**
 // const forgotPassword = async (req, res) => {
@@ -115,18 +109,16 @@ const forgotPassword = async (req, res) => {
   
       if (!user) return res.status(404).json({ message: "User not found." });
   
-      const token = jwt.sign({ email: user.email }, SECRET_KEY, { expiresIn: "15m" });
+      const token = jwt.sign({ email: user.email }, SECRET_KEY, { expiresIn: `${RESET_TOKEN_MINUTES}m` });
   
       user.resetToken = token;
-      user.resetTokenExpires = Date.now() + 15 * 60 * 1000; // 15 minutes expiry
+      user.resetTokenExpires = Date.now() + RESET_TOKEN_MINUTES * 60 * 1000;
       await user.save();
   
-      const resetLink = `http://localhost:5173/reset-password?token=${token}`;
-      await transporter.sendMail({
-        from: process.env.EMAIL_USER,
-        to: user.email,
-        subject: "Reset Your Password",
-        text: `Click the link to reset your password: ${resetLink}`,
+      await sendMail("passwordReset", user.email, {
+        name: user.fullName,
+        resetUrl: appUrl(`/reset-password?token=${encodeURIComponent(token)}`),
+        expiresInMinutes: RESET_TOKEN_MINUTES,
       });
   
       res.json({ message: "Password reset link sent to your email." });
@@ -150,6 +142,9 @@ const forgotPassword = async (req, res) => {
       user.resetToken = null;
       user.resetTokenExpires = null;
       await user.save();
+
+      // Whoever knew the old password may still be logged in; end every session
+      await revokeUserSessions(user._id, "password_reset");
   
       res.json({ message: "Password reset successful!" });
     } catch (error) {
@@ -0,0 +1,108 @@
+/* eslint-env node */
+const Project = require('../models/Project');
+
+/**
+ * Live events for connected clients.
+ *
+ * Each open GET /api/events stream registers a client
+ * { userId, role, jti, send, close }.
+ * publish() hands an event to the clients of the given users and roles, so a
+ * user's other tabs and the other users of a shared task see a change as it
+ * happens. Events only reach clients connected to this server process.
+ *
+ * Events:
+ *   task.created, task.updated, task.deleted - { taskId, change, by }; change
+ *                                             is the task history event type,
+ *                                             or comment_added, comment_edited,
+ *                                             comment_deleted, attachment_added,
+ *                                             attachment_deleted,
+ *                                             subtasks_reordered, label_removed
+ *                                             or project_removed
+ *   notification.created                    - the new notification
+ *   user_log.changed                        - { logId, action, status } (admins);
+ *                                             action "deleted" when logs are deleted
+ */
+const clients = new Set();
+
+/**
+ * Register a connected client
+ * @param {{ userId: string, role: string, jti: string, send: Function, close: Function }} client -
+ *   send(type, data) writes one event; close() ends the stream
+ * @returns {Function} Call to unregister the client
+ */
+const addClient = (client) => {
+  clients.add(client);
+  return () => clients.delete(client);
+};
+
+/**
+ * Send an event to the clients of some users and roles
+ * @param {string} type - Event type, e.g. "task.updated"
+ * @param {Object} data - Event payload
+ * @param {Object} audience - Who receives it
+ * @param {Array<string|ObjectId>} [audience.userIds] - Users to send to
+ * @param {Array<string>} [audience.roles] - Roles to send to, e.g. ["admin"]
+ */
+const publish = (type, data, { userIds = [], roles = [] }) => {
+  const users = new Set(userIds.map(String));
+
+  clients.forEach(client => {
+    if (users.has(client.userId) || roles.includes(client.role)) {
+      try {
+        client.send(type, data);
+      } catch (error) {
+        console.error('Publish event error:', error);
+      }
+    }
+  });
+};
+
+/**
+ * Close the streams of a session, e.g. once it was revoked
+ * @param {string} jti - Session ID
+ */
+const disconnectSession = (jti) => {
+  clients.forEach(client => {
+    if (client.jti === jti) client.close();
+  });
+};
+
+// Event types for the types of task history events
+const TASK_EVENT_TYPES = {
+  created: 'task.created',
+  restored: 'task.created',
+  deleted: 'task.deleted'
+};
+
+/**
+ * Tell the creator, the assignees, the people in the task's project and
+ * admins that a task changed
+ * @param {Document} task - Task after the change
+ * @param {string} change - Task history event type, e.g. status_changed, or
+ *   another change such as comment_added
+ * @param {string} userId - User who made the change
+ * @param {Object} [project] - The task's project when already loaded, e.g.
+ *   one being deleted; otherwise looked up from task.projectId
+ */
+const publishTaskChange = (task, change, userId, project) => {
+  const send = (projectPeople = []) => publish(TASK_EVENT_TYPES[change] || 'task.updated', {
+    taskId: String(task._id),
+    change,
+    by: String(userId)
+  }, {
+    userIds: [task.userId, ...(task.assignees || []), ...projectPeople],
+    roles: ['admin']
+  });
+  const peopleOf = found => (found ? [found.ownerId, ...(found.members || [])] : []);
+
+  if (project || !task.projectId) return send(peopleOf(project));
+
+  Project.findById(task.projectId, 'ownerId members').lean()
+    .then(found => send(peopleOf(found)))
+    .catch(error => {
+      console.error('Publish task change error:', error);
+      send();
+    });
+};
+
+module.exports = { addClient, publish, publishTaskChange, disconnectSession };
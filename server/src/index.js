@@ -3,11 +3,23 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const User = require("./models/User");
+const Task = require('./models/Task');
 const bodyParser = require("body-parser");
 const authRoutes = require('./routes/authRoutes');
 const forgotPassRoutes = require("./routes/forgetPasswordRoute");
 const taskRoutes = require('./routes/taskRoutes');
 const userLogRoutes = require('./routes/userLogRoutes');
+const labelRoutes = require('./routes/labelRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const adminTaskRoutes = require('./routes/adminTaskRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const viewRoutes = require('./routes/viewRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const digestRoutes = require('./routes/digestRoutes');
+const { startTrashPurge } = require('./jobs/purgeTrash');
+const { startDueReminders } = require('./jobs/dueReminders');
+const { startDigests } = require('./jobs/digests');
 
 const app = express();
 app.use(express.json());
@@ -18,7 +30,15 @@ app.use(bodyParser.json());
 app.use('/api/auth', authRoutes);
 app.use("/api", forgotPassRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/labels', labelRoutes);
+app.use('/api/projects', projectRoutes);
 app.use('/api/admin/user-logs', userLogRoutes);
+app.use('/api/admin/tasks', adminTaskRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/digest', digestRoutes);
 const PORT = process.env.PORT || 5050;
 
 const mongoURI = process.env.MONGO_URI;
@@ -30,7 +50,15 @@ app.listen(PORT,()=>{
     console.log(`Server started on port ${PORT}`);
 })
 mongoose.connect(mongoURI)
-    .then(() => console.log(" Connected to MongoDB!"))
+    .then(() => {
+        console.log(" Connected to MongoDB!");
+        Task.migrateTextIndex()
+            .then(replaced => replaced && console.log(" Replaced the old task text index"))
+            .catch(err => console.error(" Task text index migration failed:", err));
+        startTrashPurge();
+        startDueReminders();
+        startDigests();
+    })
     .catch(err => console.error(" Database connection failed:", err));
 
 app.get("/",(req,res)=>{
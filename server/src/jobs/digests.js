@@ -0,0 +1,178 @@
+/* eslint-env node */
+const crypto = require('crypto');
+const Task = require('../models/Task');
+const TaskEvent = require('../models/TaskEvent');
+const User = require('../models/User');
+const { sendMail, appUrl } = require('../mail');
+const { dueDateFilter, localDay } = require('../utils/dueDates');
+
+// How often users are checked for a digest that is due
+const DIGEST_INTERVAL_MINUTES = Number(process.env.DIGEST_INTERVAL_MINUTES) || 15;
+// Tasks listed per section; the rest are only counted
+const MAX_SECTION_TASKS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Secret for the unsubscribe link of a user's digest emails
+ * @returns {string} Token
+ */
+const createUnsubscribeToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Local hour and weekday of an instant in a time zone
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{ day: Date, hour: number, weekday: number }} Day as midnight UTC, hour 0-23, weekday 0 = Sunday
+ */
+const localTime = (instant, timeZone) => {
+  const day = localDay(instant, timeZone);
+  const hour = Number(new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(instant));
+  return { day, hour, weekday: day.getUTCDay() };
+};
+
+/**
+ * Whether a user's digest should go out now: at or after their hour on a
+ * day (for weekly digests, their weekday) it was not sent yet
+ * @param {Object} digest - User's digest preferences
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether it is due
+ */
+const isDigestDue = (digest, now) => {
+  if (digest.frequency === 'off') return false;
+
+  const { day, hour, weekday } = localTime(now, digest.timeZone);
+  if (hour < digest.hour) return false;
+  if (digest.frequency === 'weekly' && weekday !== digest.weekday) return false;
+  return !digest.lastSentDay || digest.lastSentDay.getTime() < day.getTime();
+};
+
+/**
+ * Up to MAX_SECTION_TASKS matching tasks, soonest due first, and how many
+ * more there are
+ * @param {Object} filter - Task filter
+ * @returns {Promise<{ tasks: Array, more: number }>} Listed tasks and the count left out
+ */
+const findSectionTasks = async (filter) => {
+  const [tasks, total] = await Promise.all([
+    Task.find(filter, 'title dueDate').sort({ dueDate: 1, _id: 1 }).limit(MAX_SECTION_TASKS).lean(),
+    Task.countDocuments(filter)
+  ]);
+  return { tasks, more: total - tasks.length };
+};
+
+/**
+ * Tasks of a user completed since a time, according to their history, so
+ * later edits of a task completed earlier do not count
+ * @param {Object} access - Task.accessFilter of the user
+ * @param {Date} since - Start of the period
+ * @returns {Promise<{ tasks: Array, more: number }>} Listed tasks and the count left out
+ */
+const findCompletedTasks = async (access, since) => {
+  const candidates = await Task.distinct('_id', { ...access, status: 'complete', updatedAt: { $gte: since } });
+  const completedIds = candidates.length === 0 ? [] : await TaskEvent.distinct('taskId', {
+    taskId: { $in: candidates },
+    createdAt: { $gte: since },
+    changes: { $elemMatch: { field: 'status', to: 'complete' } }
+  });
+  return findSectionTasks({ _id: { $in: completedIds }, status: 'complete' });
+};
+
+/**
+ * Sections of a user's digest: overdue, due today, due later this week
+ * and completed since the previous digest period
+ * @param {Document} user - User with digest preferences
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<{ heading: string, tasks: Array, more: number }>>} Sections
+ */
+const buildDigestSections = async (user, now) => {
+  const { timeZone, frequency } = user.digest;
+  const access = Task.accessFilter(user._id);
+  const open = { ...access, status: { $ne: 'complete' } };
+  const today = localDay(now, timeZone);
+  const tomorrow = new Date(today.getTime() + DAY_MS);
+  const weekEnd = dueDateFilter({ due: 'thisWeek', timeZone }, now).value.dueDate.$lt;
+  const since = new Date(now.getTime() - (frequency === 'weekly' ? 7 : 1) * DAY_MS);
+
+  const [overdue, dueToday, dueThisWeek, completed] = await Promise.all([
+    findSectionTasks({ ...open, dueDate: { $lt: today } }),
+    findSectionTasks({ ...open, dueDate: { $gte: today, $lt: tomorrow } }),
+    findSectionTasks({ ...open, dueDate: { $gte: tomorrow, $lt: weekEnd } }),
+    findCompletedTasks(access, since)
+  ]);
+
+  return [
+    { heading: 'Overdue', ...overdue },
+    { heading: 'Due today', ...dueToday },
+    { heading: 'Due later this week', ...dueThisWeek },
+    { heading: frequency === 'weekly' ? 'Completed this past week' : 'Completed since yesterday', ...completed }
+  ];
+};
+
+/**
+ * Email the digest to every user whose digest is due. A digest with no
+ * tasks at all is skipped but still counts as sent for the day. A failure
+ * for one user is logged and does not stop the others.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of digests sent
+ */
+const sendDigests = async (now = new Date()) => {
+  const users = await User.find(
+    { 'digest.frequency': { $in: ['daily', 'weekly'] } },
+    'fullName email digest +digestUnsubscribeToken'
+  );
+
+  let sent = 0;
+  for (const user of users) {
+    if (!isDigestDue(user.digest, now)) continue;
+
+    try {
+      const update = { 'digest.lastSentDay': localDay(now, user.digest.timeZone) };
+      const sections = await buildDigestSections(user, now);
+
+      if (sections.some(section => section.tasks.length > 0)) {
+        const token = user.digestUnsubscribeToken || createUnsubscribeToken();
+        if (!user.digestUnsubscribeToken) update.digestUnsubscribeToken = token;
+
+        await sendMail('digest', user.email, {
+          name: user.fullName,
+          period: user.digest.frequency,
+          sections,
+          url: appUrl('/user/userpage'),
+          unsubscribeUrl: appUrl(`/unsubscribe?token=${token}`)
+        });
+        sent++;
+      }
+
+      await User.updateOne({ _id: user._id }, { $set: update });
+    } catch (error) {
+      console.error(`Digest error for user ${user._id}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Check for due digests now and then on a fixed interval. A run is skipped
+ * while the previous one is still going.
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startDigests = () => {
+  let running = false;
+
+  const runAndLog = () => {
+    if (running) return;
+    running = true;
+    sendDigests()
+      .then(count => count > 0 && console.log(`Sent ${count} task digest(s)`))
+      .catch(error => console.error('Task digests error:', error))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  runAndLog();
+  return setInterval(runAndLog, DIGEST_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = { createUnsubscribeToken, isDigestDue, buildDigestSections, sendDigests, startDigests };
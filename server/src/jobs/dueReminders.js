@@ -0,0 +1,126 @@
+/* eslint-env node */
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { notify, dispatchPending } = require('../notifications');
+const { dayEnd } = require('../utils/dueDates');
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+const UNIT_NAMES = { m: 'minute', h: 'hour', d: 'day' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse reminder offsets such as "1d,1h" (also m for minutes)
+ * @param {string} value - Comma-separated offsets
+ * @returns {Array<{ minutes: number, label: string }>} Valid offsets, shortest first
+ */
+const parseReminderOffsets = (value) => {
+  const offsets = new Map();
+
+  value.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const match = /^(\d+)([mhd])$/.exec(part);
+    if (!match || Number(match[1]) === 0) {
+      console.warn(`Ignoring invalid reminder offset "${part}"`);
+      return;
+    }
+
+    const count = Number(match[1]);
+    const label = `${count} ${UNIT_NAMES[match[2]]}${count === 1 ? '' : 's'}`;
+    const minutes = count * UNIT_MINUTES[match[2]];
+    if (!offsets.has(minutes)) offsets.set(minutes, label);
+  });
+
+  return [...offsets.entries()]
+    .map(([minutes, label]) => ({ minutes, label }))
+    .sort((a, b) => a.minutes - b.minutes);
+};
+
+// How long before a task is due its assignees and creator are reminded
+const REMINDER_OFFSETS = parseReminderOffsets(process.env.REMINDER_OFFSETS || '1d,1h');
+// How often due dates are checked
+const REMINDER_INTERVAL_MINUTES = Number(process.env.REMINDER_INTERVAL_MINUTES) || 5;
+
+/**
+ * Remind the creator and assignees of incomplete tasks that are due within
+ * one of the reminder offsets. Due dates are whole days, so a task is due
+ * until its day ends in the recipient's time zone (the digest time zone,
+ * UTC by default), and offsets count back from then. Each task gets the
+ * reminder of the shortest offset it is within, so a task created an hour
+ * before it is due is not also reminded of as due in a day. Reminders are
+ * keyed on the task, its due date and the offset, so a restart or a second
+ * run never repeats them, and moving the due date reminds again.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendDueReminders = async (now = new Date()) => {
+  if (REMINDER_OFFSETS.length === 0) return 0;
+
+  const longest = REMINDER_OFFSETS[REMINDER_OFFSETS.length - 1].minutes;
+  // A due day ends between UTC-12 and UTC+14, so look a day or two either side
+  const tasks = await Task.find({
+    status: { $ne: 'complete' },
+    dueDate: {
+      $gt: new Date(now.getTime() - 2 * DAY_MS),
+      $lte: new Date(now.getTime() + longest * 60 * 1000)
+    }
+  }, 'title dueDate userId assignees');
+
+  const recipientIds = [...new Set(tasks.flatMap(task => [task.userId, ...task.assignees].map(String)))];
+  const users = await User.find({ _id: { $in: recipientIds } }, 'digest.timeZone');
+  const timeZones = new Map(users.map(user => [String(user._id), user.digest?.timeZone || 'UTC']));
+
+  let sent = 0;
+  for (const task of tasks) {
+    const recipients = [...new Set([task.userId, ...task.assignees].map(String))];
+
+    for (const userId of recipients) {
+      const dueBy = dayEnd(task.dueDate, timeZones.get(userId) || 'UTC');
+      const minutesLeft = (dueBy.getTime() - now.getTime()) / (60 * 1000);
+      const offset = minutesLeft > 0 && REMINDER_OFFSETS.find(({ minutes }) => minutes >= minutesLeft);
+      if (!offset) continue;
+
+      const notification = await notify({
+        userId,
+        type: 'due_reminder',
+        title: `Task due in ${offset.label}`,
+        message: task.title,
+        taskId: task._id,
+        key: `due_reminder:${task._id}:${task.dueDate.toISOString()}:${offset.minutes}`
+      });
+      if (notification) sent++;
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Check for due reminders now and then on a fixed interval. Each run first
+ * dispatches notifications stored at least one interval ago that were never
+ * delivered, e.g. because the server stopped in between. A run is skipped
+ * while the previous one is still going.
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startDueReminders = () => {
+  let running = false;
+
+  const run = async () => {
+    const startedAt = new Date();
+    await dispatchPending(new Date(startedAt.getTime() - REMINDER_INTERVAL_MINUTES * 60 * 1000));
+    return sendDueReminders(startedAt);
+  };
+  const runAndLog = () => {
+    if (running) return;
+    running = true;
+    run()
+      .then(count => count > 0 && console.log(`Sent ${count} due date reminder(s)`))
+      .catch(error => console.error('Due reminders error:', error))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  runAndLog();
+  return setInterval(runAndLog, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = { REMINDER_OFFSETS, parseReminderOffsets, sendDueReminders, startDueReminders };
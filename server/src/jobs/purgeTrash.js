@@ -0,0 +1,47 @@
+/* eslint-env node */
+const Task = require('../models/Task');
+const { removeTaskData } = require('../utils/taskCleanup');
+
+// Days a task stays in the trash before it is removed for good
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+// How often the trash is checked for expired tasks
+const PURGE_INTERVAL_MINUTES = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+/**
+ * Date on which a trashed task will be purged
+ * @param {Date} deletedAt - When the task was moved to the trash
+ * @returns {Date} Purge date
+ */
+const purgeDateFor = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Permanently remove the tasks that have been in the trash longer than
+ * the retention period, with their comments and attachment files
+ * @returns {Promise<number>} Number of tasks removed
+ */
+const purgeTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  for (const task of expired) {
+    await Task.deleteOne({ _id: task._id });
+    await removeTaskData(task);
+  }
+
+  return expired.length;
+};
+
+/**
+ * Run the purge now and then on a fixed interval
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startTrashPurge = () => {
+  const run = () => purgeTrash()
+    .then(count => count > 0 && console.log(`Purged ${count} task(s) from the trash`))
+    .catch(error => console.error('Purge trash error:', error));
+
+  run();
+  return setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = { TRASH_RETENTION_DAYS, purgeDateFor, purgeTrash, startTrashPurge };
@@ -0,0 +1,28 @@
+/* eslint-env node */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Mail transport that writes each message as a JSON file under `dir`
+ * instead of sending it, for local development. File names start with the
+ * send time so they list in order.
+ */
+const createFileTransport = ({ dir }) => {
+  const outDir = path.resolve(dir);
+
+  const send = async (message) => {
+    const sentAt = new Date();
+    const fileName = `${sentAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID()}.json`;
+
+    await fs.promises.mkdir(outDir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(outDir, fileName),
+      JSON.stringify({ ...message, sentAt }, null, 2)
+    );
+  };
+
+  return { send };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,89 @@
+/* eslint-env node */
+const path = require('path');
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createMemoryTransport = require('./memoryTransport');
+const templates = require('./templates');
+require('dotenv').config();
+
+/**
+ * Outgoing email.
+ *
+ * A mail transport is an object with:
+ *   send({ from, to, subject, text, html }) -> Promise<void>
+ *
+ * The transport is chosen with MAIL_TRANSPORT: "smtp", "file" (JSON files
+ * in MAIL_DIR, for development) or "memory" (kept in the transport's
+ * `messages`, for tests). It defaults to "smtp" when SMTP_HOST or
+ * EMAIL_USER is set and to "file" otherwise. Without SMTP_HOST, smtp uses
+ * SMTP_SERVICE, or Gmail like earlier versions that only read EMAIL_USER
+ * and EMAIL_PASS. Other transports can be added with registerMailTransport
+ * before first use.
+ *
+ * Links in emails point at APP_URL, the address of the web app.
+ */
+const transportFactories = {
+  smtp: () => createSmtpTransport({
+    service: process.env.SMTP_SERVICE || (process.env.SMTP_HOST ? undefined : 'gmail'),
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  }),
+  file: () => createFileTransport({
+    dir: process.env.MAIL_DIR || path.join(__dirname, '../../mail-outbox')
+  }),
+  memory: () => createMemoryTransport()
+};
+
+let transport = null;
+
+// Register a factory for an additional mail transport
+const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// Get the configured mail transport (created once)
+const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.SMTP_HOST || process.env.EMAIL_USER ? 'smtp' : 'file');
+    if (!transportFactories[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = transportFactories[name]();
+  }
+  return transport;
+};
+
+/**
+ * Absolute URL of a page of the web app
+ * @param {string} pathname - Path starting with "/", may include a query string
+ * @returns {string} URL
+ */
+const appUrl = (pathname) => `${(process.env.APP_URL || 'http://localhost:5173').replace(/\/+$/, '')}${pathname}`;
+
+/**
+ * Render a template and send it
+ * @param {string} template - passwordReset, welcome, reminder or digest
+ * @param {string} to - Recipient address
+ * @param {Object} data - Template data
+ * @returns {Promise<void>}
+ */
+const sendMail = async (template, to, data) => {
+  if (!templates[template]) {
+    throw new Error(`Unknown mail template "${template}"`);
+  }
+
+  const { subject, text, html } = templates[template](data);
+  await getMailTransport().send({
+    from: process.env.MAIL_FROM || process.env.EMAIL_USER || 'TaskFlow <no-reply@taskflow.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { sendMail, appUrl, getMailTransport, registerMailTransport };
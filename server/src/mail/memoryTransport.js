@@ -0,0 +1,21 @@
+/* eslint-env node */
+
+/**
+ * Mail transport that keeps sent messages in memory, for tests. Read them
+ * from `messages` and empty it with clear().
+ */
+const createMemoryTransport = () => {
+  const messages = [];
+
+  const send = async (message) => {
+    messages.push({ ...message, sentAt: new Date() });
+  };
+
+  const clear = () => {
+    messages.length = 0;
+  };
+
+  return { send, messages, clear };
+};
+
+module.exports = createMemoryTransport;
@@ -0,0 +1,21 @@
+/* eslint-env node */
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport that sends through an SMTP server. Either a nodemailer
+ * well-known `service` (e.g. "gmail") or a host and port.
+ */
+const createSmtpTransport = ({ service, host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    ...(service ? { service } : { host, port, secure }),
+    ...(user && { auth: { user, pass } })
+  });
+
+  const send = async (message) => {
+    await transporter.sendMail(message);
+  };
+
+  return { send };
+};
+
+module.exports = createSmtpTransport;
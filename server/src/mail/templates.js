@@ -0,0 +1,145 @@
+/* eslint-env node */
+
+/**
+ * Email templates. Each one takes its data and returns
+ * { subject, text, html }; the HTML version shares one simple layout.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Due dates are calendar days stored as midnight UTC
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const greeting = (name) => (name ? `Hi ${name},` : 'Hi,');
+
+const button = (url, label) =>
+  `<p style="margin:24px 0"><a href="${escapeHtml(url)}" style="background:#2563eb;color:#ffffff;padding:10px 18px;border-radius:6px;text-decoration:none;display:inline-block">${escapeHtml(label)}</a></p>`;
+
+const layout = (title, body, footer = '') => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#1f2937">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px">
+<h1 style="font-size:20px;margin:0 0 16px">${escapeHtml(title)}</h1>
+${body}
+</div>
+<p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#6b7280">TaskFlow${footer}</p>
+</body>
+</html>`;
+
+/**
+ * Password reset link
+ * @param {Object} data
+ * @param {string} data.name - User's name
+ * @param {string} data.resetUrl - Reset page URL with the token
+ * @param {number} data.expiresInMinutes - How long the link works
+ */
+const passwordReset = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your TaskFlow password',
+  text: [
+    greeting(name),
+    '',
+    'Someone asked to reset the password of your TaskFlow account. Open this link to choose a new one:',
+    resetUrl,
+    '',
+    `The link expires in ${expiresInMinutes} minutes. If you did not ask for it, ignore this email.`
+  ].join('\n'),
+  html: layout('Reset your password', `
+<p>${escapeHtml(greeting(name))}</p>
+<p>Someone asked to reset the password of your TaskFlow account.</p>
+${button(resetUrl, 'Choose a new password')}
+<p>The link expires in ${escapeHtml(expiresInMinutes)} minutes. If you did not ask for it, ignore this email.</p>`)
+});
+
+/**
+ * Welcome after signing up
+ * @param {Object} data
+ * @param {string} data.name - User's name
+ * @param {string} data.url - Where to sign in
+ */
+const welcome = ({ name, url }) => ({
+  subject: 'Welcome to TaskFlow',
+  text: [
+    greeting(name),
+    '',
+    'Your TaskFlow account is ready. Sign in to start organizing your tasks:',
+    url
+  ].join('\n'),
+  html: layout('Welcome to TaskFlow', `
+<p>${escapeHtml(greeting(name))}</p>
+<p>Your TaskFlow account is ready.</p>
+${button(url, 'Open TaskFlow')}`)
+});
+
+/**
+ * A notification such as a due date reminder
+ * @param {Object} data
+ * @param {string} data.name - User's name
+ * @param {string} data.title - Notification title, e.g. "Task due in 1 hour"
+ * @param {string} [data.message] - Notification message, e.g. the task title
+ * @param {string} data.url - Where to see it
+ */
+const reminder = ({ name, title, message, url }) => ({
+  subject: message ? `${title}: ${message}` : title,
+  text: [
+    greeting(name),
+    '',
+    title,
+    ...(message ? [message] : []),
+    '',
+    `See it in TaskFlow: ${url}`
+  ].join('\n'),
+  html: layout(title, `
+<p>${escapeHtml(greeting(name))}</p>
+${message ? `<p style="font-size:16px"><strong>${escapeHtml(message)}</strong></p>` : ''}
+${button(url, 'Open TaskFlow')}`)
+});
+
+/**
+ * Summary of the user's tasks
+ * @param {Object} data
+ * @param {string} data.name - User's name
+ * @param {string} data.period - "daily" or "weekly"
+ * @param {Array<{ heading: string, tasks: Array<{ title: string, dueDate?: Date }>, more?: number }>} data.sections - Task groups, with the number of tasks left out of the list; empty ones are left out
+ * @param {string} data.url - Where to see the tasks
+ * @param {string} data.unsubscribeUrl - Link that turns the digest off
+ */
+const digest = ({ name, period, sections, url, unsubscribeUrl }) => {
+  const title = period === 'weekly' ? 'Your weekly TaskFlow digest' : 'Your daily TaskFlow digest';
+  const filled = sections.filter(section => section.tasks.length > 0);
+  const due = (task) => (task.dueDate ? ` (due ${formatDay(task.dueDate)})` : '');
+  const count = (section) => section.tasks.length + (section.more || 0);
+  const moreLine = (section) => (section.more > 0 ? `and ${section.more} more` : null);
+
+  return {
+    subject: title,
+    text: [
+      greeting(name),
+      '',
+      ...(filled.length === 0 ? ['Nothing to report. Enjoy your day!', ''] : filled.flatMap(section => [
+        `${section.heading} (${count(section)})`,
+        ...section.tasks.map(task => `- ${task.title}${due(task)}`),
+        ...(moreLine(section) ? [`  ${moreLine(section)}`] : []),
+        ''
+      ])),
+      `See your tasks: ${url}`,
+      '',
+      `Stop these emails: ${unsubscribeUrl}`
+    ].join('\n'),
+    html: layout(title, `
+<p>${escapeHtml(greeting(name))}</p>
+${filled.length === 0 ? '<p>Nothing to report. Enjoy your day!</p>' : filled.map(section => `
+<h2 style="font-size:16px;margin:20px 0 8px">${escapeHtml(section.heading)} (${count(section)})</h2>
+<ul style="padding-left:20px;margin:0">
+${section.tasks.map(task => `<li>${escapeHtml(task.title)}${escapeHtml(due(task))}</li>`).join('\n')}
+</ul>${moreLine(section) ? `\n<p style="margin:4px 0 0;color:#6b7280">${moreLine(section)}</p>` : ''}`).join('\n')}
+${button(url, 'Open TaskFlow')}`, ` · <a href="${escapeHtml(unsubscribeUrl)}" style="color:#6b7280">Unsubscribe</a>`)
+  };
+};
+
+module.exports = { passwordReset, welcome, reminder, digest };
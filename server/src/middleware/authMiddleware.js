@@ -1,8 +1,9 @@
 const jwt = require('jsonwebtoken');
+const { isSessionRevoked } = require('../utils/authTokens');
 require('dotenv').config();
 
 // General Authentication Middleware
-const protect = (req, res, next) => {
+const protect = async (req, res, next) => {
     const authHeader = req.header("Authorization");
     
     if (!authHeader) {
@@ -18,14 +19,26 @@ const protect = (req, res, next) => {
         return res.status(401).json({ message: "Invalid token format" });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
         console.error('Token verification error:', error);
         return res.status(401).json({ message: "Invalid or expired token" });
     }
+
+    // Tokens of a session that was logged out or killed stop working at once
+    try {
+        if (decoded.jti && await isSessionRevoked(decoded.jti)) {
+            return res.status(401).json({ message: "Session has been revoked" });
+        }
+    } catch (error) {
+        console.error('Token revocation check error:', error);
+        return res.status(500).json({ message: "Failed to verify token", error: error.message });
+    }
+
+    req.user = decoded;
+    next();
 };
 
 // Admin Authorization Middleware
@@ -0,0 +1,33 @@
+/* eslint-env node */
+const Task = require('../models/Task');
+
+// Load the task in req.params.id into req.task for nested task routes,
+// responding 404 unless the authenticated user created or is assigned to it
+// or belongs to its project
+const loadTask = async (req, res, next) => {
+    try {
+        const task = await Task.findOne({
+            _id: req.params.id,
+            ...(await Task.accessFilterWithProjects(req.user.userId))
+        });
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        req.task = task;
+        next();
+    } catch (error) {
+        console.error('Load task error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve task',
+            error: error.message
+        });
+    }
+};
+
+module.exports = { loadTask };
@@ -0,0 +1,96 @@
+/* eslint-env node */
+const mongoose = require('mongoose');
+const User = require('./User');
+
+// Matches "@someone@example.com" mentions in a comment body
+const MENTION_PATTERN = /(^|\s)@([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+const commentSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null // Top-level comment when null
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+    required: [
+      function() { return !this.deletedAt; },
+      'Comment text is required'
+    ]
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null // Set when a comment with replies is deleted
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+commentSchema.index({ taskId: 1, createdAt: 1 });
+
+// Static method to extract @email mentions from comment text
+commentSchema.statics.extractMentionEmails = function(body) {
+  const emails = new Set();
+  for (const match of (body || '').matchAll(MENTION_PATTERN)) {
+    emails.add(match[2]);
+  }
+  return [...emails];
+};
+
+// Static method to resolve @email mentions against registered users
+commentSchema.statics.resolveMentions = async function(body) {
+  const emails = this.extractMentionEmails(body);
+  if (emails.length === 0) return { userIds: [], unresolved: [] };
+
+  const users = await User.find({ email: { $in: emails } }, '_id email');
+  const found = new Set(users.map(user => user.email));
+
+  return {
+    userIds: users.map(user => user._id),
+    unresolved: emails.filter(email => !found.has(email))
+  };
+};
+
+// Static method to nest a flat, chronologically sorted list into threads
+commentSchema.statics.buildThreads = function(comments) {
+  const byId = new Map();
+  const roots = [];
+
+  comments.forEach(comment => {
+    byId.set(comment._id.toString(), { ...comment, replies: [] });
+  });
+
+  byId.forEach(comment => {
+    const parent = comment.parentId && byId.get(comment.parentId.toString());
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  });
+
+  return roots;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
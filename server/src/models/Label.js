@@ -0,0 +1,30 @@
+/* eslint-env node */
+const mongoose = require('mongoose');
+
+const labelSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true,
+    maxlength: [50, 'Label name cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^#[0-9a-f]{6}$/, 'Color must be a hex value like #3b82f6'],
+    default: '#3b82f6'
+  }
+}, {
+  timestamps: true
+});
+
+// Label names are unique per user
+labelSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Label', labelSchema);
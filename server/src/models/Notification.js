@@ -0,0 +1,62 @@
+/* eslint-env node */
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    enum: ['due_reminder'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    default: '',
+    maxlength: 1000
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Identifies what the notification is about, so the same event never
+  // notifies a user twice, e.g. "due_reminder:<taskId>:<dueDate>:<minutes>"
+  key: {
+    type: String,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted notifications are hidden rather than removed, so their key
+  // still stops the same notification from being sent again
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // When the notification was handed to the delivery channels; null until then
+  dispatchedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index(
+  { userId: 1, key: 1 },
+  { unique: true, partialFilterExpression: { key: { $type: 'string' } } }
+);
+notificationSchema.index({ dispatchedAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
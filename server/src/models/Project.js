@@ -0,0 +1,56 @@
+/* eslint-env node */
+const mongoose = require('mongoose');
+
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^#[0-9a-f]{6}$/, 'Color must be a hex value like #3b82f6'],
+    default: '#6366f1'
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner ID is required']
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ ownerId: 1, archived: 1 });
+projectSchema.index({ members: 1, archived: 1 });
+
+/**
+ * Filter matching the projects a user owns or is a member of
+ * @param {string} userId - User ID
+ * @returns {Object} Mongoose filter
+ */
+projectSchema.statics.accessFilter = function(userId) {
+  return { $or: [{ ownerId: userId }, { members: userId }] };
+};
+
+/**
+ * Whether a user owns the project (only owners edit or delete it)
+ * @param {string} userId - User ID
+ * @returns {boolean} True for the owner
+ */
+projectSchema.methods.isOwner = function(userId) {
+  return this.ownerId.toString() === String(userId);
+};
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,44 @@
+/* eslint-env node */
+const mongoose = require('mongoose');
+
+// Refresh token of a login session. Only a SHA-256 hash of the token is
+// stored. Every refresh replaces the token with a new one in the same
+// family; the family is the session and shares its ID with the `jti` of
+// the session's access tokens.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  familyId: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  // Set when the token was exchanged for a new one; using it again is reuse
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ familyId: 1 });
+// MongoDB removes tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
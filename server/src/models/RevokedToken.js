@@ -0,0 +1,34 @@
+/* eslint-env node */
+const mongoose = require('mongoose');
+
+// A revoked login session. Access tokens carry the session ID as their
+// `jti` claim; protect rejects every token whose session is listed here.
+// An entry is only needed until the session's last access token expires.
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: ['logout', 'password_reset', 'admin', 'user', 'reuse'],
+    required: [true, 'Reason is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+revokedTokenSchema.index({ jti: 1 }, { unique: true });
+// MongoDB removes entries once no token of the session can be valid
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
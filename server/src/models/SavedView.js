@@ -0,0 +1,92 @@
+/* eslint-env node */
+const mongoose = require('mongoose');
+
+// Sorts accepted by GET /api/tasks, ascending or with a leading - for descending
+const VIEW_SORT_PATTERN = /^-?(createdAt|updatedAt|dueDate|priority|title|relevance)$/;
+// Days of a due date range
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The task list filters a view applies; empty values mean "not filtered"
+const viewFiltersSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['mine', 'created', 'assigned'],
+    default: 'mine'
+  },
+  projectId: {
+    type: String,
+    match: [/^([0-9a-f]{24}|none)?$/, 'Project must be a project ID or "none"'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['all', 'complete', 'incomplete'],
+    default: 'all'
+  },
+  priority: {
+    type: String,
+    enum: ['', 'low', 'medium', 'high'],
+    default: ''
+  },
+  search: {
+    type: String,
+    maxlength: [200, 'Search cannot exceed 200 characters'],
+    default: ''
+  },
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Label'
+  }],
+  labelMatch: {
+    type: String,
+    enum: ['any', 'all'],
+    default: 'any'
+  },
+  due: {
+    type: String,
+    enum: ['', 'overdue', 'today', 'thisWeek', 'next7days', 'none'],
+    default: ''
+  },
+  dueAfter: {
+    type: String,
+    match: [DAY_PATTERN, 'dueAfter must be a date like 2025-01-31'],
+    default: ''
+  },
+  dueBefore: {
+    type: String,
+    match: [DAY_PATTERN, 'dueBefore must be a date like 2025-01-31'],
+    default: ''
+  },
+  sort: {
+    type: String,
+    match: [VIEW_SORT_PATTERN, 'Sort must be one of the task list sorts'],
+    default: ''
+  }
+}, {
+  _id: false
+});
+
+const savedViewSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [50, 'View name cannot exceed 50 characters']
+  },
+  filters: {
+    type: viewFiltersSchema,
+    default: () => ({})
+  }
+}, {
+  timestamps: true
+});
+
+// View names are unique per user
+savedViewSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
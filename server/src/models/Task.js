@@ -1,5 +1,108 @@
 /* eslint-env node */
 const mongoose = require('mongoose');
+const User = require('./User');
+const Project = require('./Project');
+const { FREQUENCIES, nextOccurrence } = require('../utils/recurrence');
+const { TODO_COLUMN, DONE_COLUMN } = require('../utils/workflow');
+
+// Checklist item embedded in a task; array order is the display order
+const subtaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Subtask title is required'],
+    trim: true,
+    maxlength: [200, 'Subtask title cannot exceed 200 characters']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Metadata of a file stored through the attachment storage driver
+const attachmentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true // Storage key, never exposed as a file path
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number, // Size in bytes
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// RRULE-style repeat schedule; each occurrence is its own task in the series
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  weekdays: {
+    type: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday, weekly rules only
+    default: []
+  },
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31,
+    default: null // Monthly rules; defaults to the day of the due date
+  },
+  until: {
+    type: Date,
+    default: null
+  },
+  count: {
+    type: Number,
+    min: 1,
+    default: null // Total number of occurrences in the series
+  },
+  occurrence: {
+    type: Number,
+    min: 1,
+    default: 1 // Position of this task in the series
+  },
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // ID of the first task of the series
+  },
+  nextTaskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null // Set once the next occurrence has been spawned
+  }
+}, {
+  _id: false
+});
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -19,6 +122,15 @@ const taskSchema = new mongoose.Schema({
     enum: ['incomplete', 'complete'],
     default: 'incomplete'
   },
+  workflowStatus: {
+    type: String,
+    match: /^[a-z0-9_-]{1,30}$/,
+    default: TODO_COLUMN // Key of the Kanban column the task sits in
+  },
+  rank: {
+    type: Number,
+    default: Date.now // Order within the column, lowest first; new tasks go last
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],
@@ -34,10 +146,44 @@ const taskSchema = new mongoose.Schema({
     max: 100,
     default: 0
   },
+  subtasks: {
+    type: [subtaskSchema],
+    default: []
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Label'
+  }],
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User ID is required']
+    required: [true, 'User ID is required'] // Creator of the task
+  },
+  assignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  deletedAt: {
+    type: Date,
+    default: null // Set while the task is in the trash
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   },
   createdAt: {
     type: Date,
@@ -53,12 +199,256 @@ const taskSchema = new mongoose.Schema({
 
 // Index for better query performance
 taskSchema.index({ userId: 1, status: 1 });
-taskSchema.index({ userId: 1, title: 'text', description: 'text' });
+taskSchema.index({ userId: 1, labels: 1 });
+taskSchema.index({ assignees: 1, status: 1 });
+taskSchema.index({ projectId: 1, status: 1 });
+taskSchema.index({ workflowStatus: 1, rank: 1 });
+taskSchema.index({ userId: 1, deletedAt: 1 });
+// Full-text search; a collection has at most one text index, so the
+// former { userId, title, description } one is dropped at startup by
+// migrateTextIndex before this can be built
+const TEXT_INDEX_NAME = 'task_text_search';
+taskSchema.index(
+  { title: 'text', description: 'text' },
+  { name: TEXT_INDEX_NAME, weights: { title: 3, description: 1 } }
+);
+
+// Trashed tasks are hidden from these queries and from aggregations unless
+// they filter on deletedAt themselves, e.g. { deletedAt: { $ne: null } } for
+// the trash. updateOne, updateMany, deleteOne, deleteMany and bulkWrite are
+// not hooked: their callers decide whether trashed tasks are included.
+const TRASH_AWARE_QUERIES = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'findOneAndDelete'];
+
+taskSchema.pre(TRASH_AWARE_QUERIES, function(next) {
+  if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+taskSchema.pre('aggregate', function(next) {
+  const pipeline = this.pipeline();
+  const [firstStage] = pipeline;
+  if (!firstStage?.$match) {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  } else if (!Object.prototype.hasOwnProperty.call(firstStage.$match, 'deletedAt')) {
+    // Merged into the first stage, where a $text search has to stay
+    pipeline[0] = { $match: { ...firstStage.$match, deletedAt: null } };
+  }
+  next();
+});
+
+/**
+ * Filter matching the tasks a user created or is assigned to and, given
+ * the projects the user belongs to, every task in those projects
+ * @param {string} userId - User ID
+ * @param {Array<ObjectId>} [projectIds] - Projects the user owns or is a member of
+ * @returns {Object} Mongoose filter
+ */
+taskSchema.statics.accessFilter = function(userId, projectIds = []) {
+  const access = [{ userId }, { assignees: userId }];
+  if (projectIds.length > 0) access.push({ projectId: { $in: projectIds } });
+  return { $or: access };
+};
+
+/**
+ * Filter matching the tasks a user may read and update: the ones they
+ * created, the ones assigned to them and those in projects they own or
+ * are a member of
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Mongoose filter
+ */
+taskSchema.statics.accessFilterWithProjects = async function(userId) {
+  const projectIds = await Project.distinct('_id', Project.accessFilter(userId));
+  return this.accessFilter(userId, projectIds);
+};
+
+/**
+ * Check that assignee IDs from a request body are registered users
+ * @param {Array<string>} userIds - User IDs to assign
+ * @returns {Promise<Array<string>|null>} Unique user IDs, or null if any is unknown
+ */
+taskSchema.statics.resolveAssigneeIds = async function(userIds) {
+  if (!Array.isArray(userIds)) return null;
+
+  const uniqueIds = [...new Set(userIds.map(String))];
+  if (!uniqueIds.every(id => mongoose.isValidObjectId(id))) return null;
+
+  const count = await User.countDocuments({ _id: { $in: uniqueIds } });
+  return count === uniqueIds.length ? uniqueIds : null;
+};
 
-// Update the updatedAt field before saving
+/**
+ * Whether a user created the task (only creators manage assignees and delete)
+ * @param {string} userId - User ID
+ * @returns {boolean} True for the creator
+ */
+taskSchema.methods.isCreator = function(userId) {
+  return this.userId.toString() === String(userId);
+};
+
+/**
+ * Set the completion status, checking or clearing every checklist item
+ * so the rolled-up progress agrees with the requested status.
+ * @param {string} status - 'complete' or 'incomplete'
+ */
+taskSchema.methods.applyStatus = function(status) {
+  this.status = status;
+  this.subtasks.forEach(subtask => {
+    subtask.done = status === 'complete';
+    subtask.completedAt = subtask.done ? (subtask.completedAt || new Date()) : null;
+  });
+};
+
+/**
+ * Move the task to a Kanban column. Moving into "done" completes the task
+ * and moving a completed task out of it reopens the task.
+ * @param {string} columnKey - Key of one of the board's columns
+ */
+taskSchema.methods.setWorkflowStatus = function(columnKey) {
+  this.workflowStatus = columnKey;
+
+  if (columnKey === DONE_COLUMN && this.status !== 'complete') {
+    this.applyStatus('complete');
+  } else if (columnKey !== DONE_COLUMN && this.status === 'complete') {
+    this.applyStatus('incomplete');
+  }
+};
+
+/**
+ * Keep the Kanban column in step with a status changed by other means:
+ * completed tasks belong in "done" and reopened tasks go back to "todo".
+ */
+taskSchema.methods.syncWorkflowStatus = function() {
+  if (this.status === 'complete') {
+    this.workflowStatus = DONE_COLUMN;
+  } else if (this.workflowStatus === DONE_COLUMN) {
+    this.workflowStatus = TODO_COLUMN;
+  }
+};
+
+/**
+ * Derive progress and status from the checklist. Tasks without subtasks
+ * keep their manually set progress.
+ */
+taskSchema.methods.rollupSubtasks = function() {
+  if (this.subtasks.length === 0) return;
+
+  const doneCount = this.subtasks.filter(subtask => subtask.done).length;
+  this.progress = Math.round((doneCount / this.subtasks.length) * 100);
+  this.status = doneCount === this.subtasks.length ? 'complete' : 'incomplete';
+};
+
+/**
+ * Create the next occurrence of a completed recurring task. Does nothing
+ * for one-off tasks, tasks that are not complete, series that have ended,
+ * or when the next occurrence already exists. The rule is claimed in the
+ * database first, so concurrent calls create at most one occurrence.
+ * @returns {Promise<Document|null>} The new task, if one was created
+ */
+taskSchema.methods.spawnNextOccurrence = async function() {
+  const rule = this.recurrence;
+  if (!rule || this.status !== 'complete' || rule.nextTaskId) return null;
+
+  const dueDate = nextOccurrence(rule, this.dueDate || new Date());
+  if (!dueDate) return null;
+
+  const nextTaskId = new mongoose.Types.ObjectId();
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'recurrence.nextTaskId': null },
+    { $set: { 'recurrence.nextTaskId': nextTaskId } },
+    { projection: '_id' }
+  );
+  if (!claimed) return null;
+
+  const next = new this.constructor({
+    _id: nextTaskId,
+    title: this.title,
+    description: this.description,
+    priority: this.priority,
+    dueDate,
+    subtasks: this.subtasks.map(subtask => ({ title: subtask.title })),
+    labels: this.labels,
+    projectId: this.projectId,
+    userId: this.userId,
+    assignees: this.assignees,
+    recurrence: {
+      ...rule.toObject(),
+      occurrence: (rule.occurrence || 1) + 1,
+      seriesId: rule.seriesId || this._id,
+      nextTaskId: null
+    }
+  });
+  try {
+    await next.save();
+  } catch (error) {
+    // Release the claim so a later completion can try again
+    await this.constructor.updateOne(
+      { _id: this._id, 'recurrence.nextTaskId': nextTaskId },
+      { $set: { 'recurrence.nextTaskId': null } }
+    );
+    throw error;
+  }
+
+  // Already stored by the claim; keep this document in step without saving it
+  rule.nextTaskId = nextTaskId;
+  this.unmarkModified('recurrence.nextTaskId');
+
+  return next;
+};
+
+/**
+ * Move the task to the trash; it is purged after the retention period
+ * @param {string} userId - User deleting the task
+ */
+taskSchema.methods.moveToTrash = function(userId) {
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+};
+
+/**
+ * Take the task out of the trash
+ */
+taskSchema.methods.restoreFromTrash = function() {
+  this.deletedAt = null;
+  this.deletedBy = null;
+};
+
+// Update the updatedAt field, roll up the checklist and sync the column before saving
 taskSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  this.rollupSubtasks();
+  this.syncWorkflowStatus();
   next();
 });
 
+/**
+ * Replace text indexes of earlier versions with task_text_search. Run once
+ * connected; the automatic index build cannot create it while another
+ * text index exists.
+ * @returns {Promise<boolean>} Whether an old index was replaced
+ */
+taskSchema.statics.migrateTextIndex = async function() {
+  // Let the automatic index build finish; it fails while an old index exists
+  await this.init().catch(() => {});
+
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    // The collection does not exist yet, so there is nothing to replace
+    if (error.codeName === 'NamespaceNotFound') return false;
+    throw error;
+  }
+
+  const outdated = indexes.filter(index => index.key._fts === 'text' && index.name !== TEXT_INDEX_NAME);
+  if (outdated.length === 0) return false;
+
+  for (const index of outdated) {
+    await this.collection.dropIndex(index.name);
+  }
+  await this.createIndexes();
+  return true;
+};
+
 module.exports = mongoose.model('Task', taskSchema); 
\ No newline at end of file
@@ -0,0 +1,136 @@
+/* eslint-env node */
+const mongoose = require('mongoose');
+const { publishTaskChange } = require('../events');
+
+// Task fields whose changes are recorded in the history
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'workflowStatus',
+  'priority',
+  'dueDate',
+  'progress',
+  'labels',
+  'projectId',
+  'assignees',
+  'recurrence'
+];
+
+const EVENT_TYPES = ['created', 'updated', 'status_changed', 'progress_changed', 'moved', 'deleted', 'restored'];
+
+// Before/after value of one field; IDs are stored as strings and dates as ISO strings
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: TRACKED_FIELDS,
+    required: true
+  },
+  from: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+// Entry in the activity history of a task; kept after the task is purged
+const taskEventSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'] // Who made the change
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: [true, 'Event type is required']
+  },
+  changes: {
+    type: [changeSchema],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+taskEventSchema.index({ taskId: 1, createdAt: -1 });
+
+/**
+ * Plain value of a tracked field, comparable with JSON.stringify
+ * @param {*} value - Field value from a task document
+ * @returns {*} Strings for IDs and dates, arrays and objects made plain
+ */
+const plainValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(plainValue);
+  if (typeof value.toObject === 'function') return plainValue(value.toObject());
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, plainValue(item)]));
+  }
+  return value;
+};
+
+/**
+ * Capture the tracked fields of a task before it is changed
+ * @param {Document} task - Task document
+ * @returns {Object} Plain values by field name
+ */
+taskEventSchema.statics.snapshot = function(task) {
+  return Object.fromEntries(TRACKED_FIELDS.map(field => [field, plainValue(task.get(field))]));
+};
+
+/**
+ * Record an event for a task. With a snapshot, only the fields that differ
+ * from it are stored and nothing is recorded when none changed; without
+ * one, every tracked field that has a value is stored as its initial value.
+ * Deletions and restores are recorded without changes. Every call is
+ * published to the live event stream of the task's users, whether or not
+ * an event is recorded.
+ * Failures are logged rather than thrown so history never blocks a change.
+ * @param {Document} task - Task after the change
+ * @param {string} userId - User who made the change
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} [before] - Snapshot taken before the change
+ * @returns {Promise<Document|null>} Recorded event, if any
+ */
+taskEventSchema.statics.record = async function(task, userId, type, before) {
+  try {
+    // Every change reaches live clients, even when no tracked field changed
+    publishTaskChange(task, type, userId);
+
+    const after = this.snapshot(task);
+    const withoutChanges = type === 'deleted' || type === 'restored';
+    let changes = [];
+
+    if (before && !withoutChanges) {
+      changes = TRACKED_FIELDS
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, from: before[field], to: after[field] }));
+      if (changes.length === 0) return null;
+    } else if (!withoutChanges) {
+      changes = TRACKED_FIELDS
+        .filter(field => after[field] !== null && !(Array.isArray(after[field]) && after[field].length === 0))
+        .map(field => ({ field, from: null, to: after[field] }));
+    }
+
+    return await this.create({ taskId: task._id, userId, type, changes });
+  } catch (error) {
+    console.error('Record task event error:', error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('TaskEvent', taskEventSchema);
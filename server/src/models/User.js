@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const { DEFAULT_WORKFLOW_COLUMNS } = require('../utils/workflow');
+const { isValidTimeZone } = require('../utils/dueDates');
+
+// Column of the user's Kanban board (see utils/workflow.js)
+const workflowColumnSchema = new mongoose.Schema({
+    key: { type: String, required: true, match: /^[a-z0-9_-]{1,30}$/ },
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+}, { _id: false });
 
 const UserSchema = new mongoose.Schema({
     fullName: { type: String, required: true },
@@ -7,6 +15,30 @@ const UserSchema = new mongoose.Schema({
     role: { type: String, enum: ["user", "admin"], default: "user" },
     resetToken: { type: String, default: null },
     resetTokenExpires: { type: Date, default: null }, // New field
+    workflowColumns: { type: [workflowColumnSchema], default: () => DEFAULT_WORKFLOW_COLUMNS.map(column => ({ ...column })) },
+    // Secret of the user's iCalendar feed URL; null while the feed is off
+    calendarFeedToken: { type: String, default: null, select: false },
+    // Email digest of the user's tasks (see jobs/digests.js)
+    digest: {
+        frequency: { type: String, enum: ['off', 'daily', 'weekly'], default: 'off' },
+        hour: { type: Number, min: 0, max: 23, default: 8 }, // Local hour to send at
+        weekday: { type: Number, min: 0, max: 6, default: 1 }, // Weekly digest day, 0 = Sunday
+        timeZone: { type: String, default: 'UTC', validate: { validator: isValidTimeZone, message: 'Unknown time zone' } },
+        lastSentDay: { type: Date, default: null }, // Local day of the last digest, as midnight UTC
+    },
+    // Secret of the unsubscribe link in digest emails
+    digestUnsubscribeToken: { type: String, default: null, select: false },
 }, { timestamps: true });
 
+UserSchema.index(
+    { calendarFeedToken: 1 },
+    { unique: true, partialFilterExpression: { calendarFeedToken: { $type: 'string' } } }
+);
+
+UserSchema.index(
+    { digestUnsubscribeToken: 1 },
+    { unique: true, partialFilterExpression: { digestUnsubscribeToken: { $type: 'string' } } }
+);
+UserSchema.index({ 'digest.frequency': 1 });
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 /* eslint-env node */
 const mongoose = require('mongoose');
+const { publish } = require('../events');
 
 const userLogSchema = new mongoose.Schema({
   userId: {
@@ -35,6 +36,11 @@ const userLogSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Last login or token refresh of the session
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
   jwtTokenId: {
     type: String,
     required: false // JWT token identifier (jti claim)
@@ -55,7 +61,7 @@ const userLogSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'expired', 'logged_out'],
+    enum: ['active', 'expired', 'logged_out', 'revoked'],
     default: 'active'
   },
   createdAt: {
@@ -72,6 +78,15 @@ userLogSchema.index({ email: 1, createdAt: -1 });
 userLogSchema.index({ action: 1, createdAt: -1 });
 userLogSchema.index({ ipAddress: 1, createdAt: -1 });
 
+// Tell admins watching the user logs that a log was added or updated
+userLogSchema.post('save', function(log) {
+  publish('user_log.changed', {
+    logId: String(log._id),
+    action: log.action,
+    status: log.status
+  }, { roles: ['admin'] });
+});
+
 // Static method to create login log
 userLogSchema.statics.createLoginLog = async function(userData, ipAddress, userAgent, jwtTokenId) {
   return await this.create({
@@ -81,6 +96,7 @@ userLogSchema.statics.createLoginLog = async function(userData, ipAddress, userA
     role: userData.role,
     action: 'login',
     loginTime: new Date(),
+    lastSeenAt: new Date(),
     jwtTokenId: jwtTokenId,
     ipAddress: ipAddress,
     userAgent: userAgent,
@@ -122,4 +138,31 @@ userLogSchema.statics.markTokenExpired = async function(jwtTokenId) {
   );
 };
 
+// Static method to record that a session is still in use
+userLogSchema.statics.touchSession = async function(jwtTokenId) {
+  return await this.updateMany(
+    { jwtTokenId: jwtTokenId, action: 'login', status: 'active' },
+    { lastSeenAt: new Date() }
+  );
+};
+
+// Static method to close the login log of a revoked session
+userLogSchema.statics.markSessionRevoked = async function(jwtTokenId) {
+  const loginLogs = await this.find({
+    jwtTokenId: jwtTokenId,
+    action: 'login',
+    status: 'active'
+  });
+
+  const logoutTime = new Date();
+  for (const loginLog of loginLogs) {
+    loginLog.logoutTime = logoutTime;
+    loginLog.sessionDuration = Math.round((logoutTime - loginLog.loginTime) / 60000); // minutes
+    loginLog.status = 'revoked';
+    await loginLog.save();
+  }
+
+  return loginLogs;
+};
+
 module.exports = mongoose.model('UserLog', userLogSchema); 
\ No newline at end of file
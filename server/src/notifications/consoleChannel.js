@@ -0,0 +1,15 @@
+/* eslint-env node */
+
+/**
+ * Delivery channel that writes notifications to the server log. Useful in
+ * development to see what other channels would send.
+ */
+const createConsoleChannel = () => ({
+  send: async (notification) => {
+    console.log(`[notification] user ${notification.userId}: ${notification.title}${
+      notification.message ? ` - ${notification.message}` : ''
+    }`);
+  }
+});
+
+module.exports = createConsoleChannel;
@@ -0,0 +1,23 @@
+/* eslint-env node */
+const User = require('../models/User');
+const { sendMail, appUrl } = require('../mail');
+
+/**
+ * Delivery channel that emails notifications to their user with the
+ * reminder template, linking to the notification center.
+ */
+const createEmailChannel = () => ({
+  send: async (notification) => {
+    const user = await User.findById(notification.userId, 'fullName email');
+    if (!user) return;
+
+    await sendMail('reminder', user.email, {
+      name: user.fullName,
+      title: notification.title,
+      message: notification.message,
+      url: appUrl('/user/notifications')
+    });
+  }
+});
+
+module.exports = createEmailChannel;
@@ -0,0 +1,100 @@
+/* eslint-env node */
+const Notification = require('../models/Notification');
+const createConsoleChannel = require('./consoleChannel');
+const createEmailChannel = require('./emailChannel');
+const { publish } = require('../events');
+require('dotenv').config();
+
+/**
+ * Delivery of notifications beyond the in-app list.
+ *
+ * Every notification is stored as a Notification document, which is what
+ * the in-app list shows. It is then handed to each delivery channel, an
+ * object with:
+ *   send(notification) -> Promise<void>
+ *
+ * Channels are named in NOTIFICATION_CHANNELS, comma-separated (default:
+ * none, in-app only): "console" logs them and "email" mails them to the
+ * user. Other channels can be added with registerNotificationChannel
+ * before first use.
+ */
+const channelFactories = {
+  console: () => createConsoleChannel(),
+  email: () => createEmailChannel()
+};
+
+let channels = null;
+
+// Register a factory for an additional delivery channel
+const registerNotificationChannel = (name, factory) => {
+  channelFactories[name] = factory;
+};
+
+// Get the configured delivery channels (created once)
+const getChannels = () => {
+  if (!channels) {
+    const names = (process.env.NOTIFICATION_CHANNELS || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    const unknown = names.filter(name => !channelFactories[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown notification channel "${unknown[0]}"`);
+    }
+    channels = names.map(name => ({ name, channel: channelFactories[name]() }));
+  }
+  return channels;
+};
+
+/**
+ * Hand a stored notification to every channel and mark it dispatched. A
+ * failing channel is logged and does not stop the others.
+ * @param {Document} notification - Saved notification
+ * @returns {Promise<void>}
+ */
+const dispatchNotification = async (notification) => {
+  await Promise.all(getChannels().map(({ name, channel }) =>
+    channel.send(notification).catch(error => console.error(`Notification channel "${name}" error:`, error))
+  ));
+  await Notification.updateOne({ _id: notification._id }, { $set: { dispatchedAt: new Date() } });
+};
+
+/**
+ * Store a notification, show it to the user's connected clients and
+ * dispatch it, unless one with the same key was already stored for the user
+ * @param {Object} data - Notification fields: userId, type, title, message, taskId, key
+ * @returns {Promise<Document|null>} The notification, or null for a duplicate
+ */
+const notify = async (data) => {
+  let notification;
+  try {
+    notification = await Notification.create(data);
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  // Same fields as the notifications API returns
+  const visible = notification.toObject();
+  ['key', 'dispatchedAt', 'deletedAt'].forEach(field => delete visible[field]);
+  publish('notification.created', visible, { userIds: [notification.userId] });
+
+  await dispatchNotification(notification);
+  return notification;
+};
+
+/**
+ * Dispatch notifications that were stored but never handed to the
+ * channels, e.g. because the server stopped in between
+ * @param {Date} before - Only notifications created before this time
+ * @returns {Promise<number>} Number of notifications dispatched
+ */
+const dispatchPending = async (before) => {
+  const pending = await Notification.find({ dispatchedAt: null, createdAt: { $lt: before } });
+  for (const notification of pending) {
+    await dispatchNotification(notification);
+  }
+  return pending.length;
+};
+
+module.exports = { registerNotificationChannel, notify, dispatchPending };
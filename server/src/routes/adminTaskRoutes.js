@@ -0,0 +1,253 @@
+/* eslint-env node */
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Task = require('../models/Task');
+const User = require('../models/User');
+const TaskEvent = require('../models/TaskEvent');
+const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { normalizeSearch } = require('../utils/textSearch');
+
+// Apply authentication and admin authorization to all routes
+router.use(protect);
+router.use(adminOnly);
+
+const PEOPLE_FIELDS = 'fullName email';
+
+/**
+ * Load a task with its creator and assignees populated
+ * @param {string} id - Task ID
+ * @returns {Promise<Document|null>} Task, if found
+ */
+const findTaskWithPeople = (id) => Task.findById(id)
+  .populate('userId', PEOPLE_FIELDS)
+  .populate('assignees', PEOPLE_FIELDS);
+
+/**
+ * @route   GET /api/admin/tasks
+ * @desc    Get all tasks with filtering and pagination
+ * @access  Admin only
+ * @query   page - Page number (default: 1)
+ * @query   limit - Items per page (default: 20)
+ * @query   status - Filter by completion status (complete, incomplete)
+ * @query   userId - Tasks created by or assigned to a user
+ * @query   search - Full-text search on title and description
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, userId, search } = req.query;
+
+    // Build query object
+    let query = {};
+
+    if (status && ['complete', 'incomplete'].includes(status)) {
+      query.status = status;
+    }
+    if (userId) {
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+      Object.assign(query, Task.accessFilter(userId));
+    }
+    const searchText = normalizeSearch(search);
+    if (searchText) {
+      query.$text = { $search: searchText };
+    }
+
+    // Calculate pagination
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [tasks, totalCount] = await Promise.all([
+      Task.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('userId', PEOPLE_FIELDS)
+        .populate('assignees', PEOPLE_FIELDS)
+        .lean(),
+      Task.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.json({
+      success: true,
+      data: tasks,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get admin tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve tasks',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/tasks/users
+ * @desc    Get the users tasks can be assigned to
+ * @access  Admin only
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const users = await User.find({}, 'fullName email role').sort({ fullName: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('Get assignable users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve users',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/tasks/:id/assignees
+ * @desc    Replace the assignees of a task
+ * @access  Admin only
+ * @body    assignees - Array of user IDs
+ */
+router.put('/:id/assignees', async (req, res) => {
+  try {
+    const assigneeIds = await Task.resolveAssigneeIds(req.body.assignees);
+
+    if (!assigneeIds) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignees must be IDs of registered users'
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const before = TaskEvent.snapshot(task);
+    task.assignees = assigneeIds;
+    await task.save();
+    await TaskEvent.record(task, req.user.userId, 'updated', before);
+
+    res.json({
+      success: true,
+      message: 'Assignees updated successfully',
+      data: await findTaskWithPeople(task._id)
+    });
+  } catch (error) {
+    console.error('Update assignees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update assignees',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/admin/tasks/:id/status
+ * @desc    Set the completion status of a task
+ * @access  Admin only
+ * @body    status - complete or incomplete
+ */
+router.patch('/:id/status', async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!['complete', 'incomplete'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be complete or incomplete'
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const before = TaskEvent.snapshot(task);
+    task.applyStatus(status);
+    await task.save();
+    await TaskEvent.record(task, req.user.userId, 'status_changed', before);
+    const nextTask = await task.spawnNextOccurrence();
+    if (nextTask) await TaskEvent.record(nextTask, req.user.userId, 'created');
+
+    res.json({
+      success: true,
+      message: `Task marked as ${task.status}`,
+      data: await findTaskWithPeople(task._id),
+      nextOccurrence: nextTask && await findTaskWithPeople(nextTask._id)
+    });
+  } catch (error) {
+    console.error('Admin update task status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update task status',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/tasks/:id
+ * @desc    Move any task to its creator's trash
+ * @access  Admin only
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    task.moveToTrash(req.user.userId);
+    await task.save();
+    await TaskEvent.record(task, req.user.userId, 'deleted');
+
+    res.json({
+      success: true,
+      message: 'Task moved to trash',
+      data: task
+    });
+  } catch (error) {
+    console.error('Admin delete task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete task',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
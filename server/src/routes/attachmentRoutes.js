@@ -0,0 +1,229 @@
+/* eslint-env node */
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const multer = require('multer');
+const { loadTask } = require('../middleware/taskAccess');
+const { getStorage } = require('../storage');
+const { publishTaskChange } = require('../events');
+require('dotenv').config();
+
+// Mounted under /api/tasks/:id/attachments by taskRoutes, which applies `protect`
+
+const MAX_FILE_SIZE_MB = Number(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+const MAX_FILES_PER_UPLOAD = 5;
+const ALLOWED_MIME_TYPES = (process.env.ATTACHMENT_ALLOWED_TYPES || [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+].join(',')).split(',').map(type => type.trim());
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.round(MAX_FILE_SIZE_MB * 1024 * 1024),
+    files: MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    const error = new Error(`File type ${file.mimetype} is not allowed`);
+    error.status = 415;
+    cb(error);
+  }
+});
+
+// Parse the "files" multipart field, turning upload errors into JSON responses
+const handleUpload = (req, res, next) => {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+    if (!error) return next();
+
+    let status = error.status || 400;
+    let message = error.message;
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      status = 413;
+      message = `Files cannot exceed ${MAX_FILE_SIZE_MB} MB`;
+    } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      message = `Upload up to ${MAX_FILES_PER_UPLOAD} files in the "files" field`;
+    }
+
+    res.status(status).json({
+      success: false,
+      message
+    });
+  });
+};
+
+router.use(loadTask);
+
+/**
+ * @route   GET /api/tasks/:id/attachments
+ * @desc    List the attachments of a task
+ * @access  Private
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: req.task.attachments,
+    limits: {
+      maxFileSizeMb: MAX_FILE_SIZE_MB,
+      maxFiles: MAX_FILES_PER_UPLOAD,
+      allowedTypes: ALLOWED_MIME_TYPES
+    }
+  });
+});
+
+/**
+ * @route   POST /api/tasks/:id/attachments
+ * @desc    Upload one or more attachments (multipart field "files")
+ * @access  Private
+ */
+router.post('/', handleUpload, async (req, res) => {
+  const storage = getStorage();
+  const savedKeys = [];
+
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded'
+      });
+    }
+
+    for (const file of req.files) {
+      const { key, size } = await storage.save({
+        buffer: file.buffer,
+        originalName: file.originalname,
+        mimeType: file.mimetype
+      });
+      savedKeys.push(key);
+
+      req.task.attachments.push({
+        key,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size,
+        uploadedBy: req.user.userId
+      });
+    }
+
+    const updatedTask = await req.task.save();
+    publishTaskChange(updatedTask, 'attachment_added', req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: `${req.files.length} attachment(s) uploaded successfully`,
+      data: updatedTask.attachments
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    // Don't leave orphaned files behind when the task could not be saved
+    await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload attachments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/:id/attachments/:attachmentId/download
+ * @desc    Download an attachment
+ * @access  Private
+ */
+router.get('/:attachmentId/download', (req, res) => {
+  try {
+    const attachment = req.task.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const stream = getStorage().createReadStream(attachment.key);
+
+    stream.on('error', (error) => {
+      console.error('Download attachment error:', error);
+      if (!res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Attachment file is missing'
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    stream.once('open', () => {
+      res.setHeader('Content-Type', attachment.mimeType);
+      res.setHeader('Content-Length', attachment.size);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`
+      );
+      stream.pipe(res);
+    });
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/tasks/:id/attachments/:attachmentId
+ * @desc    Delete an attachment and its stored file
+ * @access  Private
+ */
+router.delete('/:attachmentId', async (req, res) => {
+  try {
+    const attachment = req.task.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const { key } = attachment;
+    attachment.deleteOne();
+    const updatedTask = await req.task.save();
+    publishTaskChange(updatedTask, 'attachment_deleted', req.user.userId);
+
+    await getStorage().remove(key);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully',
+      data: updatedTask.attachments
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete attachment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
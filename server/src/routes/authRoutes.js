@@ -28,7 +28,17 @@ const User = require("../models/User");
 const UserLog = require("../models/UserLog");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
-const crypto = require("crypto");
+const { sendMail, appUrl } = require("../mail");
+const { protect } = require("../middleware/authMiddleware");
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    liveSessionIds,
+    sessionOfRefreshToken
+} = require("../utils/authTokens");
+const { describeUserAgent } = require("../utils/userAgent");
 
 const router = express.Router();
 
@@ -71,18 +81,8 @@ router.post("/register", async (req, res) => {
         user = new User({ fullName, email, password: hashedPassword, role: role || "user" });
         await user.save();
 
-        // Generate JWT token with unique ID
-        const jwtTokenId = crypto.randomUUID();
-        const token = jwt.sign(
-            { 
-                userId: user._id, 
-                role: user.role, 
-                email: user.email,
-                jti: jwtTokenId // JWT ID for tracking
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: "24h" }
-        );
+        // Start a session: a short-lived access token plus a refresh token
+        const { jti: jwtTokenId, token, refreshToken } = await createSession(user);
 
         // Create user log for registration/login
         try {
@@ -101,9 +101,14 @@ router.post("/register", async (req, res) => {
             console.error('Failed to create registration log:', logError);
         }
 
+        // The welcome email is not worth failing the sign-up for
+        sendMail("welcome", user.email, { name: user.fullName, url: appUrl("/login") })
+            .catch(mailError => console.error('Failed to send welcome email:', mailError));
+
         res.status(201).json({ 
             message: "User registered successfully", 
             token,
+            refreshToken,
             role: user.role,
             fullName: user.fullName,
             email: user.email
@@ -131,18 +136,8 @@ router.post("/login", async (req, res) => {
         {
             return res.status(403).json({message:"Unauthorized login attempt"});
         }
-        // Generate JWT token with unique ID
-        const jwtTokenId = crypto.randomUUID();
-        const token = jwt.sign(
-            { 
-                userId: user._id, 
-                role: user.role, 
-                email: user.email,
-                jti: jwtTokenId // JWT ID for tracking
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: "24h" }
-        );
+        // Start a session: a short-lived access token plus a refresh token
+        const { jti: jwtTokenId, token, refreshToken } = await createSession(user);
 
         // Create user log for login
         try {
@@ -163,7 +158,8 @@ router.post("/login", async (req, res) => {
 
         res.json({ 
             message: "Login successful", 
-            token, 
+            token,
+            refreshToken,
             role: user.role,
             fullName: user.fullName,
             email: user.email
@@ -174,10 +170,49 @@ router.post("/login", async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh
+ *          token. The old refresh token stops working; using it again
+ *          revokes the whole session.
+ * @access  Public (refresh token)
+ * @body    refreshToken - Refresh token from login, register or the last refresh
+ */
+router.post("/refresh", async (req, res) => {
+    try {
+        const { value, error } = await rotateRefreshToken(req.body?.refreshToken);
+        if (error) {
+            return res.status(401).json({ success: false, message: error });
+        }
+
+        await UserLog.touchSession(value.jti);
+
+        res.json({
+            success: true,
+            message: "Token refreshed",
+            token: value.token,
+            refreshToken: value.refreshToken,
+            role: value.user.role,
+            fullName: value.user.fullName,
+            email: value.user.email
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to refresh token",
+            error: error.message
+        });
+    }
+});
+
 // Logout Route
+// Ends the session of the access token, or of the refresh token in the body
+// when the access token has already expired
 router.post("/logout", async (req, res) => {
     try {
         const authHeader = req.header("Authorization");
+        let session = null;
         
         if (authHeader) {
             // Extract token
@@ -189,15 +224,22 @@ router.post("/logout", async (req, res) => {
                 try {
                     // Decode token to get user info and JWT ID
                     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-                    
-                    // Create logout log
-                    await UserLog.createLogoutLog(decoded.userId, decoded.jti);
+                    session = { jti: decoded.jti, userId: decoded.userId };
                 } catch (tokenError) {
                     console.error('Token decode error during logout:', tokenError);
                 }
             }
         }
 
+        session = session || await sessionOfRefreshToken(req.body?.refreshToken);
+        if (session) {
+            // Create logout log
+            await UserLog.createLogoutLog(session.userId, session.jti);
+
+            // The session's access tokens stop working right away
+            await revokeSession(session.jti, { userId: session.userId, reason: "logout" });
+        }
+
         res.json({ 
             message: "Logout successful",
             success: true
@@ -211,4 +253,108 @@ router.post("/logout", async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the active sessions of the authenticated user, most
+ *          recently seen first. A session is seen when it logs in or
+ *          refreshes its token.
+ * @access  Private
+ */
+router.get("/sessions", protect, async (req, res) => {
+    try {
+        const jtis = await liveSessionIds(req.user.userId);
+        const logins = await UserLog.find({
+            userId: req.user.userId,
+            action: "login",
+            status: "active",
+            jwtTokenId: { $in: jtis }
+        }).sort({ lastSeenAt: -1, loginTime: -1 });
+
+        res.json({
+            success: true,
+            data: logins.map(login => ({
+                jti: login.jwtTokenId,
+                current: login.jwtTokenId === req.user.jti,
+                ...describeUserAgent(login.userAgent),
+                ipAddress: login.ipAddress || null,
+                loginTime: login.loginTime,
+                lastSeenAt: login.lastSeenAt || login.loginTime
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve sessions",
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Log out everywhere else: end every session of the
+ *          authenticated user except the current one
+ * @access  Private
+ */
+router.delete("/sessions", protect, async (req, res) => {
+    try {
+        const revokedCount = await revokeUserSessions(req.user.userId, "user", { exceptJti: req.user.jti });
+
+        res.json({
+            success: true,
+            message: `Logged out of ${revokedCount} other session${revokedCount === 1 ? "" : "s"}`,
+            revokedCount
+        });
+    } catch (error) {
+        console.error('Revoke other sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to log out other sessions",
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:jti
+ * @desc    End one of the authenticated user's other sessions; its tokens
+ *          stop working at once. Use logout for the current session.
+ * @access  Private
+ */
+router.delete("/sessions/:jti", protect, async (req, res) => {
+    try {
+        const { jti } = req.params;
+
+        if (jti === req.user.jti) {
+            return res.status(400).json({
+                success: false,
+                message: "Log out to end the current session"
+            });
+        }
+
+        const jtis = await liveSessionIds(req.user.userId);
+        if (!jtis.includes(jti)) {
+            return res.status(404).json({
+                success: false,
+                message: "Session not found"
+            });
+        }
+
+        await revokeSession(jti, { userId: req.user.userId, reason: "user" });
+
+        res.json({
+            success: true,
+            message: "Session logged out"
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to log out session",
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
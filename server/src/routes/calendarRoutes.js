@@ -0,0 +1,174 @@
+/* eslint-env node */
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { protect } = require('../middleware/authMiddleware');
+const { buildTaskCalendar } = require('../utils/taskTransfer');
+
+const FEED_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+/**
+ * Subscription URL of a calendar feed. API_PUBLIC_URL overrides the address
+ * the request came in on, for servers behind a proxy.
+ * @param {Object} req - Express request
+ * @param {string} token - Feed token
+ * @returns {string} Feed URL
+ */
+const feedUrl = (req, token) => {
+  const base = process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/calendar/feed/${token}.ics`;
+};
+
+/**
+ * @route   GET /api/calendar/feed/:token.ics
+ * @desc    iCalendar feed with an all-day event on the due date of each task
+ *          the feed's owner created or is assigned to. Calendar apps cannot
+ *          send a login, so the secret token in the URL identifies the user.
+ * @access  Public (token)
+ */
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const user = FEED_TOKEN_PATTERN.test(token)
+      ? await User.findOne({ calendarFeedToken: token }, 'fullName')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const tasks = await Task.find({ ...Task.accessFilter(user._id), dueDate: { $ne: null } })
+      .sort({ dueDate: 1 })
+      .populate('labels', 'name')
+      .lean();
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="tasks.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(buildTaskCalendar(tasks, `${user.fullName} – TaskFlow tasks`));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      error: error.message
+    });
+  }
+});
+
+// The feed settings below need a login
+router.use(protect);
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Get the user's calendar feed URL, if the feed is on
+ * @access  Private
+ */
+router.get('/feed', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, '+calendarFeedToken');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(user.calendarFeedToken),
+        url: user.calendarFeedToken ? feedUrl(req, user.calendarFeedToken) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve calendar feed',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/calendar/feed
+ * @desc    Turn the calendar feed on with a new secret URL. Any previous URL
+ *          stops working.
+ * @access  Private
+ */
+router.post('/feed', async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { calendarFeedToken: token },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'New calendar feed URL created',
+      data: {
+        enabled: true,
+        url: feedUrl(req, token)
+      }
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/calendar/feed
+ * @desc    Turn the calendar feed off; its URL stops working
+ * @access  Private
+ */
+router.delete('/feed', async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.user.userId, { calendarFeedToken: null });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar feed turned off',
+      data: {
+        enabled: false,
+        url: null
+      }
+    });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to turn off calendar feed',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
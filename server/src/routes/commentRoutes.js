@@ -0,0 +1,230 @@
+/* eslint-env node */
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const Comment = require('../models/Comment');
+const { loadTask } = require('../middleware/taskAccess');
+const { publishTaskChange } = require('../events');
+
+// Mounted under /api/tasks/:id/comments by taskRoutes, which applies `protect`
+
+router.use(loadTask);
+
+const AUTHOR_FIELDS = 'fullName email';
+
+/**
+ * @route   GET /api/tasks/:id/comments
+ * @desc    Get the comment threads of a task
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const comments = await Comment.find({ taskId: req.task._id })
+      .sort({ createdAt: 1 })
+      .populate('userId', AUTHOR_FIELDS)
+      .populate('mentions', AUTHOR_FIELDS)
+      .lean();
+
+    res.json({
+      success: true,
+      data: Comment.buildThreads(comments),
+      total: comments.length
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve comments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tasks/:id/comments
+ * @desc    Add a comment or a reply to a task
+ * @access  Private
+ * @body    body - Comment text; "@user@example.com" mentions a user
+ * @body    parentId - Optional ID of the comment being replied to
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { body, parentId } = req.body;
+
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment text is required'
+      });
+    }
+
+    if (parentId && !mongoose.isValidObjectId(parentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid parent comment ID'
+      });
+    }
+
+    if (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, taskId: req.task._id });
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+    }
+
+    const { userIds, unresolved } = await Comment.resolveMentions(body);
+
+    const comment = await Comment.create({
+      taskId: req.task._id,
+      userId: req.user.userId,
+      parentId: parentId || null,
+      body: body.trim(),
+      mentions: userIds
+    });
+    publishTaskChange(req.task, 'comment_added', req.user.userId);
+
+    await comment.populate([
+      { path: 'userId', select: AUTHOR_FIELDS },
+      { path: 'mentions', select: AUTHOR_FIELDS }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: comment,
+      unresolvedMentions: unresolved
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add comment',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/tasks/:id/comments/:commentId
+ * @desc    Edit a comment (author only)
+ * @access  Private
+ */
+router.put('/:commentId', async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment text is required'
+      });
+    }
+
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      taskId: req.task._id,
+      deletedAt: null
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.userId.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    const { userIds, unresolved } = await Comment.resolveMentions(body);
+
+    comment.body = body.trim();
+    comment.mentions = userIds;
+    comment.editedAt = new Date();
+    await comment.save();
+    publishTaskChange(req.task, 'comment_edited', req.user.userId);
+
+    await comment.populate([
+      { path: 'userId', select: AUTHOR_FIELDS },
+      { path: 'mentions', select: AUTHOR_FIELDS }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comment,
+      unresolvedMentions: unresolved
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/tasks/:id/comments/:commentId
+ * @desc    Delete a comment (author or admin). Comments with replies are
+ *          blanked instead of removed so the thread stays intact.
+ * @access  Private
+ */
+router.delete('/:commentId', async (req, res) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      taskId: req.task._id,
+      deletedAt: null
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.userId.toString() !== req.user.userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    const hasReplies = await Comment.exists({ parentId: comment._id });
+
+    if (hasReplies) {
+      comment.body = '';
+      comment.mentions = [];
+      comment.deletedAt = new Date();
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+    }
+    publishTaskChange(req.task, 'comment_deleted', req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: { _id: comment._id, removed: !hasReplies }
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
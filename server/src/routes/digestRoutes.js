@@ -0,0 +1,183 @@
+/* eslint-env node */
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { protect } = require('../middleware/authMiddleware');
+const { createUnsubscribeToken } = require('../jobs/digests');
+const { isValidTimeZone } = require('../utils/dueDates');
+
+const FREQUENCIES = ['off', 'daily', 'weekly'];
+const UNSUBSCRIBE_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+/**
+ * Digest preferences as returned by the API
+ * @param {Document} user - User
+ * @returns {Object} frequency, hour, weekday and timeZone
+ */
+const toPreferences = ({ digest }) => ({
+  frequency: digest.frequency,
+  hour: digest.hour,
+  weekday: digest.weekday,
+  timeZone: digest.timeZone
+});
+
+/**
+ * Validate a preferences update; omitted fields are left unchanged
+ * @param {Object} body - Request body
+ * @returns {{ value: Object, error: string|null }} Fields to set, or an error message
+ */
+const parsePreferences = (body = {}) => {
+  const { frequency, hour, weekday, timeZone } = body;
+  const value = {};
+
+  if (frequency !== undefined) {
+    if (!FREQUENCIES.includes(frequency)) {
+      return { value, error: `frequency must be one of: ${FREQUENCIES.join(', ')}` };
+    }
+    value['digest.frequency'] = frequency;
+  }
+  if (hour !== undefined) {
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      return { value, error: 'hour must be a whole number from 0 to 23' };
+    }
+    value['digest.hour'] = hour;
+  }
+  if (weekday !== undefined) {
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return { value, error: 'weekday must be a whole number from 0 (Sunday) to 6 (Saturday)' };
+    }
+    value['digest.weekday'] = weekday;
+  }
+  if (timeZone !== undefined) {
+    if (typeof timeZone !== 'string' || !isValidTimeZone(timeZone)) {
+      return { value, error: `Unknown time zone: ${timeZone}` };
+    }
+    value['digest.timeZone'] = timeZone;
+  }
+
+  return { value, error: null };
+};
+
+/**
+ * @route   POST /api/digest/unsubscribe
+ * @desc    Turn off the digest emails of the user the unsubscribe link in a
+ *          digest belongs to. The link works without logging in.
+ * @access  Public (token)
+ * @body    token - Token from the unsubscribe link
+ */
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const token = req.body?.token;
+    const user = typeof token === 'string' && UNSUBSCRIBE_TOKEN_PATTERN.test(token)
+      ? await User.findOneAndUpdate(
+        { digestUnsubscribeToken: token },
+        { $set: { 'digest.frequency': 'off' } },
+        { new: true }
+      )
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unsubscribe link is invalid'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You will no longer receive task digest emails',
+      data: { frequency: user.digest.frequency }
+    });
+  } catch (error) {
+    console.error('Unsubscribe digest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unsubscribe',
+      error: error.message
+    });
+  }
+});
+
+// Everything below requires a logged-in user
+router.use(protect);
+
+/**
+ * @route   GET /api/digest/preferences
+ * @desc    Get the digest email preferences of the authenticated user
+ * @access  Private
+ */
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, 'digest');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPreferences(user)
+    });
+  } catch (error) {
+    console.error('Get digest preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve digest preferences',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/digest/preferences
+ * @desc    Update the digest email preferences of the authenticated user
+ * @access  Private
+ * @body    frequency - off, daily or weekly
+ * @body    hour - Local hour to send at, 0-23
+ * @body    weekday - Day of the weekly digest, 0 (Sunday) to 6 (Saturday)
+ * @body    timeZone - IANA time zone the hour and days are in
+ */
+router.put('/preferences', async (req, res) => {
+  try {
+    const { value, error } = parsePreferences(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.userId, { $set: value }, { new: true })
+      .select('digest +digestUnsubscribeToken');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Subscribing creates the unsubscribe link's token
+    if (user.digest.frequency !== 'off' && !user.digestUnsubscribeToken) {
+      await User.updateOne({ _id: user._id }, { $set: { digestUnsubscribeToken: createUnsubscribeToken() } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Digest preferences updated',
+      data: toPreferences(user)
+    });
+  } catch (error) {
+    console.error('Update digest preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update digest preferences',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/* eslint-env node */
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const { addClient } = require('../events');
+
+// Comment line sent regularly so proxies keep an idle stream open
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_MS = 5000;
+
+/**
+ * EventSource cannot send headers, so the stream also accepts the token as
+ * a ?token= query parameter
+ */
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/events
+ * @desc    Stream live events (server-sent events) for the authenticated
+ *          user: changes to their tasks, new notifications and, for
+ *          admins, user log changes. The stream ends when the token
+ *          expires or its session is revoked; reconnect with a fresh token.
+ * @access  Private
+ * @query   token - JWT, for clients that cannot set the Authorization header
+ */
+router.get('/', tokenFromQuery, protect, (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const removeClient = addClient({
+    userId: String(req.user.userId),
+    role: req.user.role,
+    jti: req.user.jti,
+    close: () => res.end(),
+    send: (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+  const expiry = req.user.exp
+    ? setTimeout(() => res.end(), Math.max(req.user.exp * 1000 - Date.now(), 0))
+    : null;
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    removeClient();
+  });
+});
+
+module.exports = router;
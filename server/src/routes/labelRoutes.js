@@ -0,0 +1,178 @@
+/* eslint-env node */
+const express = require('express');
+const router = express.Router();
+const Label = require('../models/Label');
+const Task = require('../models/Task');
+const SavedView = require('../models/SavedView');
+const { protect } = require('../middleware/authMiddleware');
+const { publishTaskChange } = require('../events');
+
+// Apply authentication middleware to all label routes
+router.use(protect);
+
+/**
+ * @route   GET /api/labels
+ * @desc    Get the labels of the authenticated user
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const labels = await Label.find({ userId: req.user.userId }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: labels
+    });
+  } catch (error) {
+    console.error('Get labels error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve labels',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/labels
+ * @desc    Create a label
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Label name is required'
+      });
+    }
+
+    const label = await Label.create({
+      userId: req.user.userId,
+      name: name.trim(),
+      color
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Label created successfully',
+      data: label
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A label with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create label',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/labels/:id
+ * @desc    Rename or recolor a label
+ * @access  Private
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    const label = await Label.findOne({
+      _id: req.params.id,
+      userId: req.user.userId
+    });
+
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: 'Label not found'
+      });
+    }
+
+    if (name !== undefined) label.name = name.trim();
+    if (color !== undefined) label.color = color;
+
+    const updatedLabel = await label.save();
+
+    res.json({
+      success: true,
+      message: 'Label updated successfully',
+      data: updatedLabel
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A label with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update label',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/labels/:id
+ * @desc    Delete a label and remove it from all tasks and saved views
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const label = await Label.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user.userId
+    });
+
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: 'Label not found'
+      });
+    }
+
+    const labelledTasks = await Task.find({ labels: label._id }, 'userId assignees projectId');
+    // Trashed tasks lose the label too, so it is gone when they are restored
+    await Task.updateMany({ labels: label._id }, { $pull: { labels: label._id } });
+    labelledTasks.forEach(task => publishTaskChange(task, 'label_removed', req.user.userId));
+    await SavedView.updateMany({ 'filters.labels': label._id }, { $pull: { 'filters.labels': label._id } });
+
+    res.json({
+      success: true,
+      message: 'Label deleted successfully',
+      data: label
+    });
+  } catch (error) {
+    console.error('Delete label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete label',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
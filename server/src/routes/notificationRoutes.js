@@ -0,0 +1,214 @@
+/* eslint-env node */
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/authMiddleware');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../utils/pagination');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Newest first; the cursor helpers break ties on _id
+const NEWEST_FIRST = { name: 'createdAt', path: 'createdAt', type: 'date', direction: -1 };
+
+// Apply authentication middleware to all notification routes
+router.use(protect);
+
+/**
+ * Number of unread notifications of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Unread count
+ */
+const countUnread = (userId) => Notification.countDocuments({ userId, readAt: null, deletedAt: null });
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the notifications of the authenticated user, newest first
+ * @access  Private
+ * @query   unread - true for unread notifications only
+ * @query   limit - Page size, up to 100 (default: 20)
+ * @query   cursor - nextCursor of the previous page
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const position = req.query.cursor ? decodeCursor(req.query.cursor, NEWEST_FIRST) : null;
+    if (req.query.cursor && !position) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const filter = { userId, deletedAt: null };
+    if (req.query.unread === 'true') filter.readAt = null;
+    if (position) Object.assign(filter, cursorFilter(NEWEST_FIRST, position));
+
+    // One extra notification tells whether there is a next page
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .select('-key -dispatchedAt -deletedAt')
+      .lean();
+
+    const hasMore = notifications.length > limit;
+    const page = notifications.slice(0, limit);
+
+    res.json({
+      success: true,
+      data: page,
+      unreadCount: await countUnread(userId),
+      pagination: {
+        limit,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], NEWEST_FIRST) : null,
+        hasMore
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve notifications',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications, for the navbar badge
+ * @access  Private
+ */
+router.get('/unread-count', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { count: await countUnread(req.user.userId) }
+    });
+  } catch (error) {
+    console.error('Count notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to count notifications',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark every notification of the user as read
+ * @access  Private
+ */
+router.patch('/read-all', async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { userId: req.user.userId, readAt: null, deletedAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notifications',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read, or as unread again
+ * @access  Private
+ * @body    read - false to mark it unread (default: true)
+ */
+router.patch('/:id/read', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const read = req.body?.read !== false;
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId, deletedAt: null },
+      { $set: { readAt: read ? new Date() : null } },
+      { new: true }
+    ).select('-key -dispatchedAt -deletedAt');
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: read ? 'Notification marked as read' : 'Notification marked as unread',
+      data: notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification. It is hidden from the user but kept, so
+ *          the same reminder is not sent again.
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const now = new Date();
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId, deletedAt: null },
+      { $set: { deletedAt: now, readAt: now } }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully',
+      data: { _id: notification._id }
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,268 @@
+/* eslint-env node */
+const express = require('express');
+const router = express.Router();
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const SavedView = require('../models/SavedView');
+const { protect } = require('../middleware/authMiddleware');
+const { publishTaskChange } = require('../events');
+
+// Apply authentication middleware to all project routes
+router.use(protect);
+
+const PEOPLE_FIELDS = 'fullName email';
+
+/**
+ * Send the error response for a failed project save
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while saving
+ * @param {string} message - Message for unexpected errors
+ */
+const handleSaveError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * @route   GET /api/projects
+ * @desc    Get the projects the user owns or is a member of
+ * @access  Private
+ * @query   archived - true for archived projects only, all for both (default: active only)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { archived } = req.query;
+    const query = Project.accessFilter(req.user.userId);
+
+    if (archived !== 'all') {
+      query.archived = archived === 'true';
+    }
+
+    const projects = await Project.find(query)
+      .sort({ name: 1 })
+      .populate('ownerId', PEOPLE_FIELDS)
+      .populate('members', PEOPLE_FIELDS);
+
+    res.json({
+      success: true,
+      data: projects
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve projects',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id
+ * @desc    Get a project
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...Project.accessFilter(req.user.userId)
+    })
+      .populate('ownerId', PEOPLE_FIELDS)
+      .populate('members', PEOPLE_FIELDS);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve project',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects
+ * @desc    Create a project owned by the user
+ * @access  Private
+ * @body    name, color, members - Array of user IDs
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, color, members } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project name is required'
+      });
+    }
+
+    const memberIds = members === undefined ? [] : await Task.resolveAssigneeIds(members);
+    if (!memberIds) {
+      return res.status(400).json({
+        success: false,
+        message: 'Members must be IDs of registered users'
+      });
+    }
+
+    const project = await Project.create({
+      name: name.trim(),
+      color,
+      ownerId: req.user.userId,
+      members: memberIds
+    });
+
+    await project.populate([
+      { path: 'ownerId', select: PEOPLE_FIELDS },
+      { path: 'members', select: PEOPLE_FIELDS }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: project
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Failed to create project');
+  }
+});
+
+/**
+ * @route   PUT /api/projects/:id
+ * @desc    Update a project (owner only)
+ * @access  Private
+ * @body    name, color, members, archived
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, color, members, archived } = req.body;
+
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...Project.accessFilter(req.user.userId)
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!project.isOwner(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the project owner can change it'
+      });
+    }
+
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Project name cannot be empty'
+        });
+      }
+      project.name = name.trim();
+    }
+    if (color !== undefined) project.color = color;
+    if (archived !== undefined) project.archived = Boolean(archived);
+    if (members !== undefined) {
+      const memberIds = await Task.resolveAssigneeIds(members);
+      if (!memberIds) {
+        return res.status(400).json({
+          success: false,
+          message: 'Members must be IDs of registered users'
+        });
+      }
+      project.members = memberIds;
+    }
+
+    await project.save();
+    await project.populate([
+      { path: 'ownerId', select: PEOPLE_FIELDS },
+      { path: 'members', select: PEOPLE_FIELDS }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Project updated successfully',
+      data: project
+    });
+  } catch (error) {
+    handleSaveError(res, error, 'Failed to update project');
+  }
+});
+
+/**
+ * @route   DELETE /api/projects/:id
+ * @desc    Delete a project (owner only). Its tasks are kept without a project.
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      ...Project.accessFilter(req.user.userId)
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!project.isOwner(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the project owner can delete it'
+      });
+    }
+
+    await project.deleteOne();
+    const projectTasks = await Task.find({ projectId: project._id }, 'userId assignees');
+    // Trashed tasks are detached too, so they are restored without the project
+    const { modifiedCount } = await Task.updateMany({ projectId: project._id }, { $set: { projectId: null } });
+    projectTasks.forEach(task => publishTaskChange(task, 'project_removed', req.user.userId, project));
+    // Views filtered on the project show all projects instead
+    await SavedView.updateMany({ 'filters.projectId': String(project._id) }, { $set: { 'filters.projectId': '' } });
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully',
+      data: { _id: project._id, tasksDetached: modifiedCount }
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete project',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
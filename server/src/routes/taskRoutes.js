@@ -2,79 +2,1196 @@
 const express = require('express');
 const router = express.Router();
 const Task = require('../models/Task');
+const Label = require('../models/Label');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const TaskEvent = require('../models/TaskEvent');
+const commentRoutes = require('./commentRoutes');
+const attachmentRoutes = require('./attachmentRoutes');
+const taskTransferRoutes = require('./taskTransferRoutes');
+const { parseRecurrence } = require('../utils/recurrence');
+const { TODO_COLUMN, RANK_STEP, parseWorkflowColumns, rankBetween } = require('../utils/workflow');
+const { TRASH_RETENTION_DAYS, purgeDateFor } = require('../jobs/purgeTrash');
+const { parseSort, encodeCursor, decodeCursor, cursorFilter } = require('../utils/pagination');
+const { escapeRegex, parseSearch, normalizeSearch, findMatches, highlightTask } = require('../utils/textSearch');
+const { dueDateFilter } = require('../utils/dueDates');
 const { protect } = require('../middleware/authMiddleware');
+const { publishTaskChange } = require('../events');
 const mongoose = require('mongoose');
 
 // Apply authentication middleware to all task routes
 router.use(protect);
 
+// Nested resources
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/attachments', attachmentRoutes);
+
+// Import and export, mounted before the /:id routes so their paths are not read as task IDs
+router.use(taskTransferRoutes);
+
+/**
+ * Normalize checklist input from a request body into subtask data
+ * @param {Array<string|Object>} items - Subtask titles or { title, done } objects
+ * @returns {Array<Object>} Subtask data with blank titles dropped
+ */
+const parseSubtasks = (items) => {
+  if (!Array.isArray(items)) return [];
+
+  return items
+    .map(item => (typeof item === 'string' ? { title: item } : item || {}))
+    .filter(item => typeof item.title === 'string' && item.title.trim())
+    .map(item => ({
+      title: item.title.trim(),
+      done: Boolean(item.done),
+      completedAt: item.done ? new Date() : null
+    }));
+};
+
+/**
+ * Check that label IDs from a request body belong to the user
+ * @param {Array<string>} labelIds - Label IDs to assign
+ * @param {string} userId - Owner of the labels
+ * @returns {Promise<Array<string>|null>} Unique label IDs, or null if any is unknown
+ */
+const resolveLabelIds = async (labelIds, userId) => {
+  if (!Array.isArray(labelIds)) return null;
+
+  const uniqueIds = [...new Set(labelIds.map(String))];
+  if (!uniqueIds.every(id => mongoose.isValidObjectId(id))) return null;
+
+  const count = await Label.countDocuments({ _id: { $in: uniqueIds }, userId });
+  return count === uniqueIds.length ? uniqueIds : null;
+};
+
+/**
+ * Check that a project ID from a request body is an active project the
+ * user owns or is a member of
+ * @param {string|null} projectId - Project ID, or null for no project
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<{ value: string|null, error: string|null }>} Project ID or an error message
+ */
+const resolveProjectId = async (projectId, userId) => {
+  if (!projectId) return { value: null, error: null };
+
+  const project = mongoose.isValidObjectId(projectId) && await Project.findOne({
+    _id: projectId,
+    ...Project.accessFilter(userId)
+  });
+
+  if (!project) return { value: null, error: 'Project not found' };
+  if (project.archived) return { value: null, error: 'Tasks cannot be added to an archived project' };
+
+  return { value: project._id, error: null };
+};
+
+// Creator and assignees are returned with their name and email
+const PEOPLE_FIELDS = 'fullName email';
+const TASK_PEOPLE = [
+  { path: 'userId', select: PEOPLE_FIELDS },
+  { path: 'assignees', select: PEOPLE_FIELDS }
+];
+
+/**
+ * Populate the creator and assignees of a task for a response
+ * @param {Document|null} task - Saved task
+ * @returns {Promise<Document|null>} The same task, populated
+ */
+const populatePeople = async (task) => (task ? task.populate(TASK_PEOPLE) : task);
+
+const BULK_OPERATIONS = ['complete', 'reopen', 'set_priority', 'set_due_date', 'move_to_project', 'delete'];
+const MAX_BULK_TASKS = 100;
+
+/**
+ * Record the creation of a recurring task's next occurrence
+ * @param {Document|null} nextTask - Task spawned by spawnNextOccurrence
+ * @param {string} userId - User whose change completed the previous occurrence
+ * @returns {Promise<Document|null>} Recorded event, if any
+ */
+const recordSpawned = async (nextTask, userId) => (nextTask ? TaskEvent.record(nextTask, userId, 'created') : null);
+
+// Sorts of GET /api/tasks and the field each one orders by
+const TASK_SORTS = {
+  createdAt: { path: 'createdAt', type: 'date' },
+  updatedAt: { path: 'updatedAt', type: 'date' },
+  dueDate: { path: 'dueOrder', type: 'date' },
+  priority: { path: 'priorityOrder', type: 'number' },
+  title: { path: 'title', type: 'string' },
+  // Only with a search
+  relevance: { path: 'score', type: 'number' }
+};
+
+// Sort fields computed for the request: tasks without a due date go after
+// all others, priorities are ordered low to high rather than by name, and
+// relevance is the text search score
+const COMPUTED_SORT_KEYS = {
+  score: { $meta: 'textScore' },
+  dueOrder: { $ifNull: ['$dueDate', new Date('9999-12-31T00:00:00Z')] },
+  priorityOrder: {
+    $switch: {
+      branches: [
+        { case: { $eq: ['$priority', 'low'] }, then: 1 },
+        { case: { $eq: ['$priority', 'medium'] }, then: 2 },
+        { case: { $eq: ['$priority', 'high'] }, then: 3 }
+      ],
+      default: 0
+    }
+  }
+};
+
+// Titles sort case-insensitively, except in a search
+const SORT_COLLATION = { locale: 'en', strength: 2 };
+const MAX_TASK_PAGE_SIZE = 200;
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 20;
+
+// Top-level task fields that can be requested with ?fields=
+const TASK_FIELDS = [...new Set(Object.keys(Task.schema.paths).map(path => path.split('.')[0]))]
+  .filter(field => field !== '__v');
+
+/**
+ * Filter for the tasks in a GET /api/tasks scope
+ * @param {string} scope - mine (every task the user can access, default), created or assigned
+ * @param {string} userId - Authenticated user ID
+ * @param {Object} access - The user's Task.accessFilterWithProjects
+ * @returns {Object} Mongoose filter
+ */
+const scopeFilter = (scope, userId, access) => {
+  if (scope === 'created') return { userId };
+  if (scope === 'assigned') return { assignees: userId };
+  return access;
+};
+
+/**
+ * Build the MongoDB filter for GET /api/tasks from its query string
+ * @param {Object} params - Request query parameters
+ * @param {string} userId - Authenticated user ID
+ * @param {Object} access - The user's Task.accessFilterWithProjects
+ * @returns {Object} Mongoose filter
+ */
+const buildTaskQuery = (params, userId, access) => {
+  const { scope, status, search, priority, labels, labelMatch, projectId } = params;
+
+  // Build query object
+  let query = { ...scopeFilter(scope, userId, access) };
+
+  // Add status filter
+  if (status && ['complete', 'incomplete'].includes(status)) {
+    query.status = status;
+  }
+
+  // Add priority filter
+  if (priority && ['low', 'medium', 'high'].includes(priority)) {
+    query.priority = priority;
+  }
+
+  // Add project filter: a project ID, or "none" for tasks outside any project
+  if (projectId === 'none') {
+    query.projectId = null;
+  } else if (projectId && mongoose.isValidObjectId(projectId)) {
+    query.projectId = projectId;
+  }
+
+  // Add label filter: comma-separated IDs matched any-of (default) or all-of
+  if (labels) {
+    const labelIds = String(labels)
+      .split(',')
+      .map(id => id.trim())
+      .filter(id => mongoose.isValidObjectId(id));
+
+    if (labelIds.length > 0) {
+      query.labels = labelMatch === 'all' ? { $all: labelIds } : { $in: labelIds };
+    }
+  }
+
+  // Add full-text search on title and description
+  const searchText = normalizeSearch(search);
+  if (searchText) {
+    query.$text = { $search: searchText };
+  }
+
+  return query;
+};
+
+/**
+ * @route   GET /api/tasks
+ * @desc    Get the tasks of the authenticated user with optional filtering,
+ *          sorting and cursor pagination. `counts` covers the whole scope and
+ *          `total` every task matching the filters, whatever the page. With
+ *          a search, each task has `highlights` of where it matched.
+ * @access  Private
+ * @query   scope - mine (created, assigned or in one of the user's projects,
+ *          default), created, assigned
+ * @query   status - Filter by completion status (complete, incomplete)
+ * @query   search - Full-text search on title and description; supports
+ *          "exact phrases" and -excluded words
+ * @query   priority - Filter by priority (low, medium, high)
+ * @query   projectId - Project ID, or none for tasks without a project
+ * @query   labels - Comma-separated label IDs
+ * @query   labelMatch - How labels combine: any (default) or all
+ * @query   due - overdue (incomplete and due before today), today, thisWeek
+ *          (Monday to Sunday) or next7days (today and the six days after)
+ * @query   dueAfter - Due on or after this day (YYYY-MM-DD)
+ * @query   dueBefore - Due on or before this day (YYYY-MM-DD)
+ * @query   noDueDate - true for tasks without a due date only
+ * @query   timeZone - IANA time zone that decides which day is today (default: UTC)
+ * @query   sort - createdAt, updatedAt, dueDate, priority, title or, with a
+ *          search, relevance; prefix with - for descending (default:
+ *          -relevance with a search, otherwise -createdAt)
+ * @query   limit - Page size, up to 200 (default: every matching task)
+ * @query   cursor - nextCursor of the previous page
+ * @query   fields - Comma-separated task fields to return (_id is always included)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const search = normalizeSearch(req.query.search);
+
+    const sort = parseSort(String(req.query.sort || (search ? '-relevance' : '-createdAt')), TASK_SORTS);
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of ${Object.keys(TASK_SORTS).join(', ')}, optionally prefixed with -`
+      });
+    }
+    if (sort.name === 'relevance' && !search) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sorting by relevance needs a search'
+      });
+    }
+
+    let limit = null;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!(limit >= 1)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Limit must be a positive number'
+        });
+      }
+      limit = Math.min(limit, MAX_TASK_PAGE_SIZE);
+    }
+
+    const position = req.query.cursor ? decodeCursor(req.query.cursor, sort) : null;
+    if (req.query.cursor && !position) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor for this sort'
+      });
+    }
+
+    const due = dueDateFilter(req.query);
+    if (due.error) {
+      return res.status(400).json({
+        success: false,
+        message: due.error
+      });
+    }
+
+    const fields = req.query.fields
+      ? [...new Set(String(req.query.fields).split(',').map(field => field.trim()).filter(Boolean))]
+      : null;
+    const unknownFields = (fields || []).filter(field => !TASK_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown fields: ${unknownFields.join(', ')}`
+      });
+    }
+
+    // Aggregation pipelines are not cast to the schema like queries are
+    const castFilter = (filter) => Task.find().cast(Task, filter);
+    const access = await Task.accessFilterWithProjects(userId);
+    const query = castFilter({ ...buildTaskQuery(req.query, userId, access), ...due.value });
+
+    // A $text search has to be in the first stage of the pipeline
+    const pagePipeline = [{ $match: query }];
+    if (COMPUTED_SORT_KEYS[sort.path]) {
+      pagePipeline.push({ $addFields: { [sort.path]: COMPUTED_SORT_KEYS[sort.path] } });
+    }
+    if (position) pagePipeline.push({ $match: cursorFilter(sort, position) });
+    pagePipeline.push({ $sort: { [sort.path]: sort.direction, _id: sort.direction } });
+    // One extra task tells whether there is a next page
+    if (limit) pagePipeline.push({ $limit: limit + 1 });
+    if (fields) {
+      pagePipeline.push({ $project: Object.fromEntries([...fields, sort.path].map(field => [field, 1])) });
+    }
+
+    const pageAggregate = Task.aggregate(pagePipeline);
+    // Text indexes only work with the default collation
+    if (sort.name === 'title' && !search) pageAggregate.collation(SORT_COLLATION);
+
+    const [page, total, [counts = { all: 0, complete: 0, incomplete: 0 }]] = await Promise.all([
+      pageAggregate,
+      // Total matching the filters, for every page
+      Task.countDocuments(query),
+      // Counts for the filter component
+      Task.aggregate([
+        { $match: castFilter(scopeFilter(req.query.scope, userId, access)) },
+        {
+          $group: {
+            _id: null,
+            all: { $sum: 1 },
+            complete: { $sum: { $cond: [{ $eq: ['$status', 'complete'] }, 1, 0] } },
+            incomplete: { $sum: { $cond: [{ $eq: ['$status', 'incomplete'] }, 1, 0] } }
+          }
+        },
+        { $project: { _id: 0 } }
+      ])
+    ]);
+
+    const hasMore = limit !== null && page.length > limit;
+    const tasks = hasMore ? page.slice(0, limit) : page;
+    const nextCursor = hasMore ? encodeCursor(tasks[tasks.length - 1], sort) : null;
+
+    // Drop sort keys that were only added for sorting and paging
+    const keepSortPath = !COMPUTED_SORT_KEYS[sort.path] && (!fields || fields.includes(sort.path));
+    if (!keepSortPath) tasks.forEach(task => delete task[sort.path]);
+
+    if (search) {
+      const parsed = parseSearch(search);
+      tasks.forEach(task => { task.highlights = highlightTask(task, parsed); });
+    }
+
+    await Task.populate(tasks, TASK_PEOPLE);
+
+    res.json({
+      success: true,
+      data: tasks,
+      counts,
+      total,
+      pagination: {
+        limit,
+        nextCursor,
+        hasMore
+      }
+    });
+  } catch (error) {
+    console.error('Get tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve tasks',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/suggest
+ * @desc    Search-as-you-type suggestions for the navbar. Whole words are
+ *          matched with the text index and the word still being typed as the
+ *          start of a word in the title; best matches first.
+ * @access  Private
+ * @query   q - Search text
+ * @query   limit - Number of suggestions, up to 20 (default: 8)
+ */
+router.get('/suggest', async (req, res) => {
+  try {
+    const text = normalizeSearch(req.query.q);
+    if (!text) {
+      return res.json({ success: true, data: [] });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_SUGGESTIONS, 1), MAX_SUGGESTIONS);
+
+    // The last word is still being typed unless the text ends with a space
+    const words = text.split(/\s+/);
+    const typing = !/\s$/.test(req.query.q) && /^[^"-]/.test(words[words.length - 1]) ? words.pop() : null;
+    const complete = words.join(' ');
+
+    const filter = await Task.accessFilterWithProjects(req.user.userId);
+    if (complete) filter.$text = { $search: complete };
+    if (typing) filter.title = { $regex: `(^|\\s)${escapeRegex(typing)}`, $options: 'i' };
+
+    const tasks = await Task.find(filter, 'title status dueDate')
+      .sort(complete ? { score: { $meta: 'textScore' }, updatedAt: -1 } : { updatedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    const parsed = parseSearch(complete);
+    if (typing) parsed.words.push(typing);
+
+    res.json({
+      success: true,
+      data: tasks.map(task => ({ ...task, highlights: { title: findMatches(task.title, parsed) } }))
+    });
+  } catch (error) {
+    console.error('Suggest tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search tasks',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/stats/summary
+ * @desc    Get task statistics for the user, overall and per project
+ * @access  Private
+ */
+router.get('/stats/summary', async (req, res) => {
+  try {
+    const userId = new mongoose.Types.ObjectId(req.user.userId);
+
+    const counters = {
+      total: { $sum: 1 },
+      completed: { $sum: { $cond: [{ $eq: ['$status', 'complete'] }, 1, 0] } },
+      incomplete: { $sum: { $cond: [{ $eq: ['$status', 'incomplete'] }, 1, 0] } },
+      highPriority: { $sum: { $cond: [{ $eq: ['$priority', 'high'] }, 1, 0] } },
+      mediumPriority: { $sum: { $cond: [{ $eq: ['$priority', 'medium'] }, 1, 0] } },
+      lowPriority: { $sum: { $cond: [{ $eq: ['$priority', 'low'] }, 1, 0] } }
+    };
+
+    const [stats] = await Task.aggregate([
+      { $match: await Task.accessFilterWithProjects(userId) },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, ...counters } }, { $project: { _id: 0 } }],
+          byProject: [
+            { $group: { _id: '$projectId', ...counters } },
+            { $lookup: { from: Project.collection.name, localField: '_id', foreignField: '_id', as: 'project' } },
+            { $unwind: { path: '$project', preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                _id: 0,
+                projectId: '$_id',
+                name: { $ifNull: ['$project.name', null] },
+                color: { $ifNull: ['$project.color', null] },
+                total: 1,
+                completed: 1,
+                incomplete: 1,
+                highPriority: 1,
+                mediumPriority: 1,
+                lowPriority: 1
+              }
+            },
+            { $sort: { name: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const overall = stats.overall[0] || {
+      total: 0,
+      completed: 0,
+      incomplete: 0,
+      highPriority: 0,
+      mediumPriority: 0,
+      lowPriority: 0
+    };
+
+    res.json({
+      success: true,
+      // Tasks without a project are reported with projectId and name null
+      data: { ...overall, byProject: stats.byProject }
+    });
+  } catch (error) {
+    console.error('Get task stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve task statistics',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/trash
+ * @desc    Get the tasks the user moved to the trash, most recently deleted first
+ * @access  Private
+ */
+router.get('/trash', async (req, res) => {
+  try {
+    const tasks = await Task.find({ userId: req.user.userId, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .populate(TASK_PEOPLE)
+      .lean();
+
+    res.json({
+      success: true,
+      data: tasks.map(task => ({ ...task, purgeAt: purgeDateFor(task.deletedAt) })),
+      retentionDays: TRASH_RETENTION_DAYS,
+      total: tasks.length
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve trash',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/columns
+ * @desc    Get the columns of the user's Kanban board
+ * @access  Private
+ */
+router.get('/columns', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, 'workflowColumns');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user.workflowColumns
+    });
+  } catch (error) {
+    console.error('Get workflow columns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve workflow columns',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/tasks/columns
+ * @desc    Replace the columns of the user's Kanban board. Tasks the user
+ *          created in a removed column, trashed ones included, move back
+ *          to "todo".
+ * @access  Private
+ * @body    columns - Ordered array of { key, name }; "todo" and "done" are required
+ */
+router.put('/columns', async (req, res) => {
+  try {
+    const { value: columns, error: columnsError } = parseWorkflowColumns(req.body.columns);
+    if (columnsError) {
+      return res.status(400).json({
+        success: false,
+        message: columnsError
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.workflowColumns = columns;
+    await user.save();
+
+    const removedColumnFilter = { userId: req.user.userId, workflowStatus: { $nin: columns.map(column => column.key) } };
+    const movedTasks = await Task.find(removedColumnFilter, 'userId assignees projectId');
+    // updateMany is not trash-aware: trashed tasks move too, on purpose, so
+    // they are restored into a column that still exists
+    const { modifiedCount } = await Task.updateMany(removedColumnFilter, { $set: { workflowStatus: TODO_COLUMN } });
+    movedTasks.forEach(task => publishTaskChange(task, 'moved', req.user.userId));
+
+    res.json({
+      success: true,
+      message: 'Workflow columns updated successfully',
+      data: user.workflowColumns,
+      tasksMoved: modifiedCount
+    });
+  } catch (error) {
+    console.error('Update workflow columns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update workflow columns',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/:id
+ * @desc    Get a specific task by ID
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const task = await Task.findOne({ 
+      _id: req.params.id, 
+      ...(await Task.accessFilterWithProjects(req.user.userId))
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await populatePeople(task)
+    });
+  } catch (error) {
+    console.error('Get task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve task',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/:id/history
+ * @desc    Get the activity history of a task, newest first. Label, project
+ *          and user IDs found in the changes are resolved to names in `refs`.
+ * @access  Private
+ * @query   limit - Maximum number of events (default: 50, max: 200)
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      ...(await Task.accessFilterWithProjects(req.user.userId))
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const events = await TaskEvent.find({ taskId: task._id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('userId', PEOPLE_FIELDS)
+      .lean();
+
+    // Collect the IDs referenced by changes so the timeline can show names
+    const idsOf = (field) => [...new Set(events.flatMap(event => event.changes
+      .filter(change => change.field === field)
+      .flatMap(change => [change.from, change.to].flat())
+      .filter(Boolean)))];
+
+    const [labels, projects, users] = await Promise.all([
+      Label.find({ _id: { $in: idsOf('labels') } }, 'name color').lean(),
+      Project.find({ _id: { $in: idsOf('projectId') } }, 'name color').lean(),
+      User.find({ _id: { $in: idsOf('assignees') } }, PEOPLE_FIELDS).lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: events,
+      refs: Object.fromEntries([
+        ...labels.map(label => [label._id, label.name]),
+        ...projects.map(project => [project._id, project.name]),
+        ...users.map(user => [user._id, user.fullName || user.email])
+      ]),
+      total: events.length
+    });
+  } catch (error) {
+    console.error('Get task history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve task history',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tasks
+ * @desc    Create a new task
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { title, description, priority, dueDate, progress, subtasks, labels, recurrence, assignees, projectId } = req.body;
+
+    // Input validation
+    if (!title || !description) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title and description are required'
+      });
+    }
+
+    const labelIds = labels === undefined ? [] : await resolveLabelIds(labels, req.user.userId);
+    if (!labelIds) {
+      return res.status(400).json({
+        success: false,
+        message: 'Labels must be IDs of your own labels'
+      });
+    }
+
+    const { value: recurrenceRule, error: recurrenceError } = parseRecurrence(recurrence, dueDate);
+    if (recurrenceError) {
+      return res.status(400).json({
+        success: false,
+        message: recurrenceError
+      });
+    }
+
+    const assigneeIds = assignees === undefined ? [] : await Task.resolveAssigneeIds(assignees);
+    if (!assigneeIds) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignees must be IDs of registered users'
+      });
+    }
+
+    const { value: project, error: projectError } = await resolveProjectId(projectId, req.user.userId);
+    if (projectError) {
+      return res.status(400).json({
+        success: false,
+        message: projectError
+      });
+    }
+
+    const task = new Task({
+      title: title.trim(),
+      description: description.trim(),
+      priority: priority || 'medium',
+      dueDate: dueDate ? new Date(dueDate) : null,
+      progress: progress || 0,
+      subtasks: parseSubtasks(subtasks),
+      labels: labelIds,
+      recurrence: recurrenceRule,
+      projectId: project,
+      userId: req.user.userId,
+      assignees: assigneeIds
+    });
+
+    const savedTask = await task.save();
+    await TaskEvent.record(savedTask, req.user.userId, 'created');
+
+    res.status(201).json({
+      success: true,
+      message: 'Task created successfully',
+      data: await populatePeople(savedTask)
+    });
+  } catch (error) {
+    console.error('Create task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create task',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tasks/bulk
+ * @desc    Apply one operation to several tasks. Each task succeeds or fails on
+ *          its own; the response reports the outcome per task ID.
+ * @access  Private
+ * @body    ids - Array of task IDs (max 100)
+ * @body    operation - complete, reopen, set_priority, set_due_date, move_to_project or delete
+ * @body    value - Priority, due date (null clears it) or project ID (null removes it)
+ */
+router.post('/bulk', async (req, res) => {
+  try {
+    const { ids, operation, value } = req.body;
+    const userId = req.user.userId;
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_TASKS) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide between 1 and ${MAX_BULK_TASKS} task IDs`
+      });
+    }
+
+    if (!BULK_OPERATIONS.includes(operation)) {
+      return res.status(400).json({
+        success: false,
+        message: `Operation must be one of: ${BULK_OPERATIONS.join(', ')}`
+      });
+    }
+
+    // Validate the value once for all tasks
+    let newValue = value;
+    if (operation === 'set_priority' && !['low', 'medium', 'high'].includes(value)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Priority must be low, medium or high'
+      });
+    }
+    if (operation === 'set_due_date') {
+      newValue = value ? new Date(value) : null;
+      if (newValue && isNaN(newValue.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid due date'
+        });
+      }
+    }
+    if (operation === 'move_to_project') {
+      const { value: project, error: projectError } = await resolveProjectId(value, userId);
+      if (projectError) {
+        return res.status(400).json({
+          success: false,
+          message: projectError
+        });
+      }
+      newValue = project;
+    }
+
+    const uniqueIds = [...new Set(ids.map(String))];
+    const tasks = await Task.find({
+      _id: { $in: uniqueIds.filter(id => mongoose.isValidObjectId(id)) },
+      ...(await Task.accessFilterWithProjects(userId))
+    });
+    const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+
+    const results = [];
+    for (const id of uniqueIds) {
+      const task = tasksById.get(id);
+
+      if (!task) {
+        results.push({ id, success: false, message: 'Task not found' });
+        continue;
+      }
+      if (operation === 'delete' && !task.isCreator(userId)) {
+        results.push({ id, success: false, message: 'Only the creator of a task can delete it' });
+        continue;
+      }
+
+      try {
+        const before = TaskEvent.snapshot(task);
+        let eventType = 'updated';
+
+        switch (operation) {
+          case 'complete':
+          case 'reopen':
+            task.applyStatus(operation === 'complete' ? 'complete' : 'incomplete');
+            eventType = 'status_changed';
+            break;
+          case 'set_priority':
+            task.priority = newValue;
+            break;
+          case 'set_due_date':
+            task.dueDate = newValue;
+            break;
+          case 'move_to_project':
+            task.projectId = newValue;
+            break;
+          case 'delete':
+            task.moveToTrash(userId);
+            eventType = 'deleted';
+            break;
+        }
+
+        await task.save();
+        await TaskEvent.record(task, userId, eventType, before);
+        // Only completing a recurring task schedules its next occurrence
+        const nextTask = before.status !== 'complete' && task.status === 'complete'
+          ? await task.spawnNextOccurrence()
+          : null;
+        await recordSpawned(nextTask, userId);
+
+        results.push({ id, success: true, nextOccurrenceId: nextTask ? nextTask._id : null });
+      } catch (error) {
+        console.error(`Bulk ${operation} error for task ${id}:`, error);
+        results.push({ id, success: false, message: error.message });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      success: true,
+      message: `${succeeded} of ${results.length} tasks updated`,
+      data: results,
+      succeeded,
+      failed: results.length - succeeded
+    });
+  } catch (error) {
+    console.error('Bulk task operation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply bulk operation',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/tasks/:id
+ * @desc    Update a task (creator or assignee; only the creator changes assignees)
+ * @access  Private
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { title, description, status, priority, dueDate, progress, labels, recurrence, assignees, projectId } = req.body;
+
+    const task = await Task.findOne({ 
+      _id: req.params.id, 
+      ...(await Task.accessFilterWithProjects(req.user.userId))
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const before = TaskEvent.snapshot(task);
+
+    // Update fields if provided
+    if (title !== undefined) task.title = title.trim();
+    if (description !== undefined) task.description = description.trim();
+    if (status !== undefined) task.applyStatus(status);
+    if (priority !== undefined) task.priority = priority;
+    if (dueDate !== undefined) task.dueDate = dueDate ? new Date(dueDate) : null;
+    // Progress of a task with a checklist is rolled up from its subtasks
+    if (progress !== undefined && task.subtasks.length === 0) {
+      task.progress = Math.min(Math.max(progress, 0), 100);
+    }
+    if (assignees !== undefined) {
+      if (!task.isCreator(req.user.userId) && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the creator of a task can change its assignees'
+        });
+      }
+      const assigneeIds = await Task.resolveAssigneeIds(assignees);
+      if (!assigneeIds) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assignees must be IDs of registered users'
+        });
+      }
+      task.assignees = assigneeIds;
+    }
+    if (projectId !== undefined) {
+      const { value: project, error: projectError } = await resolveProjectId(projectId, req.user.userId);
+      if (projectError) {
+        return res.status(400).json({
+          success: false,
+          message: projectError
+        });
+      }
+      task.projectId = project;
+    }
+    if (labels !== undefined) {
+      // Labels belong to the task's creator, also when an assignee edits it
+      const labelIds = await resolveLabelIds(labels, task.userId);
+      if (!labelIds) {
+        return res.status(400).json({
+          success: false,
+          message: 'Labels must be IDs of your own labels'
+        });
+      }
+      task.labels = labelIds;
+    }
+    if (recurrence !== undefined) {
+      const { value: recurrenceRule, error: recurrenceError } = parseRecurrence(recurrence, task.dueDate);
+      if (recurrenceError) {
+        return res.status(400).json({
+          success: false,
+          message: recurrenceError
+        });
+      }
+      // Keep the task's place in its series when only the schedule changes
+      task.recurrence = recurrenceRule && {
+        ...recurrenceRule,
+        occurrence: task.recurrence?.occurrence || 1,
+        seriesId: task.recurrence?.seriesId || null,
+        nextTaskId: task.recurrence?.nextTaskId || null
+      };
+    }
+
+    const updatedTask = await task.save();
+    await TaskEvent.record(updatedTask, req.user.userId, 'updated', before);
+    // Only completing a recurring task schedules its next occurrence
+    const nextTask = before.status !== 'complete' && updatedTask.status === 'complete'
+      ? await updatedTask.spawnNextOccurrence()
+      : null;
+    await recordSpawned(nextTask, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Task updated successfully',
+      data: await populatePeople(updatedTask),
+      nextOccurrence: await populatePeople(nextTask)
+    });
+  } catch (error) {
+    console.error('Update task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update task',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/tasks/:id/status
+ * @desc    Toggle task completion status
+ * @access  Private
+ */
+router.patch('/:id/status', async (req, res) => {
+  try {
+    const task = await Task.findOne({ 
+      _id: req.params.id, 
+      ...(await Task.accessFilterWithProjects(req.user.userId))
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const before = TaskEvent.snapshot(task);
+
+    // Toggle status (checks or clears every checklist item)
+    task.applyStatus(task.status === 'complete' ? 'incomplete' : 'complete');
+    const updatedTask = await task.save();
+    await TaskEvent.record(updatedTask, req.user.userId, 'status_changed', before);
+    // Completing an occurrence of a recurring task schedules the next one
+    const nextTask = await updatedTask.spawnNextOccurrence();
+    await recordSpawned(nextTask, req.user.userId);
+
+    res.json({
+      success: true,
+      message: `Task marked as ${task.status}`,
+      data: await populatePeople(updatedTask),
+      nextOccurrence: await populatePeople(nextTask)
+    });
+  } catch (error) {
+    console.error('Toggle task status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update task status',
+      error: error.message
+    });
+  }
+});
+
 /**
- * @route   GET /api/tasks
- * @desc    Get all tasks for the authenticated user with optional filtering
+ * @route   PATCH /api/tasks/:id/move
+ * @desc    Move a task on the Kanban board, within its column or to another one.
+ *          Moving into "done" completes the task; moving out of it reopens the task.
+ *          Tasks in a column the user does not have are neighbours in "todo".
  * @access  Private
- * @query   status - Filter by completion status (complete, incomplete)
- * @query   search - Search by title or description
- * @query   priority - Filter by priority (low, medium, high)
+ * @body    workflowStatus - Key of the target column
+ * @body    prevTaskId - Task placed just above, if any
+ * @body    nextTaskId - Task placed just below, if any
  */
-router.get('/', async (req, res) => {
+router.patch('/:id/move', async (req, res) => {
   try {
-    const { status, search, priority } = req.query;
+    const { workflowStatus, prevTaskId, nextTaskId } = req.body;
     const userId = req.user.userId;
 
-    // Build query object
-    let query = { userId };
+    const user = await User.findById(userId, 'workflowColumns');
+    if (!user || !user.workflowColumns.some(column => column.key === workflowStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Target column does not exist on your board'
+      });
+    }
+
+    const access = await Task.accessFilterWithProjects(userId);
+    const task = await Task.findOne({ _id: req.params.id, ...access });
 
-    // Add status filter
-    if (status && ['complete', 'incomplete'].includes(status)) {
-      query.status = status;
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
     }
 
-    // Add priority filter
-    if (priority && ['low', 'medium', 'high'].includes(priority)) {
-      query.priority = priority;
+    const neighbourIds = [prevTaskId, nextTaskId].filter(Boolean);
+    if (!neighbourIds.every(id => mongoose.isValidObjectId(id) && String(id) !== String(task._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid neighbouring task ID'
+      });
     }
 
-    // Add search functionality
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    // Columns are per user but tasks are shared: the board shows a task in a
+    // column this user does not have (another user's, or one removed) under
+    // "todo", so such tasks count as neighbours there
+    const otherColumnKeys = user.workflowColumns.map(column => column.key).filter(key => key !== TODO_COLUMN);
+    const columnMatch = workflowStatus === TODO_COLUMN ? { $nin: otherColumnKeys } : workflowStatus;
+    const columnFilter = { ...access, workflowStatus: columnMatch, _id: { $ne: task._id } };
+    const findNeighbours = async () => {
+      const neighbours = await Task.find({ ...columnFilter, _id: { $in: neighbourIds } }, 'rank');
+      const rankOf = id => neighbours.find(neighbour => neighbour._id.equals(id))?.rank;
+      return { prevRank: prevTaskId ? rankOf(prevTaskId) : null, nextRank: nextTaskId ? rankOf(nextTaskId) : null };
+    };
+
+    let { prevRank, nextRank } = await findNeighbours();
+    if (prevRank === undefined || nextRank === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Neighbouring tasks must be in the target column'
+      });
     }
 
-    const tasks = await Task.find(query).sort({ createdAt: -1 });
+    if (prevRank !== null && nextRank !== null && prevRank >= nextRank) {
+      return res.status(400).json({
+        success: false,
+        message: 'The task above must come before the task below'
+      });
+    }
 
-    // Calculate counts for frontend filter component
-    const allTasks = await Task.find({ userId });
-    const counts = {
-      all: allTasks.length,
-      complete: allTasks.filter(task => task.status === 'complete').length,
-      incomplete: allTasks.filter(task => task.status === 'incomplete').length
-    };
+    let rank = rankBetween(prevRank, nextRank);
+    if (rank === null) {
+      // No room left between the neighbours: spread the column out and retry
+      const columnTasks = await Task.find(columnFilter, '_id').sort({ rank: 1 });
+      await Task.bulkWrite(columnTasks.map((columnTask, index) => ({
+        updateOne: { filter: { _id: columnTask._id }, update: { $set: { rank: (index + 1) * RANK_STEP } } }
+      })));
+      ({ prevRank, nextRank } = await findNeighbours());
+      rank = rankBetween(prevRank, nextRank);
+    }
+    if (rank === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'The task cannot be placed between these tasks'
+      });
+    }
+
+    const before = TaskEvent.snapshot(task);
+    task.setWorkflowStatus(workflowStatus);
+    task.rank = rank;
+    const updatedTask = await task.save();
+    // Reordering within a column changes no tracked field and is not recorded
+    await TaskEvent.record(updatedTask, userId, 'moved', before);
+    // Dropping an occurrence of a recurring task into "done" schedules the next one
+    const nextTask = await updatedTask.spawnNextOccurrence();
+    await recordSpawned(nextTask, userId);
 
     res.json({
       success: true,
-      data: tasks,
-      counts,
-      total: tasks.length
+      message: 'Task moved successfully',
+      data: await populatePeople(updatedTask),
+      nextOccurrence: await populatePeople(nextTask)
     });
   } catch (error) {
-    console.error('Get tasks error:', error);
+    console.error('Move task error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve tasks',
+      message: 'Failed to move task',
       error: error.message
     });
   }
 });
 
 /**
- * @route   GET /api/tasks/:id
- * @desc    Get a specific task by ID
+ * @route   DELETE /api/tasks/:id
+ * @desc    Move a task to the trash (creator only). Trashed tasks are purged
+ *          after the retention period unless restored.
  * @access  Private
  */
-router.get('/:id', async (req, res) => {
+router.delete('/:id', async (req, res) => {
   try {
+    // Only the creator may delete; assignees get a 404 like anyone else
     const task = await Task.findOne({ 
       _id: req.params.id, 
       userId: req.user.userId 
@@ -87,75 +1204,84 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    task.moveToTrash(req.user.userId);
+    const trashedTask = await task.save();
+    await TaskEvent.record(trashedTask, req.user.userId, 'deleted');
+
     res.json({
       success: true,
-      data: task
+      message: 'Task moved to trash',
+      data: { ...trashedTask.toObject(), purgeAt: purgeDateFor(trashedTask.deletedAt) }
     });
   } catch (error) {
-    console.error('Get task error:', error);
+    console.error('Delete task error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve task',
+      message: 'Failed to delete task',
       error: error.message
     });
   }
 });
 
 /**
- * @route   POST /api/tasks
- * @desc    Create a new task
+ * @route   POST /api/tasks/:id/restore
+ * @desc    Restore a task from the trash (creator only)
  * @access  Private
  */
-router.post('/', async (req, res) => {
+router.post('/:id/restore', async (req, res) => {
   try {
-    const { title, description, priority, dueDate, progress } = req.body;
+    const task = await Task.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      deletedAt: { $ne: null }
+    });
 
-    // Input validation
-    if (!title || !description) {
-      return res.status(400).json({
+    if (!task) {
+      return res.status(404).json({
         success: false,
-        message: 'Title and description are required'
+        message: 'Task not found in trash'
       });
     }
 
-    const task = new Task({
-      title: title.trim(),
-      description: description.trim(),
-      priority: priority || 'medium',
-      dueDate: dueDate ? new Date(dueDate) : null,
-      progress: progress || 0,
-      userId: req.user.userId
-    });
-
-    const savedTask = await task.save();
+    task.restoreFromTrash();
+    const restoredTask = await task.save();
+    await TaskEvent.record(restoredTask, req.user.userId, 'restored');
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Task created successfully',
-      data: savedTask
+      message: 'Task restored successfully',
+      data: await populatePeople(restoredTask)
     });
   } catch (error) {
-    console.error('Create task error:', error);
+    console.error('Restore task error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create task',
+      message: 'Failed to restore task',
       error: error.message
     });
   }
 });
 
 /**
- * @route   PUT /api/tasks/:id
- * @desc    Update a task
+ * @route   PATCH /api/tasks/:id/progress
+ * @desc    Update task progress
  * @access  Private
  */
-router.put('/:id', async (req, res) => {
+router.patch('/:id/progress', async (req, res) => {
   try {
-    const { title, description, status, priority, dueDate, progress } = req.body;
+    const { progress } = req.body;
+
+    // Validate progress value
+    if (progress === undefined || progress < 0 || progress > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Progress must be between 0 and 100'
+      });
+    }
 
     const task = await Task.findOne({ 
       _id: req.params.id, 
-      userId: req.user.userId 
+      ...(await Task.accessFilterWithProjects(req.user.userId))
     });
 
     if (!task) {
@@ -165,41 +1291,58 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // Update fields if provided
-    if (title !== undefined) task.title = title.trim();
-    if (description !== undefined) task.description = description.trim();
-    if (status !== undefined) task.status = status;
-    if (priority !== undefined) task.priority = priority;
-    if (dueDate !== undefined) task.dueDate = dueDate ? new Date(dueDate) : null;
-    if (progress !== undefined) task.progress = Math.min(Math.max(progress, 0), 100);
+    if (task.subtasks.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Progress is calculated from subtasks for tasks with a checklist'
+      });
+    }
+
+    const before = TaskEvent.snapshot(task);
+
+    // Update progress
+    task.progress = Math.min(Math.max(progress, 0), 100);
+    
+    // If progress is 100%, mark as complete
+    if (task.progress === 100) {
+      task.status = 'complete';
+    } else if (task.progress > 0 && task.status === 'complete') {
+      // If progress is less than 100% but was complete, mark as incomplete
+      task.status = 'incomplete';
+    }
 
     const updatedTask = await task.save();
+    await TaskEvent.record(updatedTask, req.user.userId, 'progress_changed', before);
+    // Completing an occurrence of a recurring task schedules the next one
+    const nextTask = await updatedTask.spawnNextOccurrence();
+    await recordSpawned(nextTask, req.user.userId);
 
     res.json({
       success: true,
-      message: 'Task updated successfully',
-      data: updatedTask
+      message: `Progress updated to ${task.progress}%`,
+      data: await populatePeople(updatedTask),
+      nextOccurrence: await populatePeople(nextTask)
     });
   } catch (error) {
-    console.error('Update task error:', error);
+    console.error('Update progress error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update task',
+      message: 'Failed to update progress',
       error: error.message
     });
   }
 });
 
 /**
- * @route   PATCH /api/tasks/:id/status
- * @desc    Toggle task completion status
+ * @route   GET /api/tasks/:id/subtasks
+ * @desc    Get the checklist of a task
  * @access  Private
  */
-router.patch('/:id/status', async (req, res) => {
+router.get('/:id/subtasks', async (req, res) => {
   try {
     const task = await Task.findOne({ 
       _id: req.params.id, 
-      userId: req.user.userId 
+      ...(await Task.accessFilterWithProjects(req.user.userId))
     });
 
     if (!task) {
@@ -209,35 +1352,42 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
 
-    // Toggle status
-    task.status = task.status === 'complete' ? 'incomplete' : 'complete';
-    const updatedTask = await task.save();
-
     res.json({
       success: true,
-      message: `Task marked as ${task.status}`,
-      data: updatedTask
+      data: task.subtasks,
+      progress: task.progress
     });
   } catch (error) {
-    console.error('Toggle task status error:', error);
+    console.error('Get subtasks error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update task status',
+      message: 'Failed to retrieve subtasks',
       error: error.message
     });
   }
 });
 
 /**
- * @route   DELETE /api/tasks/:id
- * @desc    Delete a task
+ * @route   POST /api/tasks/:id/subtasks
+ * @desc    Add a checklist item to a task
  * @access  Private
+ * @body    title - Subtask title
+ * @body    position - Optional index to insert at (defaults to the end)
  */
-router.delete('/:id', async (req, res) => {
+router.post('/:id/subtasks', async (req, res) => {
   try {
-    const task = await Task.findOneAndDelete({ 
+    const { title, position } = req.body;
+
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subtask title is required'
+      });
+    }
+
+    const task = await Task.findOne({ 
       _id: req.params.id, 
-      userId: req.user.userId 
+      ...(await Task.accessFilterWithProjects(req.user.userId))
     });
 
     if (!task) {
@@ -247,121 +1397,183 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    res.json({
+    const before = TaskEvent.snapshot(task);
+
+    const index = Number.isInteger(position)
+      ? Math.min(Math.max(position, 0), task.subtasks.length)
+      : task.subtasks.length;
+    task.subtasks.splice(index, 0, { title: title.trim() });
+
+    const updatedTask = await task.save();
+    await TaskEvent.record(updatedTask, req.user.userId, 'progress_changed', before);
+
+    res.status(201).json({
       success: true,
-      message: 'Task deleted successfully',
-      data: task
+      message: 'Subtask added successfully',
+      data: await populatePeople(updatedTask)
     });
   } catch (error) {
-    console.error('Delete task error:', error);
+    console.error('Create subtask error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete task',
+      message: 'Failed to add subtask',
       error: error.message
     });
   }
 });
 
 /**
- * @route   GET /api/tasks/stats/summary
- * @desc    Get task statistics for the user
+ * @route   PATCH /api/tasks/:id/subtasks/reorder
+ * @desc    Reorder the checklist of a task
  * @access  Private
+ * @body    order - Array with every subtask ID in the new order
  */
-router.get('/stats/summary', async (req, res) => {
+router.patch('/:id/subtasks/reorder', async (req, res) => {
   try {
-    const userId = req.user.userId;
-    
-         
-     const stats = await Task.aggregate([
-       { $match: { userId: mongoose.Types.ObjectId(userId) } },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          completed: { $sum: { $cond: [{ $eq: ['$status', 'complete'] }, 1, 0] } },
-          incomplete: { $sum: { $cond: [{ $eq: ['$status', 'incomplete'] }, 1, 0] } },
-          highPriority: { $sum: { $cond: [{ $eq: ['$priority', 'high'] }, 1, 0] } },
-          mediumPriority: { $sum: { $cond: [{ $eq: ['$priority', 'medium'] }, 1, 0] } },
-          lowPriority: { $sum: { $cond: [{ $eq: ['$priority', 'low'] }, 1, 0] } }
-        }
-      }
-    ]);
+    const { order } = req.body;
 
-    const result = stats[0] || {
-      total: 0,
-      completed: 0,
-      incomplete: 0,
-      highPriority: 0,
-      mediumPriority: 0,
-      lowPriority: 0
-    };
+    const task = await Task.findOne({ 
+      _id: req.params.id, 
+      ...(await Task.accessFilterWithProjects(req.user.userId))
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const currentIds = task.subtasks.map(subtask => subtask._id.toString());
+    if (
+      !Array.isArray(order) ||
+      order.length !== currentIds.length ||
+      !currentIds.every(id => order.includes(id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must list every subtask ID exactly once'
+      });
+    }
+
+    task.subtasks = order.map(id => task.subtasks.id(id).toObject());
+    const updatedTask = await task.save();
+    publishTaskChange(updatedTask, 'subtasks_reordered', req.user.userId);
 
     res.json({
       success: true,
-      data: result
+      message: 'Subtasks reordered successfully',
+      data: await populatePeople(updatedTask)
     });
   } catch (error) {
-    console.error('Get task stats error:', error);
+    console.error('Reorder subtasks error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve task statistics',
+      message: 'Failed to reorder subtasks',
       error: error.message
     });
   }
 });
 
 /**
- * @route   PATCH /api/tasks/:id/progress
- * @desc    Update task progress
+ * @route   PUT /api/tasks/:id/subtasks/:subtaskId
+ * @desc    Rename or check/uncheck a checklist item
  * @access  Private
  */
-router.patch('/:id/progress', async (req, res) => {
+router.put('/:id/subtasks/:subtaskId', async (req, res) => {
   try {
-    const { progress } = req.body;
+    const { title, done } = req.body;
 
-    // Validate progress value
-    if (progress === undefined || progress < 0 || progress > 100) {
-      return res.status(400).json({
+    const task = await Task.findOne({ 
+      _id: req.params.id, 
+      ...(await Task.accessFilterWithProjects(req.user.userId))
+    });
+
+    const subtask = task && task.subtasks.id(req.params.subtaskId);
+
+    if (!subtask) {
+      return res.status(404).json({
         success: false,
-        message: 'Progress must be between 0 and 100'
+        message: task ? 'Subtask not found' : 'Task not found'
       });
     }
 
+    const before = TaskEvent.snapshot(task);
+
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Subtask title cannot be empty'
+        });
+      }
+      subtask.title = title.trim();
+    }
+
+    if (done !== undefined) {
+      subtask.done = Boolean(done);
+      subtask.completedAt = subtask.done ? new Date() : null;
+    }
+
+    const updatedTask = await task.save();
+    await TaskEvent.record(updatedTask, req.user.userId, 'progress_changed', before);
+    // Checking the last item completes the task, which may continue a series
+    const nextTask = await updatedTask.spawnNextOccurrence();
+    await recordSpawned(nextTask, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Subtask updated successfully',
+      data: await populatePeople(updatedTask),
+      nextOccurrence: await populatePeople(nextTask)
+    });
+  } catch (error) {
+    console.error('Update subtask error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update subtask',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/tasks/:id/subtasks/:subtaskId
+ * @desc    Remove a checklist item
+ * @access  Private
+ */
+router.delete('/:id/subtasks/:subtaskId', async (req, res) => {
+  try {
     const task = await Task.findOne({ 
       _id: req.params.id, 
-      userId: req.user.userId 
+      ...(await Task.accessFilterWithProjects(req.user.userId))
     });
 
-    if (!task) {
+    const subtask = task && task.subtasks.id(req.params.subtaskId);
+
+    if (!subtask) {
       return res.status(404).json({
         success: false,
-        message: 'Task not found'
+        message: task ? 'Subtask not found' : 'Task not found'
       });
     }
 
-    // Update progress
-    task.progress = Math.min(Math.max(progress, 0), 100);
-    
-    // If progress is 100%, mark as complete
-    if (task.progress === 100) {
-      task.status = 'complete';
-    } else if (task.progress > 0 && task.status === 'complete') {
-      // If progress is less than 100% but was complete, mark as incomplete
-      task.status = 'incomplete';
-    }
+    const before = TaskEvent.snapshot(task);
 
+    subtask.deleteOne();
     const updatedTask = await task.save();
+    await TaskEvent.record(updatedTask, req.user.userId, 'progress_changed', before);
 
     res.json({
       success: true,
-      message: `Progress updated to ${task.progress}%`,
-      data: updatedTask
+      message: 'Subtask deleted successfully',
+      data: await populatePeople(updatedTask)
     });
   } catch (error) {
-    console.error('Update progress error:', error);
+    console.error('Delete subtask error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update progress',
+      message: 'Failed to delete subtask',
       error: error.message
     });
   }
@@ -0,0 +1,227 @@
+/* eslint-env node */
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const Task = require('../models/Task');
+const TaskEvent = require('../models/TaskEvent');
+const Label = require('../models/Label');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { toCsvRow } = require('../utils/csv');
+const {
+  EXPORT_FIELDS,
+  taskToRecord,
+  recordToCsvCells,
+  readImportRecords,
+  buildImportedTask
+} = require('../utils/taskTransfer');
+
+// Mounted on /api/tasks by taskRoutes, which applies `protect`
+
+const MAX_IMPORT_SIZE_MB = 2;
+const FORMATS = ['csv', 'json'];
+const IMPORT_FORMATS = [...FORMATS, 'ics'];
+const MIME_FORMATS = { 'text/csv': 'csv', 'application/json': 'json', 'text/calendar': 'ics' };
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_SIZE_MB * 1024 * 1024, files: 1 }
+});
+
+// Parse the "file" multipart field, turning upload errors into JSON responses
+const handleUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `Import files cannot exceed ${MAX_IMPORT_SIZE_MB} MB`
+        : 'Upload one file in the "file" field'
+    });
+  });
+};
+
+/**
+ * Work out the format of an uploaded import file
+ * @param {Object} file - Multer file
+ * @param {string} [requested] - Format named in the request
+ * @returns {string|null} csv, json, ics, or null when unknown
+ */
+const detectFormat = (file, requested) => {
+  if (IMPORT_FORMATS.includes(requested)) return requested;
+  const extension = file.originalname.split('.').pop().toLowerCase();
+  if (IMPORT_FORMATS.includes(extension)) return extension;
+  return MIME_FORMATS[file.mimetype] || null;
+};
+
+/**
+ * @route   GET /api/tasks/export
+ * @desc    Download every task the user created or is assigned to, streamed
+ *          as CSV or JSON. Trashed tasks are not exported.
+ * @access  Private
+ * @query   format - csv (default) or json
+ */
+router.get('/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format must be csv or json'
+    });
+  }
+
+  try {
+    const cursor = Task.find(Task.accessFilter(req.user.userId))
+      .sort({ createdAt: 1 })
+      .populate('labels', 'name')
+      .populate('projectId', 'name')
+      .populate('assignees', 'email')
+      .lean()
+      .cursor();
+
+    const filename = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      // Byte order mark so spreadsheet apps read the file as UTF-8
+      res.write('\uFEFF' + toCsvRow(EXPORT_FIELDS));
+    } else {
+      res.write('[\n');
+    }
+
+    let count = 0;
+    for await (const task of cursor) {
+      const record = taskToRecord(task);
+      if (format === 'csv') {
+        res.write(toCsvRow(recordToCsvCells(record)));
+      } else {
+        res.write(`${count > 0 ? ',\n' : ''}${JSON.stringify(record)}`);
+      }
+      count++;
+    }
+
+    res.end(format === 'json' ? '\n]\n' : '');
+  } catch (error) {
+    console.error('Export tasks error:', error);
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export tasks',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tasks/import
+ * @desc    Create tasks from a CSV, JSON or iCalendar file. Every row is
+ *          validated on its own: valid rows are imported, invalid ones are
+ *          reported with their errors. Unknown label names are created as
+ *          new labels.
+ * @access  Private
+ * @body    file - CSV (header row with a title column), JSON array of tasks,
+ *          or .ics file whose events and to-dos become tasks
+ * @body    format - csv, json or ics (default: from the file name)
+ * @body    dryRun - true to only validate and report what would be imported
+ */
+router.post('/import', handleUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const format = detectFormat(req.file, req.body.format);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a .csv, .json or .ics file'
+      });
+    }
+
+    const { records, error: fileError } = readImportRecords(req.file.buffer.toString('utf8'), format);
+    if (fileError) {
+      return res.status(400).json({
+        success: false,
+        message: fileError
+      });
+    }
+
+    const userId = req.user.userId;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const [labels, projects, user] = await Promise.all([
+      Label.find({ userId }),
+      Project.find({ ...Project.accessFilter(userId), archived: false }),
+      User.findById(userId, 'workflowColumns')
+    ]);
+    const context = {
+      userId,
+      labelsByName: new Map(labels.map(label => [label.name.toLowerCase(), label])),
+      projectsByName: new Map(projects.map(project => [project.name.toLowerCase(), project])),
+      columnKeys: new Set((user?.workflowColumns || []).map(column => column.key))
+    };
+
+    const valid = [];
+    const errors = [];
+    const newLabels = new Map();
+    for (const { row, data } of records) {
+      const result = await buildImportedTask(data, context);
+      if (result.errors.length > 0) {
+        errors.push({ row, title: data?.title || null, errors: result.errors });
+      } else {
+        valid.push(result);
+        result.newLabels.forEach(name => newLabels.set(name.toLowerCase(), name));
+      }
+    }
+
+    let imported = 0;
+    if (!dryRun) {
+      for (const name of newLabels.values()) {
+        const label = await Label.create({ userId, name });
+        context.labelsByName.set(name.toLowerCase(), label);
+      }
+
+      // Keep the file order within each board column
+      const baseRank = Date.now();
+      for (const [index, { task, newLabels: names }] of valid.entries()) {
+        task.labels.push(...names.map(name => context.labelsByName.get(name.toLowerCase())._id));
+        task.rank = baseRank + index;
+        await task.save();
+        await TaskEvent.record(task, userId, 'created');
+        imported++;
+      }
+    }
+
+    res.status(dryRun || imported === 0 ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `${valid.length} of ${records.length} tasks can be imported`
+        : `${imported} of ${records.length} tasks imported`,
+      dryRun,
+      data: {
+        total: records.length,
+        valid: valid.length,
+        invalid: errors.length,
+        imported,
+        newLabels: [...newLabels.values()],
+        errors
+      }
+    });
+  } catch (error) {
+    console.error('Import tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import tasks',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const express = require('express');
 const router = express.Router();
 const UserLog = require('../models/UserLog');
 const { protect, adminOnly } = require('../middleware/authMiddleware');
+const { publish } = require('../events');
+const { revokeSession } = require('../utils/authTokens');
 
 // Apply authentication and admin authorization to all routes
 router.use(protect);
@@ -179,6 +181,47 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/admin/user-logs/:id/revoke
+ * @desc    Kill the session of a login log: its tokens stop working at once
+ *          and the user has to log in again
+ * @access  Admin only
+ */
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    const log = await UserLog.findById(req.params.id);
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'User log not found'
+      });
+    }
+
+    if (log.action !== 'login' || log.status !== 'active' || !log.jwtTokenId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active login sessions can be revoked'
+      });
+    }
+
+    await revokeSession(log.jwtTokenId, { userId: log.userId, reason: 'admin' });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: await UserLog.findById(log._id)
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/admin/user-logs/:id
  * @desc    Delete a specific user log
@@ -197,6 +240,8 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    publish('user_log.changed', { logId: id, action: 'deleted' }, { roles: ['admin'] });
+
     res.json({
       success: true,
       message: 'User log deleted successfully',
@@ -244,6 +289,9 @@ router.delete('/', async (req, res) => {
     }
 
     const result = await UserLog.deleteMany(deleteQuery);
+    if (result.deletedCount > 0) {
+      publish('user_log.changed', { logId: null, action: 'deleted' }, { roles: ['admin'] });
+    }
 
     res.json({
       success: true,
@@ -0,0 +1,184 @@
+/* eslint-env node */
+const express = require('express');
+const router = express.Router();
+const SavedView = require('../models/SavedView');
+const { protect } = require('../middleware/authMiddleware');
+
+const MAX_VIEWS = 20;
+
+// Apply authentication middleware to all saved view routes
+router.use(protect);
+
+/**
+ * Send the response for a failed save of a view
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while saving
+ * @param {string} action - What failed, for the 500 message
+ */
+const sendSaveError = (res, error, action) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A view with this name already exists'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${action} view error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action.toLowerCase()} view`,
+    error: error.message
+  });
+};
+
+/**
+ * @route   GET /api/views
+ * @desc    Get the saved task list views of the authenticated user
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const views = await SavedView.find({ userId: req.user.userId }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: views
+    });
+  } catch (error) {
+    console.error('Get views error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve views',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/views
+ * @desc    Save the current task list filters and sort under a name
+ * @access  Private
+ * @body    name - View name
+ * @body    filters - { scope, projectId, status, priority, due, dueAfter, dueBefore,
+ *          search, labels, labelMatch, sort }; missing filters are left unset
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, filters } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'View name is required'
+      });
+    }
+
+    const viewCount = await SavedView.countDocuments({ userId: req.user.userId });
+    if (viewCount >= MAX_VIEWS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_VIEWS} views`
+      });
+    }
+
+    const view = await SavedView.create({
+      userId: req.user.userId,
+      name: name.trim(),
+      filters
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved successfully',
+      data: view
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'Create');
+  }
+});
+
+/**
+ * @route   PUT /api/views/:id
+ * @desc    Rename a view or replace its filters
+ * @access  Private
+ * @body    name - New view name
+ * @body    filters - New filters, replacing all of the old ones
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, filters } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'View name is required'
+      });
+    }
+
+    const view = await SavedView.findOne({
+      _id: req.params.id,
+      userId: req.user.userId
+    });
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    if (name !== undefined) view.name = name.trim();
+    if (filters !== undefined) view.filters = filters;
+
+    const updatedView = await view.save();
+
+    res.json({
+      success: true,
+      message: 'View updated successfully',
+      data: updatedView
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'Update');
+  }
+});
+
+/**
+ * @route   DELETE /api/views/:id
+ * @desc    Delete a saved view
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const view = await SavedView.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user.userId
+    });
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'View deleted successfully',
+      data: view
+    });
+  } catch (error) {
+    console.error('Delete view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete view',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/* eslint-env node */
+const path = require('path');
+const createLocalDiskStorage = require('./localDiskStorage');
+require('dotenv').config();
+
+/**
+ * Storage backend for task attachments.
+ *
+ * A storage driver is an object with:
+ *   save({ buffer, originalName, mimeType }) -> Promise<{ key, size }>
+ *   createReadStream(key)                   -> Readable stream
+ *   remove(key)                             -> Promise<void>
+ *
+ * The driver is chosen with STORAGE_DRIVER (default "local"). Other
+ * backends can be added with registerStorageDriver before first use.
+ */
+const drivers = {
+  local: () => createLocalDiskStorage({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads')
+  })
+};
+
+let storage = null;
+
+// Register a factory for an additional storage driver
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+// Get the configured storage driver (created once)
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver "${name}"`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+module.exports = { getStorage, registerStorageDriver };
@@ -0,0 +1,53 @@
+/* eslint-env node */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Storage driver that keeps files on the local filesystem under `root`.
+ * Keys look like "2025/03/<uuid>.pdf"; the original file name is kept in
+ * the database, never on disk.
+ */
+const createLocalDiskStorage = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  // Resolve a key to an absolute path, refusing anything outside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  const save = async ({ buffer, originalName }) => {
+    const now = new Date();
+    const extension = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+    const key = [
+      String(now.getFullYear()),
+      String(now.getMonth() + 1).padStart(2, '0'),
+      `${crypto.randomUUID()}${extension}`
+    ].join('/');
+
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return { key, size: buffer.length };
+  };
+
+  const createReadStream = (key) => fs.createReadStream(resolveKey(key));
+
+  const remove = async (key) => {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      // Already gone is fine
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  return { save, createReadStream, remove };
+};
+
+module.exports = createLocalDiskStorage;
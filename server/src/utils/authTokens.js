@@ -0,0 +1,215 @@
+/* eslint-env node */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const User = require('../models/User');
+const UserLog = require('../models/UserLog');
+const { disconnectSession } = require('../events');
+require('dotenv').config();
+
+// Lifetime of access tokens, in jsonwebtoken's format (e.g. "15m")
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+// Days a refresh token stays usable; each refresh starts a new period
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// How long an access token stays valid, in ms, as jsonwebtoken reads ACCESS_TOKEN_TTL
+const ACCESS_TOKEN_LIFETIME_MS = (() => {
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn: ACCESS_TOKEN_TTL }));
+  return (exp - iat) * 1000;
+})();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token
+ * @param {Object} user - User with _id, role and email
+ * @param {string} jti - Session ID
+ * @returns {string} JWT
+ */
+const signAccessToken = (user, jti) => jwt.sign(
+  {
+    userId: user._id,
+    role: user.role,
+    email: user.email,
+    jti // JWT ID for tracking; the same for every access token of a session
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Store a new refresh token in a session's family
+ * @param {string|ObjectId} userId - Owner
+ * @param {string} familyId - Session ID
+ * @returns {Promise<string>} The token; only its hash is stored
+ */
+const createRefreshToken = async (userId, familyId) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    userId,
+    familyId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return token;
+};
+
+/**
+ * Start a login session
+ * @param {Object} user - User with _id, role and email
+ * @returns {Promise<{ jti: string, token: string, refreshToken: string }>} Session ID and its first tokens
+ */
+const createSession = async (user) => {
+  const jti = crypto.randomUUID();
+  return {
+    jti,
+    token: signAccessToken(user, jti),
+    refreshToken: await createRefreshToken(user._id, jti)
+  };
+};
+
+/**
+ * Revoke every refresh token of a session, so it cannot be refreshed again
+ * @param {string} familyId - Session ID
+ * @returns {Promise<void>}
+ */
+const revokeTokenFamily = async (familyId) => {
+  await RefreshToken.updateMany({ familyId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token. Each
+ * refresh token works once: presenting one that was already exchanged
+ * means it leaked, so the whole session is revoked, access tokens included.
+ * @param {string} token - Refresh token
+ * @returns {Promise<{ value: Object|null, error: string|null }>} { token, refreshToken, jti, user }, or an error message
+ */
+const rotateRefreshToken = async (token) => {
+  if (typeof token !== 'string' || !token) {
+    return { value: null, error: 'Refresh token is required' };
+  }
+
+  const tokenHash = hashToken(token);
+  const now = new Date();
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+    if (known?.usedAt && !known.revokedAt) {
+      // The session's current access token may be in the wrong hands too
+      await revokeSession(known.familyId, { userId: known.userId, reason: 'reuse' });
+      console.warn(`Refresh token reuse detected; revoked session ${known.familyId}`);
+    }
+    return { value: null, error: 'Invalid or expired refresh token' };
+  }
+
+  const user = await User.findById(current.userId, 'role email fullName');
+  if (!user) {
+    await revokeTokenFamily(current.familyId);
+    return { value: null, error: 'Invalid or expired refresh token' };
+  }
+
+  return {
+    value: {
+      token: signAccessToken(user, current.familyId),
+      refreshToken: await createRefreshToken(user._id, current.familyId),
+      jti: current.familyId,
+      user
+    },
+    error: null
+  };
+};
+
+/**
+ * Session a refresh token belongs to, if it is known
+ * @param {string} token - Refresh token
+ * @returns {Promise<{ jti: string, userId: ObjectId }|null>} Session ID and owner
+ */
+const sessionOfRefreshToken = async (token) => {
+  if (typeof token !== 'string' || !token) return null;
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) }, 'familyId userId');
+  return stored ? { jti: stored.familyId, userId: stored.userId } : null;
+};
+
+/**
+ * End a session right away: its refresh tokens stop working and protect
+ * rejects its access tokens until the last of them would have expired.
+ * Open event streams of the session are closed and its login log is
+ * marked revoked.
+ * @param {string} jti - Session ID
+ * @param {Object} options
+ * @param {string|ObjectId} [options.userId] - Owner of the session
+ * @param {string} options.reason - logout, password_reset, admin (killed by
+ *   an admin), user (ended by the user from their list of sessions) or
+ *   reuse (a refresh token of the session was used twice)
+ * @returns {Promise<void>}
+ */
+const revokeSession = async (jti, { userId = null, reason }) => {
+  await revokeTokenFamily(jti);
+  await RevokedToken.updateOne(
+    { jti },
+    {
+      $setOnInsert: { userId, reason },
+      $max: { expiresAt: new Date(Date.now() + ACCESS_TOKEN_LIFETIME_MS) }
+    },
+    { upsert: true }
+  );
+  await UserLog.markSessionRevoked(jti);
+  disconnectSession(jti);
+};
+
+/**
+ * Sessions of a user that can still be refreshed
+ * @param {string|ObjectId} userId - User
+ * @returns {Promise<Array<string>>} Session IDs
+ */
+const liveSessionIds = (userId) => RefreshToken.distinct('familyId', {
+  userId,
+  usedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+/**
+ * End every session of a user
+ * @param {string|ObjectId} userId - User
+ * @param {string} reason - Why, as for revokeSession
+ * @param {Object} [options]
+ * @param {string} [options.exceptJti] - Session to keep, e.g. the current one
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, { exceptJti } = {}) => {
+  const [families, loggedIn] = await Promise.all([
+    liveSessionIds(userId),
+    UserLog.distinct('jwtTokenId', { userId, action: 'login', status: 'active' })
+  ]);
+  const jtis = [...new Set([...families, ...loggedIn])].filter(jti => jti && jti !== exceptJti);
+
+  for (const jti of jtis) {
+    await revokeSession(jti, { userId, reason });
+  }
+  return jtis.length;
+};
+
+/**
+ * Whether a session was revoked
+ * @param {string} jti - Session ID
+ * @returns {Promise<boolean>}
+ */
+const isSessionRevoked = async (jti) => Boolean(await RevokedToken.exists({ jti }));
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  sessionOfRefreshToken,
+  liveSessionIds,
+  revokeSession,
+  revokeUserSessions,
+  isSessionRevoked
+};
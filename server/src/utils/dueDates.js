@@ -0,0 +1,179 @@
+/* eslint-env node */
+
+// Due date filters for task lists. Due dates are calendar days stored as
+// midnight UTC, so ranges are whole UTC days; the user's time zone only
+// decides which day "today" is.
+
+const DUE_PRESETS = ['overdue', 'today', 'thisWeek', 'next7days'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a string is an IANA time zone name known to the runtime
+ * @param {string} timeZone - e.g. "Europe/Berlin"
+ * @returns {boolean} Whether it can be used
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * The calendar day an instant falls on in a time zone
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} That day at midnight UTC, comparable with due dates
+ */
+const localDay = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' })
+      .formatToParts(instant)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+};
+
+/**
+ * How far a time zone's clocks are ahead of UTC at an instant
+ * @param {number} time - Whole-second timestamp in ms
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in ms
+ */
+const zoneOffset = (time, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    })
+      .formatToParts(new Date(time))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+};
+
+/**
+ * The instant a calendar day ends in a time zone, i.e. local midnight at
+ * the start of the next day; a task is due until then
+ * @param {Date} day - Day at midnight UTC, e.g. a due date
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} End of the day
+ */
+const dayEnd = (day, timeZone) => {
+  const nextMidnight = day.getTime() + DAY_MS;
+  // The offset at the guess, not at UTC midnight, decides around DST changes
+  const guess = nextMidnight - zoneOffset(nextMidnight, timeZone);
+  return new Date(nextMidnight - zoneOffset(guess, timeZone));
+};
+
+/**
+ * Parse a YYYY-MM-DD day
+ * @param {string} value - Day from a query string
+ * @returns {Date|null} The day at midnight UTC, or null when invalid
+ */
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Days covered by a preset, as [start, end) midnights UTC
+ * @param {string} preset - One of DUE_PRESETS
+ * @param {Date} today - Today in the user's time zone, from localDay
+ * @returns {{ start: Date|null, end: Date }} Range; overdue has no start
+ */
+const presetRange = (preset, today) => {
+  const days = (count) => new Date(today.getTime() + count * DAY_MS);
+
+  if (preset === 'overdue') return { start: null, end: today };
+  if (preset === 'today') return { start: today, end: days(1) };
+  if (preset === 'next7days') return { start: today, end: days(7) };
+
+  // thisWeek: Monday to Sunday around today
+  const sinceMonday = (today.getUTCDay() + 6) % 7;
+  return { start: days(-sinceMonday), end: days(7 - sinceMonday) };
+};
+
+/**
+ * Build the due date part of a task filter from query parameters
+ * @param {Object} params - Request query parameters
+ * @param {string} [params.due] - Preset: overdue, today, thisWeek or next7days
+ * @param {string} [params.dueAfter] - Due on or after this YYYY-MM-DD day
+ * @param {string} [params.dueBefore] - Due on or before this YYYY-MM-DD day
+ * @param {string} [params.noDueDate] - "true" for tasks without a due date
+ * @param {string} [params.timeZone] - IANA time zone for the presets (default UTC)
+ * @param {string} [params.status] - Status filter, which overdue cannot be combined with
+ * @param {Date} [now] - Current time
+ * @returns {{ value: Object, error: string|null }} Filter fields to merge into the task query, or an error message
+ */
+const dueDateFilter = (params, now = new Date()) => {
+  const { due, dueAfter, dueBefore, noDueDate, timeZone = 'UTC', status } = params;
+  const hasRange = Boolean(due || dueAfter || dueBefore);
+
+  if (noDueDate === 'true') {
+    return hasRange
+      ? { value: {}, error: 'noDueDate cannot be combined with due, dueAfter or dueBefore' }
+      : { value: { dueDate: null }, error: null };
+  }
+  if (!hasRange) return { value: {}, error: null };
+
+  if (due && !DUE_PRESETS.includes(due)) {
+    return { value: {}, error: `due must be one of: ${DUE_PRESETS.join(', ')}` };
+  }
+  if (due === 'overdue' && status === 'complete') {
+    return { value: {}, error: 'Completed tasks cannot be overdue' };
+  }
+  if (!isValidTimeZone(timeZone)) {
+    return { value: {}, error: `Unknown time zone: ${timeZone}` };
+  }
+
+  let start = null;
+  let end = null;
+  if (due) {
+    ({ start, end } = presetRange(due, localDay(now, timeZone)));
+  }
+
+  // Explicit days narrow a preset further
+  if (dueAfter) {
+    const day = parseDay(dueAfter);
+    if (!day) return { value: {}, error: 'dueAfter must be a date like 2025-01-31' };
+    if (!start || day > start) start = day;
+  }
+  if (dueBefore) {
+    const day = parseDay(dueBefore);
+    if (!day) return { value: {}, error: 'dueBefore must be a date like 2025-01-31' };
+    const dayAfter = new Date(day.getTime() + DAY_MS);
+    if (!end || dayAfter < end) end = dayAfter;
+  }
+
+  const range = {};
+  if (start) range.$gte = start;
+  if (end) range.$lt = end;
+
+  const value = { dueDate: range };
+  // Completed tasks are never overdue
+  if (due === 'overdue') value.status = 'incomplete';
+
+  return { value, error: null };
+};
+
+module.exports = {
+  DUE_PRESETS,
+  isValidTimeZone,
+  localDay,
+  dayEnd,
+  parseDay,
+  dueDateFilter
+};
@@ -0,0 +1,170 @@
+/* eslint-env node */
+
+// Helpers for iCalendar (RFC 5545) content: escaping, line folding, dates and parsing
+
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeIcsText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Undo escapeIcsText
+ * @param {string} text - Escaped text
+ * @returns {string} Raw text
+ */
+const unescapeIcsText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+/**
+ * Fold a content line so no physical line is longer than 75 octets, without
+ * splitting multi-byte characters
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line terminated by CRLF
+ */
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ') + '\r\n';
+};
+
+/**
+ * Format a content line
+ * @param {string} name - Property name
+ * @param {string} value - Property value, already escaped where needed
+ * @param {Object} [params] - Property parameters
+ * @returns {string} Folded line terminated by CRLF
+ */
+const formatIcsLine = (name, value, params = {}) => {
+  const paramText = Object.entries(params).map(([key, param]) => `;${key}=${param}`).join('');
+  return foldIcsLine(`${name}${paramText}:${value}`);
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Format the UTC calendar day of a date as a DATE value (YYYYMMDD)
+ * @param {Date} date - Date
+ * @returns {string} DATE value
+ */
+const formatIcsDate = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+
+/**
+ * Format a date as a UTC DATE-TIME value (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Date
+ * @returns {string} DATE-TIME value
+ */
+const formatIcsDateTime = (date) => (
+  `${formatIcsDate(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+);
+
+/**
+ * Read the calendar day of a DATE or DATE-TIME value. Times and time zones are
+ * dropped, since task due dates are whole days.
+ * @param {string} value - DATE or DATE-TIME value
+ * @returns {Date|null} Midnight UTC of that day, or null when the value is invalid
+ */
+const parseIcsDay = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Split a string at a separator that is not inside double quotes
+ * @param {string} text - Text to split
+ * @param {string} separator - Single separator character
+ * @param {number} [limit] - Stop after this many parts; the last part keeps the rest
+ * @returns {Array<string>} Parts
+ */
+const splitUnquoted = (text, separator, limit = Infinity) => {
+  const parts = [];
+  let start = 0;
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length && parts.length < limit - 1; i++) {
+    if (text[i] === '"') inQuotes = !inQuotes;
+    else if (text[i] === separator && !inQuotes) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+};
+
+/**
+ * Parse iCalendar content into its components
+ * @param {string} text - iCalendar content
+ * @returns {Array<{ type: string, properties: Array<{ name: string, params: Object, value: string }> }>}
+ *          Every component (VCALENDAR, VEVENT, VTODO, VALARM...) in the order it starts;
+ *          property values are left escaped
+ */
+const parseIcs = (text) => {
+  const components = [];
+  const stack = [];
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  lines.forEach(line => {
+    if (!line.trim()) return;
+
+    const [head, value] = splitUnquoted(line, ':', 2);
+    if (value === undefined) return;
+
+    const [rawName, ...rawParams] = splitUnquoted(head, ';');
+    const name = rawName.trim().toUpperCase();
+
+    if (name === 'BEGIN') {
+      const component = { type: value.trim().toUpperCase(), properties: [] };
+      components.push(component);
+      stack.push(component);
+    } else if (name === 'END') {
+      stack.pop();
+    } else if (stack.length > 0) {
+      const params = Object.fromEntries(rawParams.map(param => {
+        const [key, paramValue = ''] = splitUnquoted(param, '=', 2);
+        return [key.trim().toUpperCase(), paramValue.replace(/^"|"$/g, '')];
+      }));
+      stack[stack.length - 1].properties.push({ name, params, value });
+    }
+  });
+
+  return components;
+};
+
+module.exports = {
+  escapeIcsText,
+  unescapeIcsText,
+  formatIcsLine,
+  formatIcsDate,
+  formatIcsDateTime,
+  parseIcsDay,
+  parseIcs
+};
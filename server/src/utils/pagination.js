@@ -0,0 +1,88 @@
+/* eslint-env node */
+const mongoose = require('mongoose');
+
+// Cursor pagination over a sort key plus _id, which breaks ties. A cursor
+// holds the sort it belongs to and the key and _id of the last item returned.
+
+/**
+ * Parse a sort parameter such as "dueDate" (ascending) or "-dueDate" (descending)
+ * @param {string} value - Sort parameter
+ * @param {Object<string, { path: string, type: string }>} fields - Sortable fields
+ *        with the document path to sort on and its type (date, string or number)
+ * @returns {{ name: string, path: string, type: string, direction: number }|null}
+ *          Parsed sort, or null when the field cannot be sorted on
+ */
+const parseSort = (value, fields) => {
+  const descending = value.startsWith('-');
+  const name = descending ? value.slice(1) : value;
+  if (!Object.prototype.hasOwnProperty.call(fields, name)) return null;
+
+  return { ...fields[name], name, direction: descending ? -1 : 1 };
+};
+
+/**
+ * Cursor that continues after an item
+ * @param {Object} item - Last item of a page, including the sort path
+ * @param {Object} sort - Result of parseSort
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (item, sort) => Buffer.from(JSON.stringify({
+  s: `${sort.direction < 0 ? '-' : ''}${sort.name}`,
+  v: item[sort.path] ?? null,
+  id: String(item._id)
+})).toString('base64url');
+
+/**
+ * Read a cursor made by encodeCursor for the same sort
+ * @param {string} cursor - Opaque cursor
+ * @param {Object} sort - Result of parseSort
+ * @returns {{ value: *, id: ObjectId }|null} Position, or null when the cursor is invalid
+ */
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (s !== `${sort.direction < 0 ? '-' : ''}${sort.name}` || !mongoose.isValidObjectId(id)) return null;
+
+    let value = v;
+    if (v !== null && sort.type === 'date') {
+      value = new Date(v);
+      if (isNaN(value.getTime())) return null;
+    } else if (v !== null && typeof v !== (sort.type === 'number' ? 'number' : 'string')) {
+      return null;
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Filter for the items after a cursor position. MongoDB sorts missing and
+ * null values before all others, so they come first in ascending order and
+ * last in descending order.
+ * @param {Object} sort - Result of parseSort
+ * @param {{ value: *, id: ObjectId }} position - Result of decodeCursor
+ * @returns {Object} MongoDB filter
+ */
+const cursorFilter = (sort, { value, id }) => {
+  const after = sort.direction > 0 ? '$gt' : '$lt';
+  const sameValue = { [sort.path]: value, _id: { [after]: id } };
+
+  if (value === null) {
+    return sort.direction > 0
+      ? { $or: [sameValue, { [sort.path]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const branches = [{ [sort.path]: { [after]: value } }, sameValue];
+  if (sort.direction < 0) branches.push({ [sort.path]: null });
+  return { $or: branches };
+};
+
+module.exports = {
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter
+};
@@ -0,0 +1,147 @@
+/* eslint-env node */
+
+// Recurrence rules modelled on iCalendar RRULE: FREQ (daily/weekly/monthly)
+// with INTERVAL, BYDAY for weekly rules, BYMONTHDAY for monthly rules and an
+// optional UNTIL date or COUNT. "Every N days" is a daily rule with interval N.
+// Dates are handled in UTC because due dates are stored as midnight UTC.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize and validate a recurrence rule from a request body
+ * @param {Object|null} input - Raw rule
+ * @param {Date|string|null} [anchor] - The task's due date; monthly rules
+ *   without a day of month keep its day (today's when there is none)
+ * @returns {{ value: Object|null, error: string|null }} Clean rule or an error message
+ */
+const parseRecurrence = (input, anchor) => {
+  if (input === null || input === undefined || input === false) {
+    return { value: null, error: null };
+  }
+
+  if (typeof input !== 'object' || !FREQUENCIES.includes(input.frequency)) {
+    return { value: null, error: `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  const interval = input.interval === undefined ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    return { value: null, error: 'Recurrence interval must be a whole number between 1 and 365' };
+  }
+
+  const rule = { frequency: input.frequency, interval, weekdays: [], dayOfMonth: null, until: null, count: null };
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = [...new Set((input.weekdays || []).map(Number))].sort((a, b) => a - b);
+    if (weekdays.length === 0 || !weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return { value: null, error: 'Weekly recurrence needs weekdays between 0 (Sunday) and 6 (Saturday)' };
+    }
+    rule.weekdays = weekdays;
+  }
+
+  if (rule.frequency === 'monthly' && input.dayOfMonth !== undefined && input.dayOfMonth !== null) {
+    const dayOfMonth = Number(input.dayOfMonth);
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      return { value: null, error: 'Recurrence day of month must be between 1 and 31' };
+    }
+    rule.dayOfMonth = dayOfMonth;
+  } else if (rule.frequency === 'monthly') {
+    // Without a stored day, occurrences after a short month would stay on
+    // its last day, e.g. the 31st drifting to the 28th from February on
+    const anchorDate = anchor ? new Date(anchor) : new Date();
+    rule.dayOfMonth = (Number.isNaN(anchorDate.getTime()) ? new Date() : anchorDate).getUTCDate();
+  }
+
+  if (input.until && input.count) {
+    return { value: null, error: 'Recurrence can end on a date or after a count, not both' };
+  }
+
+  if (input.until) {
+    const until = new Date(input.until);
+    if (Number.isNaN(until.getTime())) {
+      return { value: null, error: 'Recurrence end date is invalid' };
+    }
+    rule.until = until;
+  }
+
+  if (input.count) {
+    const count = Number(input.count);
+    if (!Number.isInteger(count) || count < 1) {
+      return { value: null, error: 'Recurrence count must be a positive whole number' };
+    }
+    rule.count = count;
+  }
+
+  return { value: rule, error: null };
+};
+
+/**
+ * Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month
+ * @returns {number} Days in the month
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Compute the date of the occurrence following `from`
+ * @param {Object} rule - Recurrence rule (see parseRecurrence)
+ * @param {Date} from - Date of the current occurrence
+ * @returns {Date} Next occurrence, keeping the time of day of `from`
+ */
+const advance = (rule, from) => {
+  const interval = rule.interval || 1;
+
+  if (rule.frequency === 'weekly') {
+    const day = from.getUTCDay();
+    // Later weekday in the same week, otherwise the first weekday `interval` weeks on
+    const laterDay = rule.weekdays.find(weekday => weekday > day);
+    const offset = laterDay !== undefined
+      ? laterDay - day
+      : (7 * interval) - day + rule.weekdays[0];
+    return new Date(from.getTime() + offset * DAY_MS);
+  }
+
+  if (rule.frequency === 'monthly') {
+    const targetDay = rule.dayOfMonth || from.getUTCDate();
+    const sameMonthDay = Math.min(targetDay, daysInMonth(from.getUTCFullYear(), from.getUTCMonth()));
+    if (sameMonthDay > from.getUTCDate()) {
+      // The rule's day is still ahead in the current month
+      const next = new Date(from);
+      next.setUTCDate(sameMonthDay);
+      return next;
+    }
+
+    const next = new Date(from);
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + interval);
+    // Clamp e.g. the 31st to the last day of shorter months
+    next.setUTCDate(Math.min(targetDay, daysInMonth(next.getUTCFullYear(), next.getUTCMonth())));
+    return next;
+  }
+
+  return new Date(from.getTime() + interval * DAY_MS);
+};
+
+/**
+ * Compute when the next occurrence of a recurring task is due
+ * @param {Object} rule - Recurrence rule with the current `occurrence` number
+ * @param {Date} from - Due date (or completion date) of the current occurrence
+ * @returns {Date|null} Next due date, or null when the series has ended
+ */
+const nextOccurrence = (rule, from) => {
+  if (!rule || !FREQUENCIES.includes(rule.frequency)) return null;
+  if (rule.count && (rule.occurrence || 1) >= rule.count) return null;
+
+  const next = advance(rule, new Date(from));
+
+  if (rule.until && next.getTime() > new Date(rule.until).getTime()) return null;
+
+  return next;
+};
+
+module.exports = {
+  FREQUENCIES,
+  parseRecurrence,
+  nextOccurrence
+};
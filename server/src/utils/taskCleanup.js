@@ -0,0 +1,19 @@
+/* eslint-env node */
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const { getStorage } = require('../storage');
+
+/**
+ * Remove the comments, notifications and stored attachment files of a deleted task
+ * @param {Document} task - Task that was deleted
+ * @returns {Promise<void>}
+ */
+const removeTaskData = async (task) => {
+  await Comment.deleteMany({ taskId: task._id });
+  await Notification.deleteMany({ taskId: task._id });
+  await Promise.all(task.attachments.map(attachment =>
+    getStorage().remove(attachment.key).catch(err => console.error('Remove attachment file error:', err))
+  ));
+};
+
+module.exports = { removeTaskData };
@@ -0,0 +1,340 @@
+/* eslint-env node */
+const Task = require('../models/Task');
+const { parseCsv } = require('./csv');
+const {
+  escapeIcsText,
+  unescapeIcsText,
+  formatIcsLine,
+  formatIcsDate,
+  formatIcsDateTime,
+  parseIcsDay,
+  parseIcs
+} = require('./ical');
+
+// Columns of an exported CSV file, in order; JSON exports also include subtasks
+const EXPORT_FIELDS = [
+  'id',
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'progress',
+  'labels',
+  'project',
+  'workflowStatus',
+  'assignees',
+  'createdAt'
+];
+
+// Fields read from an import; anything else (id, assignees, createdAt...) is ignored
+const IMPORT_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'progress', 'labels', 'project', 'workflowStatus', 'subtasks'];
+const LIST_FIELDS = ['labels', 'subtasks'];
+const MAX_IMPORT_ROWS = 1000;
+
+// iCalendar PRIORITY is 1 (highest) to 9 (lowest), 0 meaning undefined
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+const icsToPriority = (value) => {
+  const priority = Number(value);
+  if (!priority) return undefined;
+  if (priority <= 4) return 'high';
+  return priority === 5 ? 'medium' : 'low';
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas, so
+// exported text gets a leading apostrophe, which the import strips again
+const FORMULA_START = /^[=+\-@]/;
+const protectFormula = (text) => (FORMULA_START.test(text) ? `'${text}` : text);
+const unprotectFormula = (text) => (/^'[=+\-@]/.test(text) ? text.slice(1) : text);
+
+// Accept headers like "Due Date" or "due_date" for dueDate
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s_-]+/g, '');
+const HEADER_FIELDS = new Map(IMPORT_FIELDS.map(field => [normalizeHeader(field), field]));
+
+/**
+ * Exported form of a task with populated labels, project and assignees
+ * @param {Object} task - Task document or lean object
+ * @returns {Object} Record keyed by EXPORT_FIELDS, plus subtasks
+ */
+const taskToRecord = (task) => ({
+  id: task._id.toString(),
+  title: task.title,
+  description: task.description,
+  status: task.status,
+  priority: task.priority,
+  dueDate: task.dueDate ? task.dueDate.toISOString().slice(0, 10) : null,
+  progress: task.progress,
+  labels: (task.labels || []).map(label => label.name).filter(Boolean),
+  project: task.projectId?.name || null,
+  workflowStatus: task.workflowStatus,
+  assignees: (task.assignees || []).map(user => user.email).filter(Boolean),
+  createdAt: task.createdAt ? task.createdAt.toISOString() : null,
+  subtasks: (task.subtasks || []).map(subtask => ({ title: subtask.title, done: subtask.done }))
+});
+
+/**
+ * Cells of a CSV line for an exported task record
+ * @param {Object} record - Result of taskToRecord
+ * @returns {Array<*>} Cell values in EXPORT_FIELDS order
+ */
+const recordToCsvCells = (record) => EXPORT_FIELDS.map(field => {
+  const value = record[field];
+  if (Array.isArray(value)) return value.join('; ');
+  if (field === 'title' || field === 'description') return protectFormula(value);
+  return value;
+});
+
+/**
+ * All-day calendar event on the due date of a task
+ * @param {Object} task - Task with a dueDate and populated labels
+ * @returns {string} VEVENT component
+ */
+const taskToIcsEvent = (task) => {
+  const end = new Date(task.dueDate);
+  end.setUTCDate(end.getUTCDate() + 1);
+  const labels = (task.labels || []).map(label => label.name).filter(Boolean);
+
+  return [
+    formatIcsLine('BEGIN', 'VEVENT'),
+    formatIcsLine('UID', `task-${task._id}@taskflow`),
+    formatIcsLine('DTSTAMP', formatIcsDateTime(task.updatedAt || new Date())),
+    formatIcsLine('DTSTART', formatIcsDate(task.dueDate), { VALUE: 'DATE' }),
+    formatIcsLine('DTEND', formatIcsDate(end), { VALUE: 'DATE' }),
+    formatIcsLine('SUMMARY', escapeIcsText(task.status === 'complete' ? `✓ ${task.title}` : task.title)),
+    task.description ? formatIcsLine('DESCRIPTION', escapeIcsText(task.description)) : '',
+    labels.length > 0 ? formatIcsLine('CATEGORIES', labels.map(escapeIcsText).join(',')) : '',
+    task.priority ? formatIcsLine('PRIORITY', ICS_PRIORITIES[task.priority]) : '',
+    formatIcsLine('TRANSP', 'TRANSPARENT'),
+    formatIcsLine('END', 'VEVENT')
+  ].join('');
+};
+
+/**
+ * iCalendar feed with an all-day event for each task
+ * @param {Array<Object>} tasks - Tasks with a dueDate and populated labels
+ * @param {string} name - Calendar name shown by calendar apps
+ * @returns {string} VCALENDAR content
+ */
+const buildTaskCalendar = (tasks, name) => [
+  formatIcsLine('BEGIN', 'VCALENDAR'),
+  formatIcsLine('VERSION', '2.0'),
+  formatIcsLine('PRODID', '-//TaskFlow//Task due dates//EN'),
+  formatIcsLine('CALSCALE', 'GREGORIAN'),
+  formatIcsLine('METHOD', 'PUBLISH'),
+  formatIcsLine('X-WR-CALNAME', escapeIcsText(name)),
+  // Ask subscribed clients to refresh hourly
+  formatIcsLine('REFRESH-INTERVAL', 'PT1H', { VALUE: 'DURATION' }),
+  formatIcsLine('X-PUBLISHED-TTL', 'PT1H'),
+  ...tasks.map(taskToIcsEvent),
+  formatIcsLine('END', 'VCALENDAR')
+].join('');
+
+/**
+ * Import rows for the events and to-dos of an iCalendar file. Events are due
+ * on their start day, to-dos on their due day (or start day without one).
+ * Cancelled entries are skipped.
+ * @param {string} content - iCalendar content
+ * @returns {Array<{ row: number, data: Object }>} Rows numbered by entry
+ */
+const readIcsRecords = (content) => parseIcs(content)
+  .filter(component => component.type === 'VEVENT' || component.type === 'VTODO')
+  .map((component, index) => {
+    const first = (name) => component.properties.find(property => property.name === name);
+    const text = (name) => (first(name) ? unescapeIcsText(first(name).value).trim() : undefined);
+    const isTodo = component.type === 'VTODO';
+    const dateProperty = (isTodo && first('DUE')) || first('DTSTART');
+    const status = text('STATUS')?.toUpperCase();
+
+    const data = {
+      title: text('SUMMARY'),
+      // Tasks need a description, which calendar entries often lack
+      description: text('DESCRIPTION') || text('SUMMARY'),
+      labels: component.properties
+        .filter(property => property.name === 'CATEGORIES')
+        .flatMap(property => property.value.split(/(?<!\\),/).map(unescapeIcsText)),
+      priority: icsToPriority(first('PRIORITY')?.value)
+    };
+
+    if (dateProperty) {
+      data.dueDate = parseIcsDay(dateProperty.value) || dateProperty.value;
+    }
+    if (isTodo) {
+      if (status === 'COMPLETED' || first('COMPLETED')) data.status = 'complete';
+      if (first('PERCENT-COMPLETE')) data.progress = first('PERCENT-COMPLETE').value.trim();
+    }
+
+    return { row: index + 1, data: status === 'CANCELLED' ? null : data };
+  })
+  .filter(record => record.data);
+
+/**
+ * Read the rows of an import file
+ * @param {string} content - File content
+ * @param {string} format - csv, json or ics
+ * @returns {{ records: Array<{ row: number, data: Object }>, error: string|null }} Rows with
+ *          their position in the file (the CSV header is row 1), or an error for the whole file
+ */
+const readImportRecords = (content, format) => {
+  let records;
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      return { records: [], error: `Invalid JSON: ${error.message}` };
+    }
+    const items = Array.isArray(parsed) ? parsed : parsed?.tasks;
+    if (!Array.isArray(items)) {
+      return { records: [], error: 'JSON must be an array of tasks or an object with a "tasks" array' };
+    }
+    records = items.map((item, index) => ({
+      row: index + 1,
+      data: item && typeof item === 'object' && !Array.isArray(item) ? item : null
+    }));
+  } else if (format === 'ics') {
+    records = readIcsRecords(content);
+    if (records.length === 0 && !/BEGIN:VCALENDAR/i.test(content)) {
+      return { records: [], error: 'The file is not an iCalendar file' };
+    }
+  } else {
+    const [header, ...rows] = parseCsv(content);
+    const fields = (header || []).map(cell => HEADER_FIELDS.get(normalizeHeader(cell)) || null);
+    if (!fields.includes('title')) {
+      return { records: [], error: 'The CSV header must include a "title" column' };
+    }
+    records = rows
+      .map((cells, index) => ({
+        row: index + 2,
+        data: Object.fromEntries(fields
+          .map((field, column) => [field, cells[column]])
+          .filter(([field, value]) => field && value !== undefined && value.trim() !== '')
+          // List cells hold values separated by semicolons
+          .map(([field, value]) => [field, LIST_FIELDS.includes(field) ? value.split(';') : value]))
+      }))
+      // Spreadsheets often save rows of empty cells after the data
+      .filter(({ data }) => Object.keys(data).length > 0);
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { records: [], error: `Import up to ${MAX_IMPORT_ROWS} tasks at a time` };
+  }
+  return { records, error: null };
+};
+
+/**
+ * Build and validate a task from an import row without saving it
+ * @param {Object|null} data - Row data keyed by field name
+ * @param {Object} context - Import context
+ * @param {string} context.userId - User importing the tasks
+ * @param {Map<string, Object>} context.labelsByName - User's labels by lowercased name
+ * @param {Map<string, Object>} context.projectsByName - Usable projects by lowercased name
+ * @param {Set<string>} context.columnKeys - Keys of the user's board columns
+ * @returns {Promise<{ task: Document|null, newLabels: Array<string>, errors: Array<string> }>}
+ *          Unsaved task, label names that do not exist yet, and validation errors
+ */
+const buildImportedTask = async (data, context) => {
+  if (!data) {
+    return { task: null, newLabels: [], errors: ['Row must be an object'] };
+  }
+
+  const errors = [];
+  const text = (value) => (value === undefined || value === null ? undefined : unprotectFormula(String(value).trim()));
+
+  const fields = {
+    title: text(data.title),
+    description: text(data.description),
+    status: text(data.status)?.toLowerCase(),
+    priority: text(data.priority)?.toLowerCase(),
+    userId: context.userId
+  };
+
+  if (data.dueDate !== undefined && data.dueDate !== null && data.dueDate !== '') {
+    const dueDate = new Date(data.dueDate);
+    if (isNaN(dueDate.getTime())) {
+      errors.push(`dueDate: "${data.dueDate}" is not a valid date`);
+    } else {
+      fields.dueDate = dueDate;
+    }
+  }
+
+  if (data.progress !== undefined && data.progress !== '') {
+    const progress = Number(data.progress);
+    if (Number.isNaN(progress)) {
+      errors.push(`progress: "${data.progress}" is not a number`);
+    } else {
+      fields.progress = progress;
+    }
+  }
+
+  const labelNames = [...new Set((Array.isArray(data.labels) ? data.labels : data.labels ? [data.labels] : [])
+    .map(name => String(name).trim())
+    .filter(Boolean))];
+  const labelIds = [];
+  const newLabels = [];
+  labelNames.forEach(name => {
+    const label = context.labelsByName.get(name.toLowerCase());
+    if (label) {
+      labelIds.push(label._id);
+    } else if (name.length > 50) {
+      errors.push(`labels: "${name}" is longer than 50 characters`);
+    } else {
+      newLabels.push(name);
+    }
+  });
+  fields.labels = labelIds;
+
+  if (data.project) {
+    const project = context.projectsByName.get(String(data.project).trim().toLowerCase());
+    if (project) {
+      fields.projectId = project._id;
+    } else {
+      errors.push(`project: no active project named "${data.project}"`);
+    }
+  }
+
+  if (data.workflowStatus) {
+    const key = String(data.workflowStatus).trim().toLowerCase();
+    if (context.columnKeys.has(key)) {
+      fields.workflowStatus = key;
+    } else {
+      errors.push(`workflowStatus: "${data.workflowStatus}" is not a column on your board`);
+    }
+  }
+
+  if (data.subtasks !== undefined) {
+    if (!Array.isArray(data.subtasks)) {
+      errors.push('subtasks: must be a list');
+    } else {
+      fields.subtasks = data.subtasks
+        .map(item => (typeof item === 'string' ? { title: item } : { title: item?.title, done: Boolean(item?.done) }))
+        .filter(item => item.title && String(item.title).trim())
+        .map(item => ({ ...item, completedAt: item.done ? new Date() : null }));
+    }
+  }
+
+  const task = new Task(fields);
+  // A task imported into "done" without a status is complete; otherwise the
+  // column follows the status, as it does when saving
+  if (fields.workflowStatus && !fields.status) task.setWorkflowStatus(fields.workflowStatus);
+  task.syncWorkflowStatus();
+
+  try {
+    await task.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    Object.values(error.errors).forEach(fieldError => errors.push(`${fieldError.path}: ${fieldError.message}`));
+  }
+
+  return { task: errors.length === 0 ? task : null, newLabels, errors };
+};
+
+module.exports = {
+  EXPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  taskToRecord,
+  recordToCsvCells,
+  buildTaskCalendar,
+  readImportRecords,
+  buildImportedTask
+};
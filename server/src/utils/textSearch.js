@@ -0,0 +1,140 @@
+/* eslint-env node */
+
+// Helpers around MongoDB $text search: reading the search syntax it accepts
+// ("exact phrases", -excluded words) and marking where a task matches
+
+const MAX_SEARCH_LENGTH = 200;
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a search string the way $text reads it
+ * @param {string} search - Search string, e.g. `report "quarter one" -draft`
+ * @returns {{ words: Array<string>, phrases: Array<string>, excluded: Array<string> }}
+ *          Words to match, exact phrases, and excluded words
+ */
+const parseSearch = (search) => {
+  const phrases = [];
+  const rest = search.replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim());
+    return ' ';
+  });
+
+  const words = [];
+  const excluded = [];
+  rest.split(/\s+/).filter(Boolean).forEach(token => {
+    if (token.startsWith('-')) {
+      if (token.length > 1) excluded.push(token.slice(1));
+    } else {
+      words.push(token);
+    }
+  });
+
+  return { words, phrases, excluded };
+};
+
+/**
+ * Read the search parameter of a request
+ * @param {*} value - Raw query value
+ * @returns {string|null} Trimmed search string, or null when empty
+ */
+const normalizeSearch = (value) => {
+  if (typeof value !== 'string') return null;
+  const search = value.trim().slice(0, MAX_SEARCH_LENGTH);
+  return search || null;
+};
+
+/**
+ * Ranges of a text matched by a search. $text matches word stems, so words
+ * are highlighted wherever a word starts with them, e.g. "report" in
+ * "reports"; phrases are highlighted where they appear exactly.
+ * @param {string} text - Text to look in
+ * @param {Object} parsed - Result of parseSearch
+ * @returns {Array<[number, number]>} Sorted, non-overlapping [start, end) ranges
+ */
+const findMatches = (text, parsed) => {
+  if (!text) return [];
+
+  const patterns = [
+    ...parsed.phrases.map(phrase => escapeRegex(phrase).replace(/\s+/g, '\\s+')),
+    ...parsed.words.map(word => `(?<![\\p{L}\\p{N}])${escapeRegex(word)}[\\p{L}\\p{N}]*`)
+  ];
+  if (patterns.length === 0) return [];
+
+  const ranges = [...text.matchAll(new RegExp(patterns.join('|'), 'giu'))]
+    .map(match => [match.index, match.index + match[0].length])
+    .sort((a, b) => a[0] - b[0]);
+
+  // Merge overlapping ranges, e.g. a phrase containing a searched word
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Part of a longer text around its first match
+ * @param {string} text - Full text
+ * @param {Array<[number, number]>} matches - Result of findMatches on the text
+ * @returns {{ text: string, matches: Array<[number, number]> }} Snippet with
+ *          "…" where it was cut, and the matches it contains, relative to the snippet
+ */
+const buildSnippet = (text, matches) => {
+  if (!text) return { text: '', matches: [] };
+
+  const anchor = matches.length > 0 ? matches[0][0] : 0;
+  let start = Math.max(0, anchor - SNIPPET_RADIUS);
+  let end = Math.min(text.length, anchor + SNIPPET_RADIUS * 2);
+
+  // Cut at word boundaries where possible
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < anchor) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > anchor) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    matches: matches
+      .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+      .map(([matchStart, matchEnd]) => [matchStart + offset, matchEnd + offset])
+  };
+};
+
+/**
+ * Highlights of a task for a search
+ * @param {Object} task - Task with its title and description, when selected
+ * @param {Object} parsed - Result of parseSearch
+ * @returns {{ title: Array<[number, number]>, snippet: { text: string, matches: Array<[number, number]> } }}
+ *          Matches in the full title, and a description snippet with its matches
+ */
+const highlightTask = (task, parsed) => ({
+  title: findMatches(task.title, parsed),
+  snippet: buildSnippet(task.description, findMatches(task.description, parsed))
+});
+
+module.exports = {
+  escapeRegex,
+  parseSearch,
+  normalizeSearch,
+  findMatches,
+  highlightTask
+};
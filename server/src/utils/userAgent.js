@@ -0,0 +1,55 @@
+/* eslint-env node */
+
+// Checked in order: Edge, Opera and Samsung Internet also claim to be
+// Chrome, and Chrome claims to be Safari
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+  ['Opera', /OPR\/(\d+)/],
+  ['Samsung Internet', /SamsungBrowser\/(\d+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+  ['Safari', /Version\/(\d+).*Safari\//]
+];
+
+// iOS and Android before macOS and Linux, which their user agents mention
+const OPERATING_SYSTEMS = [
+  ['Windows', /Windows/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['ChromeOS', /CrOS/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Describe the browser and device of a User-Agent header for people
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {{ browser: string, os: string, device: string }} e.g.
+ *   { browser: 'Chrome 130', os: 'Windows', device: 'desktop' }; device is
+ *   desktop, tablet or mobile, the others "Unknown" when not recognised
+ */
+const describeUserAgent = (userAgent = '') => {
+  const ua = String(userAgent || '');
+
+  let browser = 'Unknown';
+  for (const [name, pattern] of BROWSERS) {
+    const match = ua.match(pattern);
+    if (match) {
+      browser = `${name} ${match[1]}`;
+      break;
+    }
+  }
+
+  const os = (OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(ua)) || ['Unknown'])[0];
+
+  let device = 'desktop';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    device = 'tablet';
+  } else if (/Mobi|iPhone|iPod|Android/.test(ua)) {
+    device = 'mobile';
+  }
+
+  return { browser, os, device };
+};
+
+module.exports = { describeUserAgent };
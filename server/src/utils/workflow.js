@@ -0,0 +1,75 @@
+/* eslint-env node */
+
+// Kanban workflow columns. Every board has a "todo" and a "done" column:
+// a task in "done" is complete, and a completed task is always in "done".
+const TODO_COLUMN = 'todo';
+const DONE_COLUMN = 'done';
+const MAX_COLUMNS = 10;
+const COLUMN_KEY_PATTERN = /^[a-z0-9_-]{1,30}$/;
+
+const DEFAULT_WORKFLOW_COLUMNS = [
+  { key: TODO_COLUMN, name: 'To Do' },
+  { key: 'in_progress', name: 'In Progress' },
+  { key: DONE_COLUMN, name: 'Completed' }
+];
+
+// Gap left between neighbouring ranks when a column is renumbered
+const RANK_STEP = 1024;
+
+/**
+ * Normalize and validate a board's column list from a request body
+ * @param {Array<Object>} input - Columns as { key, name }
+ * @returns {{ value: Array<Object>|null, error: string|null }} Clean columns or an error message
+ */
+const parseWorkflowColumns = (input) => {
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_COLUMNS) {
+    return { value: null, error: `Provide between 1 and ${MAX_COLUMNS} columns` };
+  }
+
+  const columns = input.map(column => ({
+    key: String(column?.key || '').trim().toLowerCase(),
+    name: String(column?.name || '').trim()
+  }));
+
+  if (!columns.every(column => COLUMN_KEY_PATTERN.test(column.key))) {
+    return { value: null, error: 'Column keys may only contain a-z, 0-9, "_" and "-" (max 30 characters)' };
+  }
+  if (!columns.every(column => column.name && column.name.length <= 50)) {
+    return { value: null, error: 'Column names are required (max 50 characters)' };
+  }
+  if (new Set(columns.map(column => column.key)).size !== columns.length) {
+    return { value: null, error: 'Column keys must be unique' };
+  }
+
+  const keys = columns.map(column => column.key);
+  if (!keys.includes(TODO_COLUMN) || !keys.includes(DONE_COLUMN)) {
+    return { value: null, error: `The "${TODO_COLUMN}" and "${DONE_COLUMN}" columns cannot be removed` };
+  }
+
+  return { value: columns, error: null };
+};
+
+/**
+ * Rank for a task placed between two neighbours (lower ranks come first)
+ * @param {number|null} prevRank - Rank of the task above, if any
+ * @param {number|null} nextRank - Rank of the task below, if any
+ * @returns {number|null} New rank, or null when the neighbours are too close
+ */
+const rankBetween = (prevRank, nextRank) => {
+  if (prevRank == null && nextRank == null) return RANK_STEP;
+  if (prevRank == null) return nextRank - RANK_STEP;
+  if (nextRank == null) return prevRank + RANK_STEP;
+
+  const rank = (prevRank + nextRank) / 2;
+  // Floating point has run out of room between the two ranks
+  return rank > prevRank && rank < nextRank ? rank : null;
+};
+
+module.exports = {
+  TODO_COLUMN,
+  DONE_COLUMN,
+  DEFAULT_WORKFLOW_COLUMNS,
+  RANK_STEP,
+  parseWorkflowColumns,
+  rankBetween
+};
@@ -22,6 +22,7 @@ import ForgotPassword from "./components/auth/ForgotPassword";
 import Login from "./components/auth/Login";
 import ResetPassword from "./components/auth/ResetPassword";
 import Signup from "./components/auth/Signup";
+import UnsubscribeDigest from "./components/auth/UnsubscribeDigest";
 
 // Admin Pages
 import Dashboard from "./pages/AdminPages/Dashboard";
@@ -33,6 +34,7 @@ import Users from "./pages/AdminPages/Users";
 
 // User Pages
 import CalendarPage from "./pages/UserPages/CalendarPage";
+import ImportTasksPage from "./pages/UserPages/ImportTasksPage";
 import UserDashboard from "./pages/UserPages/Dashboard";
 import NotificationsPage from "./pages/UserPages/NotificationsPage";
 import ProfilePage from "./pages/UserPages/ProfilePage";
@@ -44,6 +46,7 @@ import TaskFilter from "./components/tasks/TaskFilter";
 // Context Providers
 import AuthProvider from "./contexts/AuthContext";
 import NotificationProvider from "./contexts/NotificationContext";
+import ProjectProvider from "./contexts/ProjectContext";
 
 /**
  * Protected Route Component
@@ -134,167 +137,180 @@ const RootRedirect = () => {
 function App() {
   return (
     <AuthProvider>
-      <NotificationProvider>
-        <Router>
-          <div className="flex flex-col min-h-screen">
-            <Navbar />
+      <ProjectProvider>
+        <NotificationProvider>
+          <Router>
+            <div className="flex flex-col min-h-screen">
+              <Navbar />
             
-            <main className="flex-grow">
-              <Routes>
-                {/* Root Route - Redirect based on auth status */}
-                <Route path="/" element={<RootRedirect />} />
+              <main className="flex-grow">
+                <Routes>
+                  {/* Root Route - Redirect based on auth status */}
+                  <Route path="/" element={<RootRedirect />} />
                 
-                {/* Public Authentication Routes */}
-                <Route 
-                  path="/login" 
-                  element={
-                    <PublicRoute>
-                      <Login />
-                    </PublicRoute>
-                  } 
-                />
-                <Route 
-                  path="/signup" 
-                  element={
-                    <PublicRoute>
-                      <Signup />
-                    </PublicRoute>
-                  } 
-                />
-                <Route 
-                  path="/forgot-password" 
-                  element={
-                    <PublicRoute>
-                      <ForgotPassword />
-                    </PublicRoute>
-                  } 
-                />
-                <Route 
-                  path="/reset-password" 
-                  element={
-                    <PublicRoute>
-                      <ResetPassword />
-                    </PublicRoute>
-                  } 
-                />
+                  {/* Public Authentication Routes */}
+                  <Route 
+                    path="/login" 
+                    element={
+                      <PublicRoute>
+                        <Login />
+                      </PublicRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/signup" 
+                    element={
+                      <PublicRoute>
+                        <Signup />
+                      </PublicRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/forgot-password" 
+                    element={
+                      <PublicRoute>
+                        <ForgotPassword />
+                      </PublicRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/reset-password" 
+                    element={
+                      <PublicRoute>
+                        <ResetPassword />
+                      </PublicRoute>
+                    } 
+                  />
+
+                  {/* Unsubscribe link of digest emails, whether logged in or not */}
+                  <Route path="/unsubscribe" element={<UnsubscribeDigest />} />
                 
-                {/* Protected Admin Routes */}
-                <Route 
-                  path="/admin/dashboard" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <Dashboard />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/admin/users" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <Users />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/admin/manage-users" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <ManageUsers />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/admin/manage-tasks" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <ManageTasks />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/admin/settings" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <Settings />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/admin/user-logs" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <UserLogPage />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/admin/task-filter" 
-                  element={
-                    <ProtectedRoute requiredRole="admin">
-                      <TaskFilter />
-                    </ProtectedRoute>
-                  } 
-                />
+                  {/* Protected Admin Routes */}
+                  <Route 
+                    path="/admin/dashboard" 
+                    element={
+                      <ProtectedRoute requiredRole="admin">
+                        <Dashboard />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/users" 
+                    element={
+                      <ProtectedRoute requiredRole="admin">
+                        <Users />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/manage-users" 
+                    element={
+                      <ProtectedRoute requiredRole="admin">
+                        <ManageUsers />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/manage-tasks" 
+                    element={
+                      <ProtectedRoute requiredRole="admin">
+                        <ManageTasks />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/settings" 
+                    element={
+                      <ProtectedRoute requiredRole="admin">
+                        <Settings />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/user-logs" 
+                    element={
+                      <ProtectedRoute requiredRole="admin">
+                        <UserLogPage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/admin/task-filter" 
+                    element={
+                      <ProtectedRoute requiredRole="admin">
+                        <TaskFilter />
+                      </ProtectedRoute>
+                    } 
+                  />
                 
-                {/* Protected User Routes */}
-                <Route 
-                  path="/user/dashboard" 
-                  element={
-                    <ProtectedRoute>
-                      <UserDashboard />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/user/userpage" 
-                  element={
-                    <ProtectedRoute>
-                      <UserPage />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/user/notifications" 
-                  element={
-                    <ProtectedRoute>
-                      <NotificationsPage />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/user/calendar" 
-                  element={
-                    <ProtectedRoute>
-                      <CalendarPage />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/user/profile" 
-                  element={
-                    <ProtectedRoute>
-                      <ProfilePage />
-                    </ProtectedRoute>
-                  } 
-                />
-                <Route 
-                  path="/user/task-filter" 
-                  element={
-                    <ProtectedRoute>
-                      <TaskFilter />
-                    </ProtectedRoute>
-                  } 
-                />
+                  {/* Protected User Routes */}
+                  <Route 
+                    path="/user/dashboard" 
+                    element={
+                      <ProtectedRoute>
+                        <UserDashboard />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/user/userpage" 
+                    element={
+                      <ProtectedRoute>
+                        <UserPage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/user/notifications" 
+                    element={
+                      <ProtectedRoute>
+                        <NotificationsPage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/user/calendar" 
+                    element={
+                      <ProtectedRoute>
+                        <CalendarPage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/user/import" 
+                    element={
+                      <ProtectedRoute>
+                        <ImportTasksPage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/user/profile" 
+                    element={
+                      <ProtectedRoute>
+                        <ProfilePage />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/user/task-filter" 
+                    element={
+                      <ProtectedRoute>
+                        <TaskFilter />
+                      </ProtectedRoute>
+                    } 
+                  />
                 
-                {/* Fallback Route - Redirect to login for unauthenticated, dashboard for authenticated */}
-                <Route path="*" element={<RootRedirect />} />
-              </Routes>
-            </main>
+                  {/* Fallback Route - Redirect to login for unauthenticated, dashboard for authenticated */}
+                  <Route path="*" element={<RootRedirect />} />
+                </Routes>
+              </main>
             
-            <Footer />
-          </div>
-        </Router>
-      </NotificationProvider>
+              <Footer />
+            </div>
+          </Router>
+        </NotificationProvider>
+      </ProjectProvider>
     </AuthProvider>
   );
 }
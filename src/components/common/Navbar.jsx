@@ -1,11 +1,14 @@
 import React, { useEffect, useRef, useState } from "react";
-import { FaTasks, FaUserCircle } from "react-icons/fa";
+import { FaBell, FaTasks, FaUserCircle } from "react-icons/fa";
 import { Link, useLocation, useNavigate } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { useNotifications } from "../../contexts/NotificationContext";
 import TaskList from "../tasks/TaskList";
+import NavbarSearch from "./NavbarSearch";
 
 const Navbar = () => {
   const { logout, user } = useAuth();
+  const { unreadCount } = useNotifications();
   const navigate = useNavigate();
   const location = useLocation();
   
@@ -143,6 +146,25 @@ const Navbar = () => {
           </div>
         )}
 
+        {/* Task search (Only for authenticated users, hidden on auth pages) */}
+        {user && !hideProfileRoutes.includes(location.pathname) && <NavbarSearch />}
+
+        {/* Notifications with the unread count (Only for authenticated users, hidden on auth pages) */}
+        {user && !hideProfileRoutes.includes(location.pathname) && (
+          <Link
+            to="/user/notifications"
+            className="relative p-2 rounded-full hover:bg-blue-700 transition"
+            aria-label={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : "Notifications"}
+          >
+            <FaBell className="text-2xl" />
+            {unreadCount > 0 && (
+              <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 flex items-center justify-center rounded-full bg-red-500 text-xs font-bold">
+                {unreadCount > 99 ? "99+" : unreadCount}
+              </span>
+            )}
+          </Link>
+        )}
+
         {/* Task List Button (Only for authenticated users, hidden on auth pages) */}
         {user && !hideProfileRoutes.includes(location.pathname) && (
           <div className="relative" ref={taskListRef}>
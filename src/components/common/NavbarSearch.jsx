@@ -0,0 +1,158 @@
+/**
+ * NavbarSearch Component
+ *
+ * Search box in the navbar that suggests matching tasks while typing. Enter
+ * or a suggestion opens the task filter with the search applied.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { FaSearch, FaSpinner } from "react-icons/fa";
+import { useLocation, useNavigate } from "react-router-dom";
+import { taskAPI } from "../../utils/api";
+import HighlightedText from "../tasks/HighlightedText";
+
+const SUGGEST_DELAY_MS = 200;
+const SUGGESTION_COUNT = 8;
+
+const NavbarSearch = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [query, setQuery] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  // Ask for suggestions once typing pauses; answers to older queries are ignored
+  useEffect(() => {
+    if (!query.trim()) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const response = await taskAPI.suggestTasks(query, SUGGESTION_COUNT);
+        if (!cancelled) {
+          setSuggestions(response.data || []);
+          setActive(-1);
+        }
+      } catch (err) {
+        console.error("Error loading search suggestions:", err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  // Close the suggestions when clicking elsewhere
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  /**
+   * Open the task filter of the current portal with a search
+   *
+   * @param {string} search - Search text
+   */
+  const openSearch = (search) => {
+    if (!search.trim()) return;
+    const portal = location.pathname.startsWith("/admin") ? "/admin" : "/user";
+    navigate(`${portal}/task-filter?search=${encodeURIComponent(search.trim())}`);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (suggestions.length === 0) return;
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive(prev => (prev + step + suggestions.length) % suggestions.length);
+      setOpen(true);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      // A chosen suggestion is searched as an exact phrase
+      openSearch(active >= 0 ? `"${suggestions[active].title}"` : query);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative hidden md:block" ref={containerRef}>
+      <div className="relative">
+        <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" aria-hidden="true" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search tasks"
+          className="w-64 pl-9 pr-8 py-2 rounded-lg text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-white"
+          role="combobox"
+          aria-expanded={open && suggestions.length > 0}
+          aria-controls="navbar-search-suggestions"
+          aria-activedescendant={active >= 0 ? `navbar-search-${suggestions[active]._id}` : undefined}
+          aria-label="Search tasks"
+        />
+        {loading && (
+          <FaSpinner className="absolute right-3 top-1/2 -translate-y-1/2 animate-spin text-gray-400" aria-hidden="true" />
+        )}
+      </div>
+
+      {open && suggestions.length > 0 && (
+        <ul
+          id="navbar-search-suggestions"
+          role="listbox"
+          className="absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white text-gray-800 shadow-lg rounded-lg z-20"
+        >
+          {suggestions.map((task, index) => (
+            <li
+              key={task._id}
+              id={`navbar-search-${task._id}`}
+              role="option"
+              aria-selected={index === active}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                openSearch(`"${task.title}"`);
+              }}
+              onMouseEnter={() => setActive(index)}
+              className={`px-4 py-2 cursor-pointer text-sm ${index === active ? "bg-blue-50" : ""}`}
+            >
+              <div className={task.status === "complete" ? "line-through text-gray-500" : ""}>
+                <HighlightedText text={task.title} ranges={task.highlights?.title} />
+              </div>
+              {task.dueDate && (
+                <div className="text-xs text-gray-500">Due {new Date(task.dueDate).toLocaleDateString()}</div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default NavbarSearch;
@@ -0,0 +1,165 @@
+/**
+ * AttachmentList Component
+ *
+ * Lists the files attached to a task with download and delete actions,
+ * and optionally an upload button. Files are streamed through the
+ * authenticated API, so downloads are fetched as blobs.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useRef, useState } from 'react';
+import { FaDownload, FaPaperclip, FaSpinner, FaTimes } from 'react-icons/fa';
+import { attachmentAPI } from '../../utils/api';
+import { formatFileSize } from '../../utils/fileSize';
+
+const AttachmentList = ({ taskId, attachments = [], onChange, onError, allowUpload = true }) => {
+  const [busy, setBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  /**
+   * Report an error to the parent, falling back to the console
+   *
+   * @param {Error} err - Error thrown by the API helper
+   * @param {string} fallback - Message when the error has none
+   */
+  const reportError = (err, fallback) => {
+    console.error(fallback, err);
+    if (onError) onError(err.message || fallback);
+  };
+
+  /**
+   * Upload the files picked in the hidden file input
+   *
+   * @param {Event} e - File input change event
+   */
+  const handleUpload = async (e) => {
+    const files = e.target.files;
+    if (!files || files.length === 0) return;
+
+    setBusy(true);
+
+    try {
+      const response = await attachmentAPI.uploadAttachments(taskId, files);
+      if (response.success) {
+        onChange(response.data);
+      } else {
+        throw new Error(response.message || 'Failed to upload attachments');
+      }
+    } catch (err) {
+      reportError(err, 'Failed to upload attachments');
+    } finally {
+      setBusy(false);
+      e.target.value = '';
+    }
+  };
+
+  /**
+   * Download an attachment through the API and save it with its original name
+   *
+   * @param {Object} attachment - Attachment metadata
+   */
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await attachmentAPI.downloadAttachment(taskId, attachment._id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.originalName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      reportError(err, 'Failed to download attachment');
+    }
+  };
+
+  /**
+   * Delete an attachment after confirmation
+   *
+   * @param {Object} attachment - Attachment metadata
+   */
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete "${attachment.originalName}"?`)) return;
+
+    setBusy(true);
+
+    try {
+      const response = await attachmentAPI.deleteAttachment(taskId, attachment._id);
+      if (response.success) {
+        onChange(response.data);
+      } else {
+        throw new Error(response.message || 'Failed to delete attachment');
+      }
+    } catch (err) {
+      reportError(err, 'Failed to delete attachment');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (attachments.length === 0 && !allowUpload) return null;
+
+  return (
+    <div className="mt-2">
+      {attachments.length > 0 && (
+        <ul className="space-y-1">
+          {attachments.map((attachment) => (
+            <li key={attachment._id} className="flex items-center text-xs text-gray-600">
+              <FaPaperclip className="mr-1 flex-shrink-0" size={10} />
+              <button
+                type="button"
+                onClick={() => handleDownload(attachment)}
+                className="truncate text-left hover:text-blue-600 hover:underline"
+                title={`Download ${attachment.originalName}`}
+              >
+                {attachment.originalName}
+              </button>
+              <span className="ml-1 flex-shrink-0 text-gray-400">({formatFileSize(attachment.size)})</span>
+              <button
+                type="button"
+                onClick={() => handleDownload(attachment)}
+                className="ml-auto p-0.5 text-gray-400 hover:text-blue-600"
+                aria-label={`Download ${attachment.originalName}`}
+              >
+                <FaDownload size={10} />
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDelete(attachment)}
+                disabled={busy}
+                className="p-0.5 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                aria-label={`Delete ${attachment.originalName}`}
+              >
+                <FaTimes size={10} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {allowUpload && (
+        <>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={busy}
+            className="flex items-center mt-1 text-xs text-blue-500 hover:text-blue-700 disabled:opacity-50"
+          >
+            {busy ? <FaSpinner className="animate-spin mr-1" size={10} /> : <FaPaperclip className="mr-1" size={10} />}
+            Attach files
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            onChange={handleUpload}
+            className="hidden"
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentList;
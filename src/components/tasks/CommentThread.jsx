@@ -0,0 +1,383 @@
+/**
+ * CommentThread Component
+ *
+ * Side panel with the discussion of a single task. Comments can be replied
+ * to, edited and deleted by their author, and "@user@example.com" mentions
+ * are resolved against registered users by the server.
+ *
+ * Features:
+ * - Nested reply threads
+ * - Inline editing and deletion of own comments
+ * - Highlighted mentions and a warning for unknown addresses
+ * - Live updates when others comment on the task
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.1.0
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { FaComments, FaExclamationTriangle, FaPaperPlane, FaReply, FaSpinner, FaTimes } from 'react-icons/fa';
+import { useAuth } from '../../contexts/AuthContext';
+import { useServerEvents } from '../../hooks/useServerEvents';
+import { commentAPI } from '../../utils/api';
+
+const COMMENT_CHANGES = ['comment_added', 'comment_edited', 'comment_deleted'];
+
+const MENTION_SPLIT = /(@[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+/**
+ * Render comment text with resolved mentions highlighted
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.comment - Comment with populated mentions
+ */
+const CommentBody = ({ comment }) => {
+  const mentioned = new Set((comment.mentions || []).map(user => `@${user.email}`));
+
+  return (
+    <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">
+      {comment.body.split(MENTION_SPLIT).map((part, index) =>
+        mentioned.has(part) ? (
+          <span key={index} className="px-1 rounded bg-blue-100 text-blue-800 font-medium">{part}</span>
+        ) : (
+          <React.Fragment key={index}>{part}</React.Fragment>
+        )
+      )}
+    </p>
+  );
+};
+
+/**
+ * Single comment with its replies
+ */
+const CommentItem = ({ comment, depth, currentEmail, onReply, onEdit, onDelete }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(comment.body);
+  const [saving, setSaving] = useState(false);
+
+  const author = comment.userId || {};
+  const isOwn = author.email === currentEmail;
+
+  const saveEdit = async () => {
+    if (!draft.trim()) return;
+    setSaving(true);
+    const saved = await onEdit(comment, draft.trim());
+    setSaving(false);
+    if (saved) setEditing(false);
+  };
+
+  return (
+    <li className={depth > 0 ? 'ml-4 pl-3 border-l border-gray-200' : ''}>
+      <div className="py-2">
+        {comment.deletedAt ? (
+          <p className="text-sm italic text-gray-400">This comment was deleted</p>
+        ) : (
+          <>
+            <div className="flex items-center justify-between">
+              <span className="text-xs font-semibold text-gray-800">
+                {author.fullName || author.email || 'Unknown user'}
+              </span>
+              <span className="text-xs text-gray-400">
+                {new Date(comment.createdAt).toLocaleString()}
+                {comment.editedAt && ' (edited)'}
+              </span>
+            </div>
+
+            {editing ? (
+              <div className="mt-1">
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  rows={2}
+                  maxLength={2000}
+                  className="w-full px-2 py-1 text-sm border rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <div className="flex justify-end space-x-2">
+                  <button
+                    onClick={() => { setEditing(false); setDraft(comment.body); }}
+                    disabled={saving}
+                    className="px-2 py-1 text-xs text-gray-600 hover:text-gray-800"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={saveEdit}
+                    disabled={saving || !draft.trim()}
+                    className="px-2 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <CommentBody comment={comment} />
+            )}
+
+            {!editing && (
+              <div className="flex items-center space-x-3 mt-1 text-xs text-gray-500">
+                <button onClick={() => onReply(comment)} className="flex items-center hover:text-blue-600">
+                  <FaReply className="mr-1" size={8} />
+                  Reply
+                </button>
+                {isOwn && (
+                  <button onClick={() => setEditing(true)} className="hover:text-blue-600">
+                    Edit
+                  </button>
+                )}
+                {isOwn && (
+                  <button onClick={() => onDelete(comment)} className="hover:text-red-600">
+                    Delete
+                  </button>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {comment.replies?.length > 0 && (
+        <ul>
+          {comment.replies.map(reply => (
+            <CommentItem
+              key={reply._id}
+              comment={reply}
+              depth={depth + 1}
+              currentEmail={currentEmail}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const CommentThread = ({ task, onClose }) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [warning, setWarning] = useState(null);
+  const [body, setBody] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [posting, setPosting] = useState(false);
+
+  const { user } = useAuth();
+
+  /**
+   * Load the comment threads from the server
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.quiet] - Keep showing the comments while loading
+   */
+  const loadComments = useCallback(async ({ quiet = false } = {}) => {
+    try {
+      if (!quiet) setLoading(true);
+      setError(null);
+
+      const response = await commentAPI.getComments(task._id);
+
+      if (response.success) {
+        setComments(response.data);
+      } else {
+        throw new Error(response.message || 'Failed to load comments');
+      }
+    } catch (err) {
+      console.error('Error loading comments:', err);
+      setError(err.message || 'Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [task._id]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  // Show comments added, edited or deleted elsewhere
+  useServerEvents(['task.updated'], (event) => {
+    if (event.taskId === task._id && COMMENT_CHANGES.includes(event.change)) {
+      loadComments({ quiet: true });
+    }
+  });
+
+  /**
+   * Show a warning for mentions that did not match any user
+   *
+   * @param {Array<string>} unresolved - Unknown email addresses
+   */
+  const reportUnresolved = (unresolved = []) => {
+    setWarning(unresolved.length > 0 ? `No user found for: ${unresolved.join(', ')}` : null);
+  };
+
+  /**
+   * Post a new comment or reply
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setPosting(true);
+
+    try {
+      const response = await commentAPI.addComment(task._id, body.trim(), replyTo?._id);
+
+      if (response.success) {
+        setBody('');
+        setReplyTo(null);
+        reportUnresolved(response.unresolvedMentions);
+        await loadComments();
+      } else {
+        throw new Error(response.message || 'Failed to add comment');
+      }
+    } catch (err) {
+      console.error('Error adding comment:', err);
+      setError(err.message || 'Failed to add comment');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  /**
+   * Save an edited comment
+   *
+   * @returns {Promise<boolean>} Whether the edit was saved
+   */
+  const handleEdit = async (comment, newBody) => {
+    try {
+      const response = await commentAPI.updateComment(task._id, comment._id, newBody);
+
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to update comment');
+      }
+
+      reportUnresolved(response.unresolvedMentions);
+      await loadComments();
+      return true;
+    } catch (err) {
+      console.error('Error updating comment:', err);
+      setError(err.message || 'Failed to update comment');
+      return false;
+    }
+  };
+
+  /**
+   * Delete a comment after confirmation
+   */
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      const response = await commentAPI.deleteComment(task._id, comment._id);
+
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to delete comment');
+      }
+
+      await loadComments();
+    } catch (err) {
+      console.error('Error deleting comment:', err);
+      setError(err.message || 'Failed to delete comment');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-30" onClick={onClose}>
+      <aside
+        className="flex flex-col w-full max-w-md h-full bg-white shadow-xl text-gray-800"
+        onClick={(e) => e.stopPropagation()}
+        aria-label={`Comments on ${task.title}`}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="min-w-0">
+            <h3 className="flex items-center text-lg font-semibold">
+              <FaComments className="mr-2 text-blue-500" />
+              Comments
+            </h3>
+            <p className="text-xs text-gray-500 truncate">{task.title}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close comments">
+            <FaTimes size={18} />
+          </button>
+        </div>
+
+        {/* Messages */}
+        {error && (
+          <div className="p-3 bg-red-50 border-l-4 border-red-400 text-red-700 text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 text-red-500 hover:text-red-700">×</button>
+          </div>
+        )}
+        {warning && (
+          <div className="flex items-center p-3 bg-yellow-50 border-l-4 border-yellow-400 text-yellow-800 text-sm">
+            <FaExclamationTriangle className="mr-2" />
+            {warning}
+          </div>
+        )}
+
+        {/* Threads */}
+        <div className="flex-1 overflow-y-auto px-4">
+          {loading ? (
+            <div className="flex justify-center items-center py-8" role="status">
+              <FaSpinner className="animate-spin text-blue-500" />
+              <span className="ml-2 text-sm">Loading comments...</span>
+            </div>
+          ) : comments.length === 0 ? (
+            <p className="py-8 text-sm text-center text-gray-500">No comments yet. Start the discussion!</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {comments.map(comment => (
+                <CommentItem
+                  key={comment._id}
+                  comment={comment}
+                  depth={0}
+                  currentEmail={user?.email}
+                  onReply={setReplyTo}
+                  onEdit={handleEdit}
+                  onDelete={handleDelete}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Composer */}
+        <form onSubmit={handleSubmit} className="p-4 border-t">
+          {replyTo && (
+            <div className="flex items-center justify-between mb-2 text-xs text-gray-500">
+              <span>Replying to {replyTo.userId?.fullName || replyTo.userId?.email}</span>
+              <button type="button" onClick={() => setReplyTo(null)} className="hover:text-gray-700">
+                Cancel
+              </button>
+            </div>
+          )}
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            rows={3}
+            maxLength={2000}
+            placeholder="Write a comment... mention someone with @their@email.com"
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            disabled={posting}
+          />
+          <div className="flex justify-end mt-2">
+            <button
+              type="submit"
+              disabled={posting || !body.trim()}
+              className="flex items-center px-3 py-1 text-sm text-white bg-blue-600 rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {posting ? <FaSpinner className="animate-spin mr-1" size={12} /> : <FaPaperPlane className="mr-1" size={12} />}
+              {replyTo ? 'Reply' : 'Comment'}
+            </button>
+          </div>
+        </form>
+      </aside>
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,37 @@
+/**
+ * HighlightedText Component
+ *
+ * Text with the parts that matched a search marked, from the [start, end)
+ * ranges the task search endpoints return in `highlights`.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React from 'react';
+
+/**
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to show
+ * @param {Array<[number, number]>} [props.ranges] - Sorted, non-overlapping matches
+ */
+const HighlightedText = ({ text, ranges = [] }) => {
+  if (!text || ranges.length === 0) return <>{text}</>;
+
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={start} className="bg-yellow-200 text-inherit rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+
+  return <>{parts}</>;
+};
+
+export default HighlightedText;
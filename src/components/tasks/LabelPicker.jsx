@@ -0,0 +1,147 @@
+/**
+ * LabelPicker Component
+ *
+ * Toggleable chips for the user's labels, used both to tag a task and to
+ * filter the task list. When `onCreate` / `onDelete` are passed, labels can
+ * also be created and removed inline.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import { FaPlus, FaTimes } from 'react-icons/fa';
+
+const DEFAULT_COLOR = '#3b82f6';
+
+/**
+ * Small colored chip showing a label name
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.label - Label with name and color
+ */
+export const LabelBadge = ({ label }) => (
+  <span
+    className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium text-white"
+    style={{ backgroundColor: label.color }}
+  >
+    {label.name}
+  </span>
+);
+
+const LabelPicker = ({ labels = [], selected = [], onChange, onCreate, onDelete, disabled = false }) => {
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(DEFAULT_COLOR);
+  const [creating, setCreating] = useState(false);
+
+  /**
+   * Select or deselect a label
+   *
+   * @param {string} labelId - ID of the clicked label
+   */
+  const toggleLabel = (labelId) => {
+    onChange(
+      selected.includes(labelId)
+        ? selected.filter(id => id !== labelId)
+        : [...selected, labelId]
+    );
+  };
+
+  /**
+   * Create a label from the inline form
+   */
+  const handleCreate = async () => {
+    if (!name.trim()) return;
+
+    setCreating(true);
+    const created = await onCreate({ name: name.trim(), color });
+    setCreating(false);
+
+    if (created) {
+      setName('');
+      setColor(DEFAULT_COLOR);
+    }
+  };
+
+  return (
+    <div>
+      {labels.length === 0 ? (
+        <p className="text-xs text-gray-500">No labels yet.</p>
+      ) : (
+        <div className="flex flex-wrap gap-2">
+          {labels.map((label) => {
+            const isSelected = selected.includes(label._id);
+            return (
+              <span key={label._id} className="inline-flex items-center">
+                <button
+                  type="button"
+                  onClick={() => toggleLabel(label._id)}
+                  disabled={disabled}
+                  aria-pressed={isSelected}
+                  className={`px-2.5 py-0.5 rounded-full text-xs font-medium border-2 transition-opacity ${
+                    isSelected ? 'text-white' : 'bg-white opacity-70 hover:opacity-100'
+                  }`}
+                  style={isSelected
+                    ? { backgroundColor: label.color, borderColor: label.color }
+                    : { borderColor: label.color, color: label.color }}
+                >
+                  {label.name}
+                </button>
+                {onDelete && (
+                  <button
+                    type="button"
+                    onClick={() => onDelete(label)}
+                    disabled={disabled}
+                    className="ml-0.5 p-0.5 text-gray-400 hover:text-red-600"
+                    aria-label={`Delete label ${label.name}`}
+                  >
+                    <FaTimes size={8} />
+                  </button>
+                )}
+              </span>
+            );
+          })}
+        </div>
+      )}
+
+      {onCreate && (
+        <div className="flex items-center mt-2">
+          <input
+            type="color"
+            value={color}
+            onChange={(e) => setColor(e.target.value)}
+            disabled={disabled || creating}
+            className="w-8 h-8 p-0 border border-gray-300 rounded-l-md"
+            aria-label="Label color"
+          />
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleCreate();
+              }
+            }}
+            placeholder="New label"
+            maxLength={50}
+            disabled={disabled || creating}
+            className="flex-1 h-8 px-2 text-sm border-t border-b border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="button"
+            onClick={handleCreate}
+            disabled={disabled || creating || !name.trim()}
+            className="h-8 px-3 text-white bg-blue-600 rounded-r-md hover:bg-blue-700 disabled:opacity-50"
+            aria-label="Create label"
+          >
+            <FaPlus size={12} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LabelPicker;
@@ -0,0 +1,181 @@
+/**
+ * SubtaskChecklist Component
+ *
+ * Ordered checklist shown under a task. Checking items rolls the parent's
+ * progress and status up on the server, so the updated task is handed back
+ * to the parent after every change.
+ *
+ * Features:
+ * - Progress bar computed from checked items
+ * - Check/uncheck, add, remove and reorder items
+ * - Collapsible to keep the task list compact
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState } from 'react';
+import { FaArrowDown, FaArrowUp, FaChevronDown, FaChevronRight, FaPlus, FaSpinner, FaTimes } from 'react-icons/fa';
+import { taskAPI } from '../../utils/api';
+
+const SubtaskChecklist = ({ task, onTaskUpdated, onError }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [newTitle, setNewTitle] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const subtasks = task.subtasks || [];
+  const doneCount = subtasks.filter(subtask => subtask.done).length;
+
+  /**
+   * Run a checklist request and pass the updated task to the parent
+   *
+   * @param {Function} request - Function returning the API promise
+   */
+  const runUpdate = async (request) => {
+    setBusy(true);
+
+    try {
+      const response = await request();
+
+      if (response.success) {
+        onTaskUpdated(response.data, response.nextOccurrence);
+      } else {
+        throw new Error(response.message || 'Failed to update checklist');
+      }
+    } catch (err) {
+      console.error('Error updating checklist:', err);
+      if (onError) onError(err.message || 'Failed to update checklist');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Add a new item to the end of the checklist
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+
+    await runUpdate(() => taskAPI.addSubtask(task._id, newTitle.trim()));
+    setNewTitle('');
+  };
+
+  /**
+   * Move an item one position up or down
+   *
+   * @param {number} index - Current index of the item
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  const handleMove = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= subtasks.length) return;
+
+    const order = subtasks.map(subtask => subtask._id);
+    [order[index], order[target]] = [order[target], order[index]];
+
+    runUpdate(() => taskAPI.reorderSubtasks(task._id, order));
+  };
+
+  const progress = subtasks.length > 0 ? Math.round((doneCount / subtasks.length) * 100) : 0;
+
+  return (
+    <div className="mt-2">
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="flex items-center w-full text-xs text-gray-600 hover:text-gray-800"
+        aria-expanded={expanded}
+      >
+        {expanded ? <FaChevronDown className="mr-1" size={8} /> : <FaChevronRight className="mr-1" size={8} />}
+        <span>Checklist</span>
+        {subtasks.length > 0 && (
+          <span className="ml-1">({doneCount}/{subtasks.length})</span>
+        )}
+        {busy && <FaSpinner className="animate-spin ml-2" size={8} />}
+      </button>
+
+      {subtasks.length > 0 && (
+        <div className="mt-1 h-1 w-full bg-gray-200 rounded" aria-hidden="true">
+          <div
+            className={`h-1 rounded ${progress === 100 ? 'bg-green-500' : 'bg-blue-500'}`}
+            style={{ width: `${progress}%` }}
+          />
+        </div>
+      )}
+
+      {expanded && (
+        <div className="mt-2 space-y-1">
+          {subtasks.map((subtask, index) => (
+            <div key={subtask._id} className="flex items-center group">
+              <input
+                type="checkbox"
+                checked={subtask.done}
+                disabled={busy}
+                onChange={() => runUpdate(() => taskAPI.updateSubtask(task._id, subtask._id, { done: !subtask.done }))}
+                className="mr-2"
+                aria-label={`Mark "${subtask.title}" as ${subtask.done ? 'not done' : 'done'}`}
+              />
+              <span className={`flex-1 text-xs ${subtask.done ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                {subtask.title}
+              </span>
+              <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100">
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={busy || index === 0}
+                  className="p-0.5 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  aria-label="Move up"
+                >
+                  <FaArrowUp size={8} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={busy || index === subtasks.length - 1}
+                  className="p-0.5 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  aria-label="Move down"
+                >
+                  <FaArrowDown size={8} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => runUpdate(() => taskAPI.deleteSubtask(task._id, subtask._id))}
+                  disabled={busy}
+                  className="p-0.5 text-gray-400 hover:text-red-600"
+                  aria-label="Remove item"
+                >
+                  <FaTimes size={8} />
+                </button>
+              </div>
+            </div>
+          ))}
+
+          <form onSubmit={handleAdd} className="flex items-center mt-1">
+            <input
+              type="text"
+              value={newTitle}
+              onChange={(e) => setNewTitle(e.target.value)}
+              placeholder="Add an item"
+              maxLength={200}
+              disabled={busy}
+              className="flex-1 px-2 py-0.5 text-xs border rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={busy || !newTitle.trim()}
+              className="ml-1 p-1 text-blue-500 hover:text-blue-700 disabled:opacity-50"
+              aria-label="Add item"
+            >
+              <FaPlus size={10} />
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubtaskChecklist;
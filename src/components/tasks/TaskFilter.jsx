@@ -6,93 +6,308 @@
  * for real-time task management with proper authentication.
  * 
  * Features:
- * - Filter tasks by completion status (All/Complete/Incomplete)
- * - Search tasks by title with real-time results
+ * - Filter tasks by completion status (All/Complete/Incomplete) and priority
+ * - Filter by due date: overdue, due today, this week or in the next 7 days,
+ *   without a due date, or within a range of days
+ * - Show all my tasks, only the ones I created, or the ones assigned to me
+ * - Filter by project
+ * - Search titles and descriptions, waiting for a pause in typing before searching,
+ *   with "exact phrases" and -excluded words
+ * - Show the best matches first when searching, with the matching words highlighted
+ * - Keep the filters in the URL, so the page can be bookmarked or shared
+ * - Save the current filters and sort as named views, which the user sidebar links to
+ * - Sort by relevance, creation date, due date, priority, last update or title
+ * - Load tasks a page at a time
+ * - Filter by labels, matching any or all of the selected labels
+ * - Create and delete labels inline
+ * - Select several tasks and complete, reschedule, move or delete them at once
  * - Server API integration with authentication
  * - Responsive design with mobile optimization
  * - Accessibility support with ARIA attributes
  * 
  * @author Senior Full-Stack Engineer
- * @version 2.0.0
+ * @version 2.1.1
  */
 
-import React, { useCallback, useEffect, useState } from 'react';
-import { FaExclamationTriangle, FaFilter, FaSearch, FaSpinner, FaTasks } from 'react-icons/fa';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { FaBookmark, FaExclamationTriangle, FaFilter, FaSearch, FaSpinner, FaTags, FaTasks, FaTimes } from 'react-icons/fa';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { taskAPI } from '../../utils/api';
+import { useProjects } from '../../contexts/ProjectContext';
+import { labelAPI, taskAPI, viewAPI } from '../../utils/api';
+import { DEFAULT_FILTERS, filtersFromParams, filtersToQuery, viewPath } from '../../utils/taskFilters';
+import BulkActionBar from './BulkActionBar';
+import HighlightedText from './HighlightedText';
+import LabelPicker, { LabelBadge } from './LabelPicker';
+
+const PAGE_SIZE = 25;
+const SEARCH_DELAY_MS = 300;
+// Only the fields the list shows are requested
+const LIST_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'labels'];
+const DUE_OPTIONS = [
+  { value: '', label: 'Any due date' },
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'today', label: 'Due today' },
+  { value: 'thisWeek', label: 'Due this week' },
+  { value: 'next7days', label: 'Due in the next 7 days' },
+  { value: 'none', label: 'No due date' },
+];
+// The default (empty) sort is listed separately, as it depends on searching
+const SORT_OPTIONS = [
+  { value: 'createdAt', label: 'Oldest first' },
+  { value: 'dueDate', label: 'Due date (soonest)' },
+  { value: '-priority', label: 'Priority (highest)' },
+  { value: '-updatedAt', label: 'Recently updated' },
+  { value: 'title', label: 'Title (A-Z)' },
+];
 
 const TaskFilter = () => {
   // State management with proper initialization
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loaded, setLoaded] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
-  const [filters, setFilters] = useState({
-    status: 'all',
-    search: ''
-  });
+  const [searchParams, setSearchParams] = useSearchParams();
+  // The URL holds the applied filters; the search box applies its text after a pause
+  const queryFilters = useMemo(() => filtersFromParams(searchParams), [searchParams]);
+  const search = queryFilters.search;
+  const [searchInput, setSearchInput] = useState(search);
+  const filters = useMemo(() => ({ ...queryFilters, search: searchInput }), [queryFilters, searchInput]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [labels, setLabels] = useState([]);
+  const [manageLabels, setManageLabels] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkResult, setBulkResult] = useState(null);
+  const [views, setViews] = useState([]);
+  const [viewName, setViewName] = useState(null);
   const [counts, setCounts] = useState({
     all: 0,
     complete: 0,
     incomplete: 0
   });
+  // Number of the latest task request; responses to earlier ones are ignored
+  const latestRequest = useRef(0);
 
   const { isAuthenticated } = useAuth();
+  const { projects } = useProjects();
+
+  /**
+   * Apply filter changes by updating the URL; the tasks reload from there
+   * 
+   * @param {Object} changes - Filters to change
+   */
+  const applyFilters = useCallback((changes) => {
+    setSearchParams(prev => filtersToQuery({ ...filtersFromParams(prev), ...changes }), { replace: true });
+  }, [setSearchParams]);
+
+  /**
+   * Show the applied search in the search box, including one from a link
+   * such as the navbar search or a saved view
+   */
+  useEffect(() => {
+    setSearchInput(search);
+  }, [search]);
 
   /**
-   * Load tasks from server API
+   * Search once the user stops typing rather than on every keystroke
    */
-  const loadTasks = useCallback(async (currentFilters = filters) => {
+  useEffect(() => {
+    if (searchInput === search) return undefined;
+    const timer = setTimeout(() => applyFilters({ search: searchInput }), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput, search, applyFilters]);
+
+  /**
+   * Load the first page of tasks from the server API, or the page after
+   * the given cursor. A newer request, e.g. after the filters change,
+   * makes the responses to older ones stale, so they are dropped.
+   * 
+   * @param {string|null} cursor - nextCursor of the last loaded page
+   */
+  const loadTasks = useCallback(async (cursor = null) => {
+    const request = ++latestRequest.current;
+    const isStale = () => request !== latestRequest.current;
+
     if (!isAuthenticated) {
       setTasks([]);
       setLoading(false);
       return;
     }
 
+    const setBusy = cursor ? setLoadingMore : setLoading;
+
     try {
-      setLoading(true);
+      // Whatever an older request was loading is dropped
+      setLoading(!cursor);
+      setLoadingMore(Boolean(cursor));
       setError(null);
 
-      const response = await taskAPI.getTasks(currentFilters);
+      const response = await taskAPI.getTasks({ ...queryFilters, limit: PAGE_SIZE, cursor, fields: LIST_FIELDS });
+      if (isStale()) return;
       
       if (response.success) {
-        setTasks(response.data);
+        setTasks(prev => (cursor ? [...prev, ...response.data] : response.data));
         setCounts(response.counts);
+        setTotal(response.total);
+        setNextCursor(response.pagination.nextCursor);
+        // Keep only the selected tasks that still match the filters
+        if (!cursor) {
+          setSelectedIds(prev => prev.filter(id => response.data.some(task => task._id === id)));
+        }
       } else {
         throw new Error(response.message || 'Failed to load tasks');
       }
     } catch (err) {
+      if (isStale()) return;
       console.error('Error loading tasks:', err);
       setError(err.message || 'Failed to load tasks. Please try again later.');
       setTasks([]);
       setCounts({ all: 0, complete: 0, incomplete: 0 });
+      setTotal(0);
+      setNextCursor(null);
     } finally {
-      setLoading(false);
+      if (!isStale()) {
+        setBusy(false);
+        setLoaded(true);
+      }
     }
-  }, [isAuthenticated, filters]);
+  }, [isAuthenticated, queryFilters]);
 
   /**
-   * Load tasks on component mount and when authentication status changes
+   * Load the first page on mount and whenever the filters change
    */
   useEffect(() => {
     loadTasks();
   }, [loadTasks]);
 
   /**
-   * Handle filter changes
+   * Load the user's labels for the filter chips
+   */
+  const loadLabels = useCallback(async () => {
+    if (!isAuthenticated) return;
+
+    try {
+      const response = await labelAPI.getLabels();
+      setLabels(response.data || []);
+    } catch (err) {
+      console.error('Error loading labels:', err);
+    }
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    loadLabels();
+  }, [loadLabels]);
+
+  /**
+   * Load the user's saved views
+   */
+  const loadViews = useCallback(async () => {
+    if (!isAuthenticated) return;
+
+    try {
+      const response = await viewAPI.getViews();
+      setViews(response.data || []);
+    } catch (err) {
+      console.error('Error loading saved views:', err);
+    }
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    loadViews();
+  }, [loadViews]);
+
+  const currentQuery = filtersToQuery(queryFilters);
+
+  /**
+   * Save the applied filters and sort as a named view
+   */
+  const handleSaveView = async (e) => {
+    e.preventDefault();
+    if (!viewName.trim()) return;
+
+    try {
+      await viewAPI.createView({ name: viewName.trim(), filters: queryFilters });
+      setViewName(null);
+      await loadViews();
+    } catch (err) {
+      console.error('Error saving view:', err);
+      setError(err.message || 'Failed to save view');
+    }
+  };
+
+  /**
+   * Delete a saved view after confirmation
+   * 
+   * @param {Object} view - View to delete
+   */
+  const handleDeleteView = async (view) => {
+    if (!window.confirm(`Delete view "${view.name}"?`)) return;
+
+    try {
+      await viewAPI.deleteView(view._id);
+      await loadViews();
+    } catch (err) {
+      console.error('Error deleting view:', err);
+      setError(err.message || 'Failed to delete view');
+    }
+  };
+
+  const labelsById = useMemo(
+    () => new Map(labels.map(label => [label._id, label])),
+    [labels]
+  );
+
+  /**
+   * Create a new label
+   * 
+   * @param {Object} labelData - Name and color of the label
+   * @returns {Promise<boolean>} Whether the label was created
+   */
+  const handleCreateLabel = async (labelData) => {
+    try {
+      await labelAPI.createLabel(labelData);
+      await loadLabels();
+      return true;
+    } catch (err) {
+      console.error('Error creating label:', err);
+      setError(err.message || 'Failed to create label');
+      return false;
+    }
+  };
+
+  /**
+   * Delete a label after confirmation; it is removed from all tasks
+   * 
+   * @param {Object} label - Label to delete
+   */
+  const handleDeleteLabel = async (label) => {
+    if (!window.confirm(`Delete label "${label.name}"? It will be removed from all tasks.`)) return;
+
+    try {
+      await labelAPI.deleteLabel(label._id);
+      await loadLabels();
+      handleFilterChange('labels', filters.labels.filter(id => id !== label._id));
+    } catch (err) {
+      console.error('Error deleting label:', err);
+      setError(err.message || 'Failed to delete label');
+    }
+  };
+
+  /**
+   * Handle filter changes; the tasks reload once the filters are applied
    * 
    * @param {string} filterType - Type of filter to change
-   * @param {string} value - New filter value
+   * @param {string|Array<string>} value - New filter value
    */
-  const handleFilterChange = async (filterType, value) => {
-    const newFilters = {
-      ...filters,
-      [filterType]: value
-    };
-    
-    setFilters(newFilters);
-    
-    // Reload tasks with new filters
-    await loadTasks(newFilters);
+  const handleFilterChange = (filterType, value) => {
+    if (filterType === 'search') {
+      setSearchInput(value);
+    } else {
+      applyFilters({ [filterType]: value });
+    }
   };
 
   /**
@@ -116,13 +331,55 @@ const TaskFilter = () => {
     }
   };
 
+  /**
+   * Select or unselect a task for bulk actions
+   * 
+   * @param {string} taskId - ID of the task
+   */
+  const toggleSelected = (taskId) => {
+    setSelectedIds(prev => (prev.includes(taskId) ? prev.filter(id => id !== taskId) : [...prev, taskId]));
+  };
+
+  const allSelected = tasks.length > 0 && tasks.every(task => selectedIds.includes(task._id));
+
+  /**
+   * Apply a bulk operation to the selected tasks. Tasks it failed for stay
+   * selected so the user can retry or act on them differently.
+   * 
+   * @param {string} operation - Bulk operation name
+   * @param {*} value - Value for the operation, if it takes one
+   */
+  const handleBulkAction = async (operation, value) => {
+    setBulkBusy(true);
+    setBulkResult(null);
+
+    try {
+      const response = await taskAPI.bulkUpdateTasks(selectedIds, operation, value);
+      const failures = response.data.filter(result => !result.success);
+
+      setBulkResult({
+        message: response.message,
+        failures: failures.map(failure => ({
+          ...failure,
+          title: tasks.find(task => task._id === failure.id)?.title || failure.id
+        }))
+      });
+      setSelectedIds(failures.map(failure => failure.id));
+      await loadTasks();
+    } catch (err) {
+      console.error('Error applying bulk action:', err);
+      setBulkResult({ message: err.message || 'Failed to apply bulk action', failures: [] });
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
   /**
    * Reset filters to default values
    */
-  const resetFilters = async () => {
-    const defaultFilters = { status: 'all', search: '' };
-    setFilters(defaultFilters);
-    await loadTasks(defaultFilters);
+  const resetFilters = () => {
+    setSearchInput(DEFAULT_FILTERS.search);
+    setSearchParams({}, { replace: true });
   };
 
   // Show authentication message if not logged in
@@ -137,8 +394,8 @@ const TaskFilter = () => {
     );
   }
 
-  // Loading state
-  if (loading) {
+  // Loading state; later reloads keep the filters on screen
+  if (loading && !loaded) {
     return (
       <div className="bg-white p-6 rounded-lg shadow">
         <div className="flex justify-center items-center py-8" aria-live="polite" role="status">
@@ -175,6 +432,67 @@ const TaskFilter = () => {
         <FaTasks className="mr-2" aria-hidden="true" />
         Task Filter
       </h2>
+
+      {/* Saved views */}
+      <div className="mb-6">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="flex items-center text-sm font-medium text-gray-700 mr-1">
+            <FaBookmark className="mr-1 text-gray-400" aria-hidden="true" />
+            Views
+          </span>
+          {views.map(view => {
+            const active = filtersToQuery(view.filters) === currentQuery;
+            return (
+              <span
+                key={view._id}
+                className={`inline-flex items-center rounded-full border text-sm ${
+                  active ? 'bg-blue-500 border-blue-500 text-white' : 'border-gray-300 text-gray-700'
+                }`}
+              >
+                <Link to={viewPath(view)} className="pl-3 pr-1 py-0.5" aria-current={active ? 'page' : undefined}>
+                  {view.name}
+                </Link>
+                <button
+                  type="button"
+                  onClick={() => handleDeleteView(view)}
+                  className="pr-2 pl-1 py-0.5 hover:opacity-70"
+                  aria-label={`Delete view ${view.name}`}
+                >
+                  <FaTimes size={10} aria-hidden="true" />
+                </button>
+              </span>
+            );
+          })}
+          {viewName === null ? (
+            <button
+              type="button"
+              onClick={() => setViewName('')}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              Save current filters
+            </button>
+          ) : (
+            <form onSubmit={handleSaveView} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={viewName}
+                onChange={(e) => setViewName(e.target.value)}
+                placeholder="View name"
+                maxLength={50}
+                className="rounded-md border-gray-300 shadow-sm text-sm py-1"
+                aria-label="View name"
+                autoFocus
+              />
+              <button type="submit" className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600">
+                Save
+              </button>
+              <button type="button" onClick={() => setViewName(null)} className="text-sm text-gray-600 hover:text-gray-800">
+                Cancel
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
       
       <div className="mb-6 space-y-4">
         {/* Search input */}
@@ -198,6 +516,61 @@ const TaskFilter = () => {
           </div>
         </div>
         
+        {/* Sort order */}
+        <div>
+          <label htmlFor="sort-order" className="block text-sm font-medium text-gray-700 mb-1">
+            Sort by
+          </label>
+          <select
+            id="sort-order"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            value={filters.sort}
+            onChange={(e) => handleFilterChange('sort', e.target.value)}
+          >
+            <option value="">{search ? 'Best match' : 'Newest first'}</option>
+            {search && <option value="-createdAt">Newest first</option>}
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Scope filter */}
+        <div>
+          <label htmlFor="scope-filter" className="block text-sm font-medium text-gray-700 mb-1">
+            Show
+          </label>
+          <select
+            id="scope-filter"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            value={filters.scope}
+            onChange={(e) => handleFilterChange('scope', e.target.value)}
+          >
+            <option value="mine">All my tasks</option>
+            <option value="created">Created by me</option>
+            <option value="assigned">Assigned to me</option>
+          </select>
+        </div>
+
+        {/* Project filter */}
+        <div>
+          <label htmlFor="project-filter" className="block text-sm font-medium text-gray-700 mb-1">
+            Project
+          </label>
+          <select
+            id="project-filter"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            value={filters.projectId}
+            onChange={(e) => handleFilterChange('projectId', e.target.value)}
+          >
+            <option value="">All projects</option>
+            <option value="none">No project</option>
+            {projects.map(project => (
+              <option key={project._id} value={project._id}>{project.name}</option>
+            ))}
+          </select>
+        </div>
+
         {/* Status filter */}
         <div>
           <label htmlFor="status-filter" className="block text-sm font-medium text-gray-700 mb-1">
@@ -215,17 +588,173 @@ const TaskFilter = () => {
               aria-label="Filter tasks by status"
             >
               <option value="all">All Tasks ({counts.all})</option>
-              <option value="complete">Complete ({counts.complete})</option>
+              {/* Completed tasks are never overdue */}
+              <option value="complete" disabled={filters.due === 'overdue'}>Complete ({counts.complete})</option>
               <option value="incomplete">Incomplete ({counts.incomplete})</option>
             </select>
           </div>
         </div>
+
+        {/* Priority filter */}
+        <div>
+          <label htmlFor="priority-filter" className="block text-sm font-medium text-gray-700 mb-1">
+            Priority
+          </label>
+          <select
+            id="priority-filter"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            value={filters.priority}
+            onChange={(e) => handleFilterChange('priority', e.target.value)}
+          >
+            <option value="">Any priority</option>
+            <option value="high">High</option>
+            <option value="medium">Medium</option>
+            <option value="low">Low</option>
+          </select>
+        </div>
+
+        {/* Due date filter */}
+        <div>
+          <label htmlFor="due-filter" className="block text-sm font-medium text-gray-700 mb-1">
+            Due date
+          </label>
+          <select
+            id="due-filter"
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+            value={filters.due}
+            onChange={(e) => applyFilters(
+              e.target.value === 'none' ? { due: 'none', dueAfter: '', dueBefore: '' } : { due: e.target.value }
+            )}
+          >
+            {DUE_OPTIONS.map(option => (
+              <option
+                key={option.value}
+                value={option.value}
+                disabled={option.value === 'overdue' && filters.status === 'complete'}
+              >
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {filters.due !== 'none' && (
+            <div className="mt-2 grid grid-cols-2 gap-2">
+              <label className="text-xs text-gray-600">
+                From
+                <input
+                  type="date"
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+                  value={filters.dueAfter}
+                  max={filters.dueBefore || undefined}
+                  onChange={(e) => handleFilterChange('dueAfter', e.target.value)}
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                To
+                <input
+                  type="date"
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+                  value={filters.dueBefore}
+                  min={filters.dueAfter || undefined}
+                  onChange={(e) => handleFilterChange('dueBefore', e.target.value)}
+                />
+              </label>
+            </div>
+          )}
+        </div>
+
+        {/* Label filter */}
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <span className="flex items-center text-sm font-medium text-gray-700">
+              <FaTags className="mr-1 text-gray-400" aria-hidden="true" />
+              Filter by Labels
+            </span>
+            <div className="flex items-center space-x-3 text-xs">
+              {filters.labels.length > 1 && (
+                <div className="inline-flex rounded-md border border-gray-300" role="group" aria-label="Label match mode">
+                  {['any', 'all'].map(mode => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => handleFilterChange('labelMatch', mode)}
+                      aria-pressed={filters.labelMatch === mode}
+                      className={`px-2 py-0.5 ${
+                        filters.labelMatch === mode ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-gray-100'
+                      }`}
+                    >
+                      Match {mode}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <button
+                type="button"
+                onClick={() => setManageLabels(prev => !prev)}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                {manageLabels ? 'Done' : 'Manage labels'}
+              </button>
+            </div>
+          </div>
+          <LabelPicker
+            labels={labels}
+            selected={filters.labels}
+            onChange={(selected) => handleFilterChange('labels', selected)}
+            onCreate={manageLabels ? handleCreateLabel : undefined}
+            onDelete={manageLabels ? handleDeleteLabel : undefined}
+          />
+        </div>
       </div>
       
-      {/* Results count */}
-      <div className="mb-4 text-sm text-gray-500">
-        Showing {tasks.length} of {counts.all} tasks
+      {/* Results count and select all */}
+      <div className="flex items-center justify-between mb-4 text-sm text-gray-500">
+        <span className="flex items-center">
+          Showing {tasks.length} of {total} matching tasks
+          {loading && <FaSpinner className="ml-2 animate-spin text-blue-500" aria-label="Loading tasks" />}
+        </span>
+        {tasks.length > 0 && (
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              className="mr-2 rounded border-gray-300"
+              checked={allSelected}
+              onChange={() => setSelectedIds(allSelected ? [] : tasks.map(task => task._id))}
+            />
+            Select all
+          </label>
+        )}
       </div>
+
+      {/* Bulk actions */}
+      {bulkResult && (
+        <div
+          className={`mb-4 p-3 rounded-md text-sm ${
+            bulkResult.failures.length > 0 ? 'bg-yellow-50 text-yellow-800' : 'bg-green-50 text-green-800'
+          }`}
+          role="status"
+        >
+          <div className="flex items-start justify-between">
+            <p>{bulkResult.message}</p>
+            <button onClick={() => setBulkResult(null)} className="ml-2 hover:opacity-70" aria-label="Dismiss">×</button>
+          </div>
+          {bulkResult.failures.length > 0 && (
+            <ul className="mt-1 list-disc list-inside">
+              {bulkResult.failures.map(failure => (
+                <li key={failure.id}>{failure.title}: {failure.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {selectedIds.length > 0 && (
+        <BulkActionBar
+          count={selectedIds.length}
+          projects={projects}
+          busy={bulkBusy}
+          onApply={handleBulkAction}
+          onClear={() => setSelectedIds([])}
+        />
+      )}
       
       {/* Task list */}
       {tasks.length === 0 ? (
@@ -245,6 +774,13 @@ const TaskFilter = () => {
               <div className="flex items-start justify-between">
                 <div className="flex-1 min-w-0">
                   <div className="flex items-center mb-2">
+                    <input
+                      type="checkbox"
+                      className="mr-3 rounded border-gray-300"
+                      checked={selectedIds.includes(task._id)}
+                      onChange={() => toggleSelected(task._id)}
+                      aria-label={`Select ${task.title}`}
+                    />
                     <button
                       onClick={() => handleToggleStatus(task._id)}
                       className={`mr-3 w-5 h-5 rounded border-2 flex items-center justify-center transition-colors ${
@@ -257,13 +793,15 @@ const TaskFilter = () => {
                       {task.status === 'complete' && '✓'}
                     </button>
                     <h3 className={`text-lg font-medium ${task.status === 'complete' ? 'line-through text-gray-500' : 'text-gray-900'}`}>
-                      {task.title}
+                      <HighlightedText text={task.title} ranges={task.highlights?.title} />
                     </h3>
                   </div>
-                  <p className={`ml-8 text-sm ${task.status === 'complete' ? 'text-gray-400' : 'text-gray-600'}`}>
-                    {task.description}
+                  <p className={`ml-14 text-sm ${task.status === 'complete' ? 'text-gray-400' : 'text-gray-600'}`}>
+                    {task.highlights
+                      ? <HighlightedText text={task.highlights.snippet.text} ranges={task.highlights.snippet.matches} />
+                      : task.description}
                   </p>
-                  <div className="ml-8 mt-2 flex flex-wrap gap-2">
+                  <div className="ml-14 mt-2 flex flex-wrap gap-2">
                     <span 
                       className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
                         task.status === 'complete' 
@@ -287,6 +825,10 @@ const TaskFilter = () => {
                         {task.priority}
                       </span>
                     )}
+
+                    {(task.labels || []).map(labelId => labelsById.get(labelId)).filter(Boolean).map(label => (
+                      <LabelBadge key={label._id} label={label} />
+                    ))}
                   </div>
                 </div>
                 
@@ -300,6 +842,20 @@ const TaskFilter = () => {
           ))}
         </ul>
       )}
+
+      {nextCursor && (
+        <div className="mt-4 text-center">
+          <button
+            type="button"
+            onClick={() => loadTasks(nextCursor)}
+            disabled={loading || loadingMore}
+            className="inline-flex items-center px-4 py-2 text-sm text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50 disabled:opacity-50"
+          >
+            {loadingMore && <FaSpinner className="mr-2 animate-spin" aria-hidden="true" />}
+            Load more
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,180 @@
+/**
+ * TaskHistory Component
+ *
+ * Side panel with the activity history of a single task: who created,
+ * changed, moved or completed it and when, with the before and after
+ * values of every changed field.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { FaHistory, FaSpinner, FaTimes } from 'react-icons/fa';
+import { taskAPI } from '../../utils/api';
+import { describeRecurrence } from '../../utils/recurrence';
+
+const EVENT_LABELS = {
+  created: 'created the task',
+  updated: 'updated the task',
+  status_changed: 'changed the status',
+  progress_changed: 'updated the progress',
+  moved: 'moved the task on the board',
+  deleted: 'moved the task to the trash',
+  restored: 'restored the task from the trash',
+};
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  workflowStatus: 'Board column',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  progress: 'Progress',
+  labels: 'Labels',
+  projectId: 'Project',
+  assignees: 'Assignees',
+  recurrence: 'Repeat',
+};
+
+/**
+ * Readable form of a recorded field value
+ *
+ * @param {string} field - Task field name
+ * @param {*} value - Recorded value
+ * @param {Object} refs - Names of referenced labels, projects and users by ID
+ * @returns {string} Display text
+ */
+const formatValue = (field, value, refs) => {
+  if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+    return 'none';
+  }
+
+  switch (field) {
+    case 'dueDate':
+      return new Date(value).toLocaleDateString();
+    case 'progress':
+      return `${value}%`;
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'projectId':
+      return refs[value] || 'a removed project';
+    case 'labels':
+    case 'assignees':
+      return value.map(id => refs[id] || 'removed').join(', ');
+    default:
+      return String(value);
+  }
+};
+
+const TaskHistory = ({ task, onClose }) => {
+  const [events, setEvents] = useState([]);
+  const [refs, setRefs] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the history from the server
+   */
+  const loadHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await taskAPI.getTaskHistory(task._id);
+
+      if (response.success) {
+        setEvents(response.data);
+        setRefs(response.refs || {});
+      } else {
+        throw new Error(response.message || 'Failed to load history');
+      }
+    } catch (err) {
+      console.error('Error loading task history:', err);
+      setError(err.message || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [task._id]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-30" onClick={onClose}>
+      <aside
+        className="flex flex-col w-full max-w-md h-full bg-white shadow-xl text-gray-800"
+        onClick={(e) => e.stopPropagation()}
+        aria-label={`History of ${task.title}`}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="min-w-0">
+            <h3 className="flex items-center text-lg font-semibold">
+              <FaHistory className="mr-2 text-blue-500" />
+              History
+            </h3>
+            <p className="text-xs text-gray-500 truncate">{task.title}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close history">
+            <FaTimes size={18} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="p-3 bg-red-50 border-l-4 border-red-400 text-red-700 text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 text-red-500 hover:text-red-700">×</button>
+          </div>
+        )}
+
+        {/* Timeline */}
+        <div className="flex-1 overflow-y-auto p-4">
+          {loading ? (
+            <div className="flex justify-center items-center py-8" role="status">
+              <FaSpinner className="animate-spin text-blue-500" />
+              <span className="ml-2 text-sm">Loading history...</span>
+            </div>
+          ) : events.length === 0 ? (
+            <p className="py-8 text-sm text-center text-gray-500">No recorded activity yet.</p>
+          ) : (
+            <ol className="relative ml-2 border-l border-gray-200">
+              {events.map(event => (
+                <li key={event._id} className="mb-5 ml-4">
+                  <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-blue-500 border-2 border-white" />
+                  <p className="text-sm">
+                    <span className="font-medium">{event.userId?.fullName || event.userId?.email || 'Unknown user'}</span>{' '}
+                    {EVENT_LABELS[event.type] || event.type}
+                  </p>
+                  <time className="text-xs text-gray-500" dateTime={event.createdAt}>
+                    {new Date(event.createdAt).toLocaleString()}
+                  </time>
+                  {event.changes.length > 0 && (
+                    <ul className="mt-1 space-y-0.5 text-xs text-gray-600">
+                      {event.changes.map(change => (
+                        <li key={change.field} className="break-words">
+                          <span className="font-medium">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                          {event.type !== 'created' && (
+                            <>
+                              <span className="line-through text-gray-400">{formatValue(change.field, change.from, refs)}</span>
+                              {' → '}
+                            </>
+                          )}
+                          {formatValue(change.field, change.to, refs)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default TaskHistory;
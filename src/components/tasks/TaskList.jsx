@@ -10,16 +10,33 @@
  * - Authentication-aware functionality
  * - Loading, error, and empty states with appropriate UI feedback
  * - Task creation modal integration
+ * - Comment thread and activity history panels per task
+ * - Trash bin to restore deleted tasks
+ * - Live updates when tasks change in other tabs or for other users
+ * - Checklist and file attachments per task
+ * - Creator and assignees shown on shared tasks
  * 
  * @author Senior Full-Stack Engineer
- * @version 2.0.0
+ * @version 2.1.0
  */
 
 import React, { useEffect, useState } from 'react';
-import { FaCalendarAlt, FaCheck, FaEdit, FaExclamationTriangle, FaFlag, FaPlus, FaSpinner, FaTrash } from 'react-icons/fa';
+import { FaCalendarAlt, FaCheck, FaComments, FaEdit, FaExclamationTriangle, FaFlag, FaHistory, FaPlus, FaRedo, FaSpinner, FaTrash, FaUserFriends } from 'react-icons/fa';
 import { useAuth } from '../../contexts/AuthContext';
+import { useProjects } from '../../contexts/ProjectContext';
+import { useServerEvents } from '../../hooks/useServerEvents';
 import { taskAPI } from '../../utils/api';
+import { describeRecurrence } from '../../utils/recurrence';
+import { TASK_EVENTS } from '../../utils/serverEvents';
 import CreateTaskModal from '../user/CreateTaskModal';
+import AttachmentList from './AttachmentList';
+import CommentThread from './CommentThread';
+import SubtaskChecklist from './SubtaskChecklist';
+import TaskHistory from './TaskHistory';
+import TrashBin from './TrashBin';
+
+// Reload once a burst of live task events (e.g. a bulk update) has settled
+const LIVE_RELOAD_DELAY_MS = 300;
 
 const TaskList = () => {
   // State management with proper initialization
@@ -29,14 +46,29 @@ const TaskList = () => {
   const [editingTask, setEditingTask] = useState(null);
   const [editForm, setEditForm] = useState({ title: '', description: '' });
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [commentTask, setCommentTask] = useState(null);
+  const [historyTask, setHistoryTask] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
   const [actionLoading, setActionLoading] = useState({});
 
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, user } = useAuth();
+  const { currentProject, currentProjectId } = useProjects();
+
+  /**
+   * Whether the current user created a task (assignees can't delete it)
+   * 
+   * @param {Object} task - Task with populated creator
+   * @returns {boolean} True for the creator
+   */
+  const isCreator = (task) => !task.userId?.email || task.userId.email === user?.email;
 
   /**
    * Load tasks from server API
+   * 
+   * @param {Object} [options]
+   * @param {boolean} [options.quiet] - Keep showing the current tasks while loading
    */
-  const loadTasks = async () => {
+  const loadTasks = async ({ quiet = false } = {}) => {
     if (!isAuthenticated) {
       setTasks([]);
       setLoading(false);
@@ -44,10 +76,10 @@ const TaskList = () => {
     }
 
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       setError(null);
 
-      const response = await taskAPI.getTasks();
+      const response = await taskAPI.getTasks({ projectId: currentProjectId });
       
       if (response.success) {
         setTasks(response.data);
@@ -64,11 +96,16 @@ const TaskList = () => {
   };
 
   /**
-   * Load tasks on component mount and when authentication status changes
+   * Load tasks on component mount and when authentication status or the project changes
    */
   useEffect(() => {
     loadTasks();
-  }, [isAuthenticated]);
+  }, [isAuthenticated, currentProjectId]);
+
+  /**
+   * Reload when tasks change in another tab or for another user
+   */
+  useServerEvents(TASK_EVENTS, () => loadTasks({ quiet: true }), LIVE_RELOAD_DELAY_MS);
 
   /**
    * Toggle task completion status
@@ -82,14 +119,15 @@ const TaskList = () => {
       const response = await taskAPI.toggleTaskStatus(taskId);
       
       if (response.success) {
-        // Update local state optimistically
+        // Update local state (status toggles also check or clear the checklist)
         setTasks(prevTasks => 
           prevTasks.map(task => 
             task._id === taskId 
-              ? { ...task, status: response.data.status }
+              ? { ...task, ...response.data }
               : task
           )
         );
+        addNextOccurrence(response.nextOccurrence);
       } else {
         throw new Error(response.message || 'Failed to update task status');
       }
@@ -107,7 +145,7 @@ const TaskList = () => {
    * @param {string} taskId - ID of the task to delete
    */
   const handleDeleteTask = async (taskId) => {
-    if (!window.confirm('Are you sure you want to delete this task?')) {
+    if (!window.confirm('Move this task to the trash? You can restore it from there.')) {
       return;
     }
 
@@ -208,6 +246,29 @@ const TaskList = () => {
     setEditForm({ title: '', description: '' });
   };
 
+  /**
+   * Show the next occurrence spawned by completing a recurring task
+   * 
+   * @param {Object|null} nextTask - New task returned by the server, if any
+   */
+  const addNextOccurrence = (nextTask) => {
+    if (!nextTask) return;
+    setTasks(prevTasks => [nextTask, ...prevTasks]);
+  };
+
+  /**
+   * Replace a task in local state after a checklist change
+   * 
+   * @param {Object} updatedTask - Task returned by the server
+   * @param {Object} [nextTask] - Next occurrence, if completing the checklist spawned one
+   */
+  const handleTaskUpdated = (updatedTask, nextTask) => {
+    setTasks(prevTasks =>
+      prevTasks.map(task => task._id === updatedTask._id ? updatedTask : task)
+    );
+    addNextOccurrence(nextTask);
+  };
+
   /**
    * Handle task creation success
    */
@@ -297,14 +358,31 @@ const TaskList = () => {
     <div className="w-full">
       {/* Header with create button */}
       <div className="flex items-center justify-between p-4 border-b">
-        <h3 className="text-lg font-semibold text-gray-800">My Tasks</h3>
-        <button
-          onClick={() => setShowCreateModal(true)}
-          className="flex items-center px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
-        >
-          <FaPlus className="mr-1" size={12} />
-          Add Task
-        </button>
+        <h3 className="text-lg font-semibold text-gray-800">
+          My Tasks
+          {currentProject && (
+            <span className="ml-2 text-sm font-normal" style={{ color: currentProject.color }}>
+              {currentProject.name}
+            </span>
+          )}
+        </h3>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setShowTrash(true)}
+            className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+            aria-label="Open trash"
+            title="Trash"
+          >
+            <FaTrash size={14} />
+          </button>
+          <button
+            onClick={() => setShowCreateModal(true)}
+            className="flex items-center px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <FaPlus className="mr-1" size={12} />
+            Add Task
+          </button>
+        </div>
       </div>
 
       {/* Error message for actions */}
@@ -426,31 +504,83 @@ const TaskList = () => {
                                 {formatDate(task.dueDate)}
                               </span>
                             )}
+
+                            {task.recurrence && (
+                              <span className="inline-flex items-center px-2 py-0.5 rounded text-xs bg-purple-100 text-purple-800 border border-purple-200">
+                                <FaRedo className="mr-1" size={8} />
+                                {describeRecurrence(task.recurrence)}
+                              </span>
+                            )}
+
+                            {!isCreator(task) && (
+                              <span className="inline-flex items-center px-2 py-0.5 rounded text-xs bg-green-100 text-green-800 border border-green-200">
+                                Assigned by {task.userId.fullName || task.userId.email}
+                              </span>
+                            )}
+
+                            {task.assignees?.length > 0 && (
+                              <span
+                                className="inline-flex items-center px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-700 border border-gray-200"
+                                title={task.assignees.map(assignee => assignee.email).join(', ')}
+                              >
+                                <FaUserFriends className="mr-1" size={8} />
+                                {task.assignees.map(assignee => assignee.fullName || assignee.email).join(', ')}
+                              </span>
+                            )}
                           </div>
+
+                          <SubtaskChecklist
+                            task={task}
+                            onTaskUpdated={handleTaskUpdated}
+                            onError={setError}
+                          />
+
+                          <AttachmentList
+                            taskId={task._id}
+                            attachments={task.attachments}
+                            onChange={(attachments) => handleTaskUpdated({ ...task, attachments })}
+                            onError={setError}
+                          />
                         </div>
                       </div>
                       
                       {/* Action buttons */}
                       <div className="flex items-center space-x-1 ml-2">
                         <button
-                          onClick={() => startEditing(task)}
+                          onClick={() => setCommentTask(task)}
                           className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
-                          aria-label="Edit task"
+                          aria-label="Open comments"
                         >
-                          <FaEdit size={12} />
+                          <FaComments size={12} />
                         </button>
                         <button
-                          onClick={() => handleDeleteTask(task._id)}
-                          disabled={actionLoading[`delete_${task._id}`]}
-                          className="p-1 text-gray-400 hover:text-red-600 transition-colors disabled:opacity-50"
-                          aria-label="Delete task"
+                          onClick={() => setHistoryTask(task)}
+                          className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                          aria-label="Open history"
                         >
-                          {actionLoading[`delete_${task._id}`] ? (
-                            <FaSpinner className="animate-spin" size={12} />
-                          ) : (
-                            <FaTrash size={12} />
-                          )}
+                          <FaHistory size={12} />
                         </button>
+                        <button
+                          onClick={() => startEditing(task)}
+                          className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                          aria-label="Edit task"
+                        >
+                          <FaEdit size={12} />
+                        </button>
+                        {isCreator(task) && (
+                          <button
+                            onClick={() => handleDeleteTask(task._id)}
+                            disabled={actionLoading[`delete_${task._id}`]}
+                            className="p-1 text-gray-400 hover:text-red-600 transition-colors disabled:opacity-50"
+                            aria-label="Delete task"
+                          >
+                            {actionLoading[`delete_${task._id}`] ? (
+                              <FaSpinner className="animate-spin" size={12} />
+                            ) : (
+                              <FaTrash size={12} />
+                            )}
+                          </button>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -467,6 +597,30 @@ const TaskList = () => {
         onClose={() => setShowCreateModal(false)}
         onTaskCreated={handleTaskCreated}
       />
+
+      {/* Comment Thread Panel */}
+      {commentTask && (
+        <CommentThread
+          task={commentTask}
+          onClose={() => setCommentTask(null)}
+        />
+      )}
+
+      {/* Activity History Panel */}
+      {historyTask && (
+        <TaskHistory
+          task={historyTask}
+          onClose={() => setHistoryTask(null)}
+        />
+      )}
+
+      {/* Trash Panel */}
+      {showTrash && (
+        <TrashBin
+          onClose={() => setShowTrash(false)}
+          onRestored={loadTasks}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,146 @@
+/**
+ * TrashBin Component
+ *
+ * Side panel listing the tasks the user deleted. Trashed tasks can be
+ * restored until the server purges them after the retention period.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { FaSpinner, FaTimes, FaTrash, FaUndo } from 'react-icons/fa';
+import { taskAPI } from '../../utils/api';
+
+const TrashBin = ({ onClose, onRestored }) => {
+  const [tasks, setTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the trashed tasks from the server
+   */
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await taskAPI.getTrash();
+
+      if (response.success) {
+        setTasks(response.data);
+        setRetentionDays(response.retentionDays);
+      } else {
+        throw new Error(response.message || 'Failed to load trash');
+      }
+    } catch (err) {
+      console.error('Error loading trash:', err);
+      setError(err.message || 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  /**
+   * Restore a task and hand it back to the task list
+   *
+   * @param {Object} task - Trashed task
+   */
+  const handleRestore = async (task) => {
+    setRestoringId(task._id);
+
+    try {
+      const response = await taskAPI.restoreTask(task._id);
+
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to restore task');
+      }
+
+      setTasks(prev => prev.filter(item => item._id !== task._id));
+      onRestored?.(response.data);
+    } catch (err) {
+      console.error('Error restoring task:', err);
+      setError(err.message || 'Failed to restore task');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-30" onClick={onClose}>
+      <aside
+        className="flex flex-col w-full max-w-md h-full bg-white shadow-xl text-gray-800"
+        onClick={(e) => e.stopPropagation()}
+        aria-label="Trash"
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="min-w-0">
+            <h3 className="flex items-center text-lg font-semibold">
+              <FaTrash className="mr-2 text-red-500" />
+              Trash
+            </h3>
+            {retentionDays && (
+              <p className="text-xs text-gray-500">Deleted tasks are removed for good after {retentionDays} days.</p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close trash">
+            <FaTimes size={18} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="p-3 bg-red-50 border-l-4 border-red-400 text-red-700 text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 text-red-500 hover:text-red-700">×</button>
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto">
+          {loading ? (
+            <div className="flex justify-center items-center py-8" role="status">
+              <FaSpinner className="animate-spin text-blue-500" />
+              <span className="ml-2 text-sm">Loading trash...</span>
+            </div>
+          ) : tasks.length === 0 ? (
+            <p className="py-8 text-sm text-center text-gray-500">The trash is empty.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {tasks.map(task => (
+                <li key={task._id} className="flex items-start justify-between p-4">
+                  <div className="min-w-0 mr-2">
+                    <p className="text-sm font-medium truncate">{task.title}</p>
+                    <p className="text-xs text-gray-500">
+                      Deleted {new Date(task.deletedAt).toLocaleString()}
+                      {' · '}removed on {new Date(task.purgeAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRestore(task)}
+                    disabled={restoringId === task._id}
+                    className="flex items-center px-2 py-1 text-xs text-white bg-blue-500 rounded hover:bg-blue-600 disabled:opacity-50"
+                  >
+                    {restoringId === task._id ? (
+                      <FaSpinner className="animate-spin mr-1" size={10} />
+                    ) : (
+                      <FaUndo className="mr-1" size={10} />
+                    )}
+                    Restore
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default TrashBin;
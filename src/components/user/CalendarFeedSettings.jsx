@@ -0,0 +1,138 @@
+/**
+ * CalendarFeedSettings Component
+ *
+ * Profile section for the secret iCalendar feed URL of the user's task due
+ * dates: turn it on, copy it into a calendar app, replace it with a new URL
+ * or turn it off.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useState } from "react";
+import { FaCalendarAlt, FaCopy, FaSpinner, FaSyncAlt } from "react-icons/fa";
+import { calendarAPI } from "../../utils/api";
+
+const CalendarFeedSettings = () => {
+  const [feed, setFeed] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    calendarAPI.getFeed()
+      .then(response => setFeed(response.data))
+      .catch(err => setError(err.message || "Failed to load calendar feed"));
+  }, []);
+
+  /**
+   * Run a feed request and show its result
+   *
+   * @param {Function} request - calendarAPI method
+   */
+  const update = async (request) => {
+    try {
+      setBusy(true);
+      setError(null);
+      setCopied(false);
+
+      const response = await request();
+      setFeed(response.data);
+    } catch (err) {
+      console.error("Error updating calendar feed:", err);
+      setError(err.message || "Failed to update calendar feed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRegenerate = () => {
+    if (feed?.enabled && !window.confirm("Calendar apps using the current URL will stop updating. Create a new URL?")) return;
+    update(calendarAPI.regenerateFeed);
+  };
+
+  const handleRevoke = () => {
+    if (!window.confirm("Turn off the calendar feed? Calendar apps using it will stop updating.")) return;
+    update(calendarAPI.revokeFeed);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      setCopied(true);
+    } catch {
+      setError("Copy the URL by hand; the clipboard is not available");
+    }
+  };
+
+  const buttonClass = "inline-flex items-center px-3 py-2 rounded-lg text-sm font-medium disabled:opacity-50";
+
+  return (
+    <section className="mt-8 pt-6 border-t">
+      <h3 className="flex items-center text-xl font-semibold text-gray-800 mb-2">
+        <FaCalendarAlt className="mr-2 text-blue-500" aria-hidden="true" />
+        Calendar feed
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Subscribe to this URL in Google Calendar, Outlook or Apple Calendar to see the due dates of your
+        tasks there. Anyone with the URL can see those tasks, so keep it private.
+      </p>
+
+      {error && <p className="mb-3 text-sm text-red-600" role="alert">{error}</p>}
+
+      {feed === null && !error ? (
+        <FaSpinner className="animate-spin text-blue-500" aria-label="Loading calendar feed" />
+      ) : feed?.enabled ? (
+        <div className="space-y-3">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={feed.url}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 px-3 py-2 border rounded-lg text-sm font-mono bg-gray-50"
+              aria-label="Calendar feed URL"
+            />
+            <button
+              type="button"
+              onClick={handleCopy}
+              className={`${buttonClass} border border-gray-300 bg-white hover:bg-gray-50`}
+            >
+              <FaCopy className="mr-1" aria-hidden="true" /> {copied ? "Copied" : "Copy"}
+            </button>
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleRegenerate}
+              disabled={busy}
+              className={`${buttonClass} border border-gray-300 bg-white hover:bg-gray-50`}
+            >
+              <FaSyncAlt className="mr-1" aria-hidden="true" /> New URL
+            </button>
+            <button
+              type="button"
+              onClick={handleRevoke}
+              disabled={busy}
+              className={`${buttonClass} text-red-600 border border-red-200 bg-white hover:bg-red-50`}
+            >
+              Turn off
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={handleRegenerate}
+          disabled={busy}
+          className={`${buttonClass} bg-blue-500 text-white hover:bg-blue-600`}
+        >
+          {busy && <FaSpinner className="mr-2 animate-spin" aria-hidden="true" />}
+          Create feed URL
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default CalendarFeedSettings;
@@ -8,6 +8,11 @@
  * Features:
  * - Full task creation form with validation
  * - Priority selection and due date picker
+ * - Optional checklist of subtasks (progress is rolled up from it)
+ * - File attachments uploaded right after the task is created
+ * - Label picker with inline label creation
+ * - Optional repeat schedule (daily, weekly, monthly)
+ * - Project selection, defaulting to the project picked in the sidebar
  * - Server API integration
  * - Loading states and error handling
  * - Responsive modal design
@@ -16,20 +21,70 @@
  * @version 2.0.0
  */
 
-import React, { useState } from 'react';
-import { FaExclamationTriangle, FaSave, FaSpinner, FaTimes } from 'react-icons/fa';
-import { taskAPI } from '../../utils/api';
+import React, { useEffect, useState } from 'react';
+import { FaExclamationTriangle, FaPaperclip, FaPlus, FaSave, FaSpinner, FaTimes } from 'react-icons/fa';
+import { useProjects } from '../../contexts/ProjectContext';
+import { attachmentAPI, labelAPI, taskAPI } from '../../utils/api';
+import { formatFileSize } from '../../utils/fileSize';
+import LabelPicker from '../tasks/LabelPicker';
+import RecurrenceEditor from '../tasks/RecurrenceEditor';
 
 const CreateTaskModal = ({ isOpen, onClose, onTaskCreated }) => {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     priority: 'medium',
-    dueDate: ''
+    dueDate: '',
+    subtasks: [],
+    labels: [],
+    recurrence: null
   });
+  const [availableLabels, setAvailableLabels] = useState([]);
+  const [projectId, setProjectId] = useState('');
+  const [newSubtask, setNewSubtask] = useState('');
+  const [files, setFiles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  const { projects, currentProject } = useProjects();
+
+  /**
+   * Load the user's labels whenever the modal opens
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    labelAPI.getLabels()
+      .then(response => setAvailableLabels(response.data || []))
+      .catch(err => console.error('Error loading labels:', err));
+  }, [isOpen]);
+
+  /**
+   * Preselect the project picked in the sidebar whenever the modal opens
+   */
+  useEffect(() => {
+    if (isOpen) setProjectId(currentProject?._id || '');
+  }, [isOpen, currentProject]);
+
+  /**
+   * Create a label from the picker and select it
+   * 
+   * @param {Object} labelData - Name and color of the new label
+   * @returns {Promise<boolean>} Whether the label was created
+   */
+  const handleCreateLabel = async (labelData) => {
+    try {
+      const response = await labelAPI.createLabel(labelData);
+      setAvailableLabels(prev => [...prev, response.data].sort((a, b) => a.name.localeCompare(b.name)));
+      setFormData(prev => ({ ...prev, labels: [...prev.labels, response.data._id] }));
+      return true;
+    } catch (err) {
+      console.error('Error creating label:', err);
+      setError(err.message || 'Failed to create label');
+      return false;
+    }
+  };
+
   /**
    * Handle form input changes
    */
@@ -44,6 +99,42 @@ const CreateTaskModal = ({ isOpen, onClose, onTaskCreated }) => {
     if (error) setError('');
   };
 
+  /**
+   * Append the typed checklist item
+   */
+  const addSubtask = () => {
+    if (!newSubtask.trim()) return;
+
+    setFormData(prev => ({
+      ...prev,
+      subtasks: [...prev.subtasks, newSubtask.trim()]
+    }));
+    setNewSubtask('');
+  };
+
+  /**
+   * Remove a checklist item before the task is created
+   * 
+   * @param {number} index - Index of the item to remove
+   */
+  const removeSubtask = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      subtasks: prev.subtasks.filter((_, i) => i !== index)
+    }));
+  };
+
+  /**
+   * Add picked files to the attachment list
+   * 
+   * @param {Event} e - File input change event
+   */
+  const handleFilesPicked = (e) => {
+    const picked = Array.from(e.target.files || []);
+    setFiles(prev => [...prev, ...picked]);
+    e.target.value = '';
+  };
+
   /**
    * Handle form submission
    */
@@ -69,19 +160,53 @@ const CreateTaskModal = ({ isOpen, onClose, onTaskCreated }) => {
         title: formData.title.trim(),
         description: formData.description.trim(),
         priority: formData.priority,
-        dueDate: formData.dueDate || null
+        dueDate: formData.dueDate || null,
+        subtasks: formData.subtasks,
+        labels: formData.labels,
+        recurrence: formData.recurrence,
+        projectId: projectId || null
       };
 
       const response = await taskAPI.createTask(taskData);
       
       if (response.success) {
+        // Upload attachments once the task exists
+        if (files.length > 0) {
+          try {
+            const uploadResponse = await attachmentAPI.uploadAttachments(response.data._id, files);
+            response.data.attachments = uploadResponse.data;
+          } catch (uploadErr) {
+            console.error('Error uploading attachments:', uploadErr);
+            // Keep the modal open to show the problem, but don't allow creating the task twice
+            setFormData({
+              title: '',
+              description: '',
+              priority: 'medium',
+              dueDate: '',
+              subtasks: [],
+              labels: [],
+              recurrence: null
+            });
+            setFiles([]);
+            if (onTaskCreated) onTaskCreated(response.data);
+            setError(`Task created, but attachments failed to upload: ${uploadErr.message}`);
+            return;
+          }
+        }
+
+
         // Reset form
         setFormData({
           title: '',
           description: '',
           priority: 'medium',
-          dueDate: ''
+          dueDate: '',
+          subtasks: [],
+          labels: [],
+          recurrence: null
         });
+        setNewSubtask('');
+        setFiles([]);
         
         // Notify parent component
         if (onTaskCreated) {
@@ -110,8 +235,13 @@ const CreateTaskModal = ({ isOpen, onClose, onTaskCreated }) => {
         title: '',
         description: '',
         priority: 'medium',
-        dueDate: ''
+        dueDate: '',
+        subtasks: [],
+        labels: [],
+        recurrence: null
       });
+      setNewSubtask('');
+      setFiles([]);
       setError('');
       onClose();
     }
@@ -121,7 +251,7 @@ const CreateTaskModal = ({ isOpen, onClose, onTaskCreated }) => {
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-      <div className="bg-white rounded-lg shadow-xl w-full max-w-md mx-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md mx-4 max-h-[90vh] overflow-y-auto">
         {/* Header */}
         <div className="flex items-center justify-between p-6 border-b">
           <h2 className="text-xl font-semibold text-gray-800">Create New Task</h2>
@@ -184,6 +314,27 @@ const CreateTaskModal = ({ isOpen, onClose, onTaskCreated }) => {
             />
           </div>
 
+          {/* Project field */}
+          {projects.length > 0 && (
+            <div className="mb-4">
+              <label htmlFor="projectId" className="block text-sm font-medium text-gray-700 mb-1">
+                Project
+              </label>
+              <select
+                id="projectId"
+                value={projectId}
+                onChange={(e) => setProjectId(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                disabled={loading}
+              >
+                <option value="">No project</option>
+                {projects.map(project => (
+                  <option key={project._id} value={project._id}>{project.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Priority field */}
           <div className="mb-4">
             <label htmlFor="priority" className="block text-sm font-medium text-gray-700 mb-1">
@@ -204,7 +355,7 @@ const CreateTaskModal = ({ isOpen, onClose, onTaskCreated }) => {
           </div>
 
           {/* Due date field */}
-          <div className="mb-6">
+          <div className="mb-4">
             <label htmlFor="dueDate" className="block text-sm font-medium text-gray-700 mb-1">
               Due Date (Optional)
             </label>
@@ -220,6 +371,128 @@ const CreateTaskModal = ({ isOpen, onClose, onTaskCreated }) => {
             />
           </div>
 
+          {/* Recurrence field */}
+          <div className="mb-4">
+            <label htmlFor="recurrence" className="block text-sm font-medium text-gray-700 mb-1">
+              Repeat
+            </label>
+            <RecurrenceEditor
+              value={formData.recurrence}
+              onChange={(recurrence) => setFormData(prev => ({ ...prev, recurrence }))}
+              dueDate={formData.dueDate}
+              disabled={loading}
+            />
+          </div>
+
+          {/* Checklist field */}
+          <div className="mb-4">
+            <label htmlFor="newSubtask" className="block text-sm font-medium text-gray-700 mb-1">
+              Checklist (Optional)
+            </label>
+            {formData.subtasks.length > 0 && (
+              <ul className="mb-2 space-y-1">
+                {formData.subtasks.map((subtask, index) => (
+                  <li key={index} className="flex items-center justify-between px-2 py-1 text-sm bg-gray-50 rounded">
+                    <span className="text-gray-700">{subtask}</span>
+                    <button
+                      type="button"
+                      onClick={() => removeSubtask(index)}
+                      disabled={loading}
+                      className="text-gray-400 hover:text-red-600"
+                      aria-label={`Remove "${subtask}"`}
+                    >
+                      <FaTimes size={10} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex">
+              <input
+                type="text"
+                id="newSubtask"
+                value={newSubtask}
+                onChange={(e) => setNewSubtask(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    addSubtask();
+                  }
+                }}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="Add a checklist item"
+                disabled={loading}
+                maxLength={200}
+              />
+              <button
+                type="button"
+                onClick={addSubtask}
+                disabled={loading || !newSubtask.trim()}
+                className="px-3 py-2 text-white bg-blue-600 rounded-r-md hover:bg-blue-700 disabled:opacity-50"
+                aria-label="Add checklist item"
+              >
+                <FaPlus size={12} />
+              </button>
+            </div>
+            {formData.subtasks.length > 0 && (
+              <p className="mt-1 text-xs text-gray-500">
+                Progress will be calculated from the checked items.
+              </p>
+            )}
+          </div>
+
+          {/* Labels field */}
+          <div className="mb-4">
+            <span className="block text-sm font-medium text-gray-700 mb-1">
+              Labels (Optional)
+            </span>
+            <LabelPicker
+              labels={availableLabels}
+              selected={formData.labels}
+              onChange={(labels) => setFormData(prev => ({ ...prev, labels }))}
+              onCreate={handleCreateLabel}
+              disabled={loading}
+            />
+          </div>
+
+          {/* Attachments field */}
+          <div className="mb-6">
+            <label htmlFor="attachments" className="block text-sm font-medium text-gray-700 mb-1">
+              Attachments (Optional)
+            </label>
+            {files.length > 0 && (
+              <ul className="mb-2 space-y-1">
+                {files.map((file, index) => (
+                  <li key={`${file.name}-${index}`} className="flex items-center justify-between px-2 py-1 text-sm bg-gray-50 rounded">
+                    <span className="flex items-center min-w-0 text-gray-700">
+                      <FaPaperclip className="mr-1 flex-shrink-0" size={10} />
+                      <span className="truncate">{file.name}</span>
+                      <span className="ml-1 flex-shrink-0 text-xs text-gray-400">({formatFileSize(file.size)})</span>
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => setFiles(prev => prev.filter((_, i) => i !== index))}
+                      disabled={loading}
+                      className="text-gray-400 hover:text-red-600"
+                      aria-label={`Remove ${file.name}`}
+                    >
+                      <FaTimes size={10} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <input
+              type="file"
+              id="attachments"
+              multiple
+              onChange={handleFilesPicked}
+              disabled={loading}
+              className="block w-full text-sm text-gray-600 file:mr-3 file:py-1 file:px-3 file:rounded file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+            />
+            <p className="mt-1 text-xs text-gray-500">Up to 5 files, 10 MB each. Images, PDFs, text and Office documents.</p>
+          </div>
+
           {/* Action buttons */}
           <div className="flex justify-end space-x-3">
             <button
@@ -0,0 +1,142 @@
+/**
+ * DigestSettings Component
+ *
+ * Profile section for the email digest of the user's tasks: overdue, due
+ * today, due later this week and recently completed. Choose daily or weekly,
+ * the hour (and weekday) it arrives in the user's time zone, or turn it off.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useEffect, useState } from "react";
+import { FaEnvelopeOpenText, FaSpinner } from "react-icons/fa";
+import { digestAPI } from "../../utils/api";
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const DigestSettings = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    digestAPI.getPreferences()
+      .then(response => setPreferences(response.data))
+      .catch(err => setError(err.message || "Failed to load digest preferences"));
+  }, []);
+
+  /**
+   * Save changed preferences. Turning the digest on also switches it to the
+   * browser's time zone, so the hour means what the user expects.
+   *
+   * @param {Object} changes - Preferences to update
+   */
+  const update = async (changes) => {
+    const turningOn = preferences.frequency === "off" && changes.frequency && changes.frequency !== "off";
+
+    try {
+      setBusy(true);
+      setError(null);
+      setSaved(false);
+
+      const response = await digestAPI.updatePreferences({
+        ...changes,
+        ...(turningOn && BROWSER_TIME_ZONE && { timeZone: BROWSER_TIME_ZONE }),
+      });
+      setPreferences(response.data);
+      setSaved(true);
+    } catch (err) {
+      console.error("Error updating digest preferences:", err);
+      setError(err.message || "Failed to update digest preferences");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const selectClass = "px-3 py-2 border rounded-lg text-sm bg-white disabled:opacity-50";
+
+  return (
+    <section className="mt-8 pt-6 border-t">
+      <h3 className="flex items-center text-xl font-semibold text-gray-800 mb-2">
+        <FaEnvelopeOpenText className="mr-2 text-blue-500" aria-hidden="true" />
+        Email digest
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Get a summary of overdue tasks, tasks due today and this week, and what you completed.
+        Days without anything to report are skipped.
+      </p>
+
+      {error && <p className="mb-3 text-sm text-red-600" role="alert">{error}</p>}
+
+      {preferences === null ? (
+        !error && <FaSpinner className="animate-spin text-blue-500" aria-label="Loading digest preferences" />
+      ) : (
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={preferences.frequency}
+            onChange={(e) => update({ frequency: e.target.value })}
+            disabled={busy}
+            className={selectClass}
+            aria-label="Digest frequency"
+          >
+            <option value="off">Off</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+          </select>
+
+          {preferences.frequency === "weekly" && (
+            <select
+              value={preferences.weekday}
+              onChange={(e) => update({ weekday: Number(e.target.value) })}
+              disabled={busy}
+              className={selectClass}
+              aria-label="Digest day"
+            >
+              {WEEKDAYS.map((name, day) => (
+                <option key={name} value={day}>on {name}</option>
+              ))}
+            </select>
+          )}
+
+          {preferences.frequency !== "off" && (
+            <>
+              <select
+                value={preferences.hour}
+                onChange={(e) => update({ hour: Number(e.target.value) })}
+                disabled={busy}
+                className={selectClass}
+                aria-label="Digest hour"
+              >
+                {HOURS.map((hour) => (
+                  <option key={hour} value={hour}>at {String(hour).padStart(2, "0")}:00</option>
+                ))}
+              </select>
+              <span className="text-sm text-gray-500">
+                {preferences.timeZone}
+                {BROWSER_TIME_ZONE && preferences.timeZone !== BROWSER_TIME_ZONE && (
+                  <button
+                    type="button"
+                    onClick={() => update({ timeZone: BROWSER_TIME_ZONE })}
+                    disabled={busy}
+                    className="ml-2 text-blue-600 hover:text-blue-800"
+                  >
+                    Use {BROWSER_TIME_ZONE}
+                  </button>
+                )}
+              </span>
+            </>
+          )}
+
+          {busy && <FaSpinner className="animate-spin text-blue-500" aria-hidden="true" />}
+          {saved && !busy && <span className="text-sm text-green-600">Saved</span>}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default DigestSettings;
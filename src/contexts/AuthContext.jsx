@@ -7,20 +7,34 @@
  * Features:
  * - User authentication state management
  * - Login/logout functionality
- * - Token persistence
+ * - Token persistence, with access tokens refreshed before or when they expire
  * - Role-based access control support
  * - Server API integration
  * 
  * @author Senior Full-Stack Engineer
- * @version 1.0.0
+ * @version 1.1.0
  */
 
 import React, { createContext, useContext, useEffect, useState } from "react";
-import { authAPI } from "../utils/api";
+import { authAPI, refreshAccessToken, SESSION_EXPIRED_EVENT } from "../utils/api";
 
 // Create the authentication context
 const AuthContext = createContext();
 
+/**
+ * Whether a JWT has expired, judged by its exp claim
+ * @param {string} token - JWT
+ * @returns {boolean} True when expired or unreadable
+ */
+const isTokenExpired = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    return !payload.exp || payload.exp * 1000 <= Date.now();
+  } catch {
+    return true;
+  }
+};
+
 /**
  * Custom hook to use the authentication context
  * @returns {Object} Authentication context values and methods
@@ -61,18 +75,22 @@ const AuthProvider = ({ children }) => {
         const token = localStorage.getItem("token");
         
         if (token) {
-          // In a real app, we would validate the token with the server
-          // For now, we'll just check if it exists and set the user
+          // An expired access token is refreshed up front; the server
+          // checks the token itself on every request
           const email = localStorage.getItem("email");
           const userRole = localStorage.getItem("userRole");
           const fullName = localStorage.getItem("fullName");
           
-          if (email) {
-            setUser({ email, role: userRole, fullName });
-          } else {
+          if (!email) {
             // If email is missing but token exists, something is wrong
             // Clear authentication data
             handleLogout();
+          } else if (isTokenExpired(token) && !(await refreshAccessToken(token))) {
+            // The session ended while the app was closed; refreshAccessToken
+            // has already cleared the data if the server refused it
+            if (!localStorage.getItem("token")) setUser(null);
+          } else {
+            setUser({ email, role: userRole, fullName });
           }
         }
       } catch (error) {
@@ -86,6 +104,16 @@ const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  /**
+   * Sign out locally once the session can no longer be refreshed, e.g.
+   * after it was revoked; api.js has already cleared the stored data
+   */
+  useEffect(() => {
+    const handleSessionExpired = () => setUser(null);
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+  }, []);
+
   /**
    * Handles user login with server API
    * @param {string} email - User's email
@@ -99,6 +127,7 @@ const AuthProvider = ({ children }) => {
 
       // Store authentication data
       localStorage.setItem("token", data.token);
+      localStorage.setItem("refreshToken", data.refreshToken);
       localStorage.setItem("userRole", data.role);
       localStorage.setItem("email", email);
 
@@ -131,6 +160,7 @@ const AuthProvider = ({ children }) => {
 
       // Store authentication data
       localStorage.setItem("token", data.token);
+      localStorage.setItem("refreshToken", data.refreshToken);
       localStorage.setItem("userRole", role);
       localStorage.setItem("email", email);
       localStorage.setItem("fullName", fullName);
@@ -161,6 +191,7 @@ const AuthProvider = ({ children }) => {
     
     // Clear all auth-related data from localStorage
     localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
     localStorage.removeItem("userRole");
     localStorage.removeItem("userId");
     localStorage.removeItem("email");
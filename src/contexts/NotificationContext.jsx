@@ -1,25 +1,186 @@
-import React, { createContext, useState, useContext } from "react";
+/**
+ * Notification Context
+ *
+ * Keeps the user's notifications in sync with the server: the latest page of
+ * notifications, the unread count shown in the navbar, and actions to mark
+ * them read or delete them. New notifications arrive over the live event
+ * stream; as a fallback, the unread count is also checked every minute and
+ * the list reloads when it went up.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 2.1.0
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from "react";
+import { useServerEvents } from "../hooks/useServerEvents";
+import { notificationAPI } from "../utils/api";
+import { useAuth } from "./AuthContext";
 
 const NotificationContext = createContext();
 
+const PAGE_SIZE = 20;
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Custom hook to use the notification context
+ * @returns {Object} Notifications, the unread count and methods to update them
+ */
 export const useNotifications = () => {
   return useContext(NotificationContext);
 };
 
+/**
+ * Notification Provider Component
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
 const NotificationProvider = ({ children }) => {
   const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const unreadCountRef = useRef(0);
+
+  const { isAuthenticated } = useAuth();
+
+  /**
+   * Remember the unread count; the poll compares against it
+   * @param {number} count - Unread notifications
+   */
+  const updateUnreadCount = useCallback((count) => {
+    unreadCountRef.current = count;
+    setUnreadCount(count);
+  }, []);
+
+  /**
+   * Load the newest page of notifications
+   */
+  const loadNotifications = useCallback(async () => {
+    if (!isAuthenticated) {
+      setNotifications([]);
+      setNextCursor(null);
+      updateUnreadCount(0);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await notificationAPI.getNotifications({ limit: PAGE_SIZE });
+      setNotifications(response.data || []);
+      setNextCursor(response.pagination.nextCursor);
+      updateUnreadCount(response.unreadCount);
+    } catch (error) {
+      console.error("Error loading notifications:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [isAuthenticated, updateUnreadCount]);
+
+  /**
+   * Append the next page of notifications
+   */
+  const loadMore = async () => {
+    if (!nextCursor) return;
+
+    try {
+      setLoading(true);
+      const response = await notificationAPI.getNotifications({ limit: PAGE_SIZE, cursor: nextCursor });
+      setNotifications((prev) => [...prev, ...(response.data || [])]);
+      setNextCursor(response.pagination.nextCursor);
+      updateUnreadCount(response.unreadCount);
+    } catch (error) {
+      console.error("Error loading notifications:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadNotifications();
+  }, [loadNotifications]);
 
-  const addNotification = (message, type = "info") => {
-    const id = Math.random().toString(36).substring(2, 9);
-    setNotifications((prev) => [...prev, { id, message, type }]);
+  // Check for new notifications; reload the list only when there are some
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await notificationAPI.getUnreadCount();
+        if (response.data.count > unreadCountRef.current) {
+          await loadNotifications();
+        } else {
+          updateUnreadCount(response.data.count);
+        }
+      } catch (error) {
+        console.error("Error checking notifications:", error);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [isAuthenticated, loadNotifications, updateUnreadCount]);
+
+  // Show notifications as the server creates them
+  useServerEvents(["notification.created"], (notification) => {
+    setNotifications((prev) =>
+      prev.some((item) => item._id === notification._id) ? prev : [notification, ...prev]
+    );
+    if (!notification.readAt) {
+      updateUnreadCount(unreadCountRef.current + 1);
+    }
+  });
+
+  /**
+   * Mark a notification as read or unread
+   * @param {string} id - Notification ID
+   * @param {boolean} [read=true] - False to mark it unread
+   */
+  const markRead = async (id, read = true) => {
+    const response = await notificationAPI.markRead(id, read);
+    const wasRead = Boolean(notifications.find((notification) => notification._id === id)?.readAt);
+    setNotifications((prev) => prev.map((notification) => (notification._id === id ? response.data : notification)));
+    if (wasRead !== read) {
+      updateUnreadCount(Math.max(0, unreadCountRef.current + (read ? -1 : 1)));
+    }
+  };
+
+  /**
+   * Mark every notification as read
+   */
+  const markAllRead = async () => {
+    await notificationAPI.markAllRead();
+    const now = new Date().toISOString();
+    setNotifications((prev) => prev.map((notification) => ({ ...notification, readAt: notification.readAt || now })));
+    updateUnreadCount(0);
+  };
+
+  /**
+   * Delete a notification
+   * @param {string} id - Notification ID
+   */
+  const deleteNotification = async (id) => {
+    await notificationAPI.deleteNotification(id);
+    const removed = notifications.find((notification) => notification._id === id);
+    setNotifications((prev) => prev.filter((notification) => notification._id !== id));
+    if (removed && !removed.readAt) {
+      updateUnreadCount(Math.max(0, unreadCountRef.current - 1));
+    }
+  };
 
-    setTimeout(() => {
-      setNotifications((prev) => prev.filter((notif) => notif.id !== id));
-    }, 5000);
+  const value = {
+    notifications,
+    unreadCount,
+    loading,
+    hasMore: Boolean(nextCursor),
+    loadMore,
+    markRead,
+    markAllRead,
+    deleteNotification,
+    reloadNotifications: loadNotifications,
   };
 
   return (
-    <NotificationContext.Provider value={{ notifications, addNotification }}>
+    <NotificationContext.Provider value={value}>
       {children}
     </NotificationContext.Provider>
   );
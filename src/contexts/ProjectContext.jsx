@@ -0,0 +1,112 @@
+/**
+ * Project Context
+ *
+ * Holds the user's projects and the project currently selected in the
+ * sidebar switcher, so task views can show and create tasks in it.
+ * The selection is kept in localStorage across page reloads.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useState } from "react";
+import { projectAPI } from "../utils/api";
+import { useAuth } from "./AuthContext";
+
+const ProjectContext = createContext();
+
+/**
+ * Custom hook to use the project context
+ * @returns {Object} Projects, the current project and methods to change them
+ */
+export const useProjects = () => {
+  return useContext(ProjectContext);
+};
+
+/**
+ * Project Provider Component
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+const ProjectProvider = ({ children }) => {
+  const [projects, setProjects] = useState([]);
+  // null shows every task; "none" shows tasks outside any project
+  const [currentProjectId, setCurrentProjectId] = useState(
+    () => localStorage.getItem("currentProjectId") || null
+  );
+
+  const { isAuthenticated } = useAuth();
+
+  /**
+   * Load the active projects from the server
+   */
+  const loadProjects = useCallback(async () => {
+    if (!isAuthenticated) {
+      setProjects([]);
+      return;
+    }
+
+    try {
+      const response = await projectAPI.getProjects();
+      setProjects(response.data || []);
+    } catch (error) {
+      console.error("Error loading projects:", error);
+    }
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    loadProjects();
+  }, [loadProjects]);
+
+  /**
+   * Switch the current project
+   * @param {string|null} projectId - Project ID, "none", or null for all tasks
+   */
+  const selectProject = useCallback((projectId) => {
+    setCurrentProjectId(projectId || null);
+    if (projectId) {
+      localStorage.setItem("currentProjectId", projectId);
+    } else {
+      localStorage.removeItem("currentProjectId");
+    }
+  }, []);
+
+  // Clear the selection on logout; stale IDs (deleted or archived projects) are ignored below
+  useEffect(() => {
+    if (!isAuthenticated) {
+      selectProject(null);
+    }
+  }, [isAuthenticated, selectProject]);
+
+  /**
+   * Create a project and switch to it
+   * @param {Object} projectData - Name and color of the project
+   * @returns {Promise<Object>} Created project
+   */
+  const createProject = async (projectData) => {
+    const response = await projectAPI.createProject(projectData);
+    await loadProjects();
+    selectProject(response.data._id);
+    return response.data;
+  };
+
+  const currentProject = projects.find((project) => project._id === currentProjectId) || null;
+
+  const value = {
+    projects,
+    currentProject,
+    currentProjectId: currentProject || currentProjectId === "none" ? currentProjectId : null,
+    selectProject,
+    createProject,
+    reloadProjects: loadProjects,
+  };
+
+  return (
+    <ProjectContext.Provider value={value}>
+      {children}
+    </ProjectContext.Provider>
+  );
+};
+
+export default ProjectProvider;
@@ -0,0 +1,42 @@
+import { useEffect, useRef } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { subscribe } from "../utils/serverEvents";
+
+/**
+ * Handle live server events while signed in
+ * @param {Array<string>} types - Event types, e.g. ["task.created", "task.updated"]
+ * @param {Function} handler - Called with (data, type)
+ * @param {number} [wait] - If given, call the handler once events have stopped
+ *   arriving for this many milliseconds, with the last one; for reloads after
+ *   bulk changes
+ */
+export const useServerEvents = (types, handler, wait) => {
+  const { isAuthenticated, user } = useAuth();
+  const handlerRef = useRef(handler);
+  const typeList = types.join(",");
+  const email = user?.email;
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    let timer = null;
+    const listener = (data, type) => {
+      if (wait === undefined) {
+        handlerRef.current(data, type);
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(() => handlerRef.current(data, type), wait);
+    };
+
+    const unsubscribers = typeList.split(",").map((type) => subscribe(type, listener));
+    return () => {
+      clearTimeout(timer);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+    };
+  }, [typeList, wait, isAuthenticated, email]);
+};
@@ -1,29 +1,138 @@
-import React, { useState, useEffect } from "react";
+import React, { useCallback, useEffect, useState } from "react";
+import { FaSpinner, FaUserPlus } from "react-icons/fa";
 import Sidebar from "../../components/admin/Sidebar";
+import { adminTaskAPI } from "../../utils/api";
+
+/**
+ * Inline editor for the assignees of one task
+ */
+const AssigneeEditor = ({ task, users, onSave, onCancel }) => {
+  const [selected, setSelected] = useState((task.assignees || []).map((user) => user._id));
+  const [saving, setSaving] = useState(false);
+
+  const toggleUser = (userId) => {
+    setSelected((prev) =>
+      prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]
+    );
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    await onSave(task, selected);
+    setSaving(false);
+  };
+
+  return (
+    <div className="p-3 mt-2 bg-gray-50 border rounded">
+      <div className="grid grid-cols-1 gap-1 max-h-48 overflow-y-auto sm:grid-cols-2">
+        {users.map((user) => (
+          <label key={user._id} className="flex items-center text-sm">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={selected.includes(user._id)}
+              onChange={() => toggleUser(user._id)}
+              disabled={saving}
+            />
+            {user.fullName} <span className="ml-1 text-gray-500">({user.email})</span>
+          </label>
+        ))}
+      </div>
+      <div className="flex justify-end mt-2 space-x-2">
+        <button className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+        <button
+          className="px-3 py-1 text-sm text-white bg-blue-500 rounded hover:bg-blue-600 disabled:opacity-50"
+          onClick={handleSave}
+          disabled={saving}
+        >
+          {saving ? "Saving..." : "Save assignees"}
+        </button>
+      </div>
+    </div>
+  );
+};
 
 const ManageTasks = () => {
   const [tasks, setTasks] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, totalPages: 1, totalCount: 0 });
+  const [filters, setFilters] = useState({ status: "incomplete", userId: "", search: "", page: 1 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingTaskId, setEditingTaskId] = useState(null);
+
+  // Load tasks from the server
+  const loadTasks = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await adminTaskAPI.getTasks({ ...filters, limit: 20 });
+      setTasks(response.data);
+      setPagination(response.pagination);
+    } catch (err) {
+      console.error("Error loading tasks:", err);
+      setError(err.message || "Failed to load tasks");
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
 
-  // Load tasks from localStorage (same as User Dashboard)
+  // Load the users tasks can be assigned to
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    setTasks(storedTasks);
+    adminTaskAPI
+      .getUsers()
+      .then((response) => setUsers(response.data))
+      .catch((err) => console.error("Error loading users:", err));
   }, []);
 
-  // ✅ Mark task as completed
-  const completeTask = (id) => {
-    const updatedTasks = tasks.map((task) =>
-      task.id === id ? { ...task, status: "Completed", progress: 100 } : task
-    );
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+  const updateFilter = (name, value) => {
+    setFilters((prev) => ({ ...prev, [name]: value, page: 1 }));
+  };
+
+  // Replace a task in the table with the server's copy
+  const replaceTask = (updatedTask) => {
+    setTasks((prev) => prev.map((task) => (task._id === updatedTask._id ? updatedTask : task)));
+  };
+
+  const saveAssignees = async (task, assigneeIds) => {
+    try {
+      const response = await adminTaskAPI.updateAssignees(task._id, assigneeIds);
+      replaceTask(response.data);
+      setEditingTaskId(null);
+    } catch (err) {
+      console.error("Error updating assignees:", err);
+      setError(err.message || "Failed to update assignees");
+    }
   };
 
-  // ❌ Delete a task
-  const deleteTask = (id) => {
-    const updatedTasks = tasks.filter((task) => task.id !== id);
-    setTasks(updatedTasks);
-    localStorage.setItem("tasks", JSON.stringify(updatedTasks));
+  // Mark a task as completed or reopen it
+  const toggleStatus = async (task) => {
+    try {
+      await adminTaskAPI.updateStatus(task._id, task.status === "complete" ? "incomplete" : "complete");
+      // The task may no longer match the status filter, and may have spawned a recurrence
+      await loadTasks();
+    } catch (err) {
+      console.error("Error updating task status:", err);
+      setError(err.message || "Failed to update task status");
+    }
+  };
+
+  const deleteTask = async (task) => {
+    if (!window.confirm(`Move "${task.title}" to the trash? Its creator can restore it.`)) return;
+
+    try {
+      await adminTaskAPI.deleteTask(task._id);
+      await loadTasks();
+    } catch (err) {
+      console.error("Error deleting task:", err);
+      setError(err.message || "Failed to delete task");
+    }
   };
 
   return (
@@ -35,73 +144,138 @@ const ManageTasks = () => {
       <div className="flex-1 p-6">
         <h1 className="text-2xl font-bold text-gray-800 mb-4">Manage Tasks</h1>
 
-        {/* Pending Tasks */}
-        <div className="bg-white p-4 shadow rounded-lg mb-4">
-          <h2 className="text-lg font-semibold mb-2">Pending Tasks</h2>
-          <table className="w-full border-collapse">
-            <thead>
-              <tr className="bg-gray-200 text-left">
-                <th className="p-2">Title</th>
-                <th className="p-2">Email</th>
-                <th className="p-2">Priority</th>
-                <th className="p-2">Deadline</th>
-                <th className="p-2">Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {tasks
-                .filter((task) => task.progress < 100)
-                .map((task) => (
-                  <tr key={task.id} className="border-b">
-                    <td className="p-2">{task.title}</td>
-                    <td className="p-2">{task.email}</td>
-                    <td className="p-2">{task.priority}</td>
-                    <td className="p-2">{task.deadline}</td>
+        {/* Filters */}
+        <div className="bg-white p-4 shadow rounded-lg mb-4 flex flex-wrap gap-3">
+          <select
+            className="p-2 border rounded"
+            value={filters.status}
+            onChange={(e) => updateFilter("status", e.target.value)}
+            aria-label="Filter by status"
+          >
+            <option value="">All tasks</option>
+            <option value="incomplete">Pending</option>
+            <option value="complete">Completed</option>
+          </select>
+          <select
+            className="p-2 border rounded"
+            value={filters.userId}
+            onChange={(e) => updateFilter("userId", e.target.value)}
+            aria-label="Filter by user"
+          >
+            <option value="">All users</option>
+            {users.map((user) => (
+              <option key={user._id} value={user._id}>
+                {user.fullName} ({user.email})
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            className="flex-1 p-2 border rounded"
+            placeholder="Search by title or description"
+            value={filters.search}
+            onChange={(e) => updateFilter("search", e.target.value)}
+          />
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-100 text-red-700 rounded">
+            {error}
+            <button className="ml-2 text-red-500 hover:text-red-700" onClick={() => setError(null)}>×</button>
+          </div>
+        )}
+
+        <div className="bg-white p-4 shadow rounded-lg">
+          <h2 className="text-lg font-semibold mb-2">Tasks ({pagination.totalCount})</h2>
+          {loading ? (
+            <div className="flex justify-center items-center py-8" role="status">
+              <FaSpinner className="animate-spin text-blue-500" />
+              <span className="ml-2">Loading tasks...</span>
+            </div>
+          ) : tasks.length === 0 ? (
+            <p className="py-8 text-center text-gray-500">No tasks match these filters</p>
+          ) : (
+            <table className="w-full border-collapse">
+              <thead>
+                <tr className="bg-gray-200 text-left">
+                  <th className="p-2">Title</th>
+                  <th className="p-2">Created by</th>
+                  <th className="p-2">Assignees</th>
+                  <th className="p-2">Priority</th>
+                  <th className="p-2">Deadline</th>
+                  <th className="p-2">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {tasks.map((task) => (
+                  <tr key={task._id} className="border-b align-top">
+                    <td className="p-2">
+                      <span className={task.status === "complete" ? "line-through text-gray-500" : ""}>{task.title}</span>
+                    </td>
+                    <td className="p-2">{task.userId?.email || "Unknown user"}</td>
                     <td className="p-2">
+                      {task.assignees?.length > 0
+                        ? task.assignees.map((user) => user.fullName || user.email).join(", ")
+                        : <span className="text-gray-400">Nobody</span>}
+                      {editingTaskId === task._id && (
+                        <AssigneeEditor
+                          task={task}
+                          users={users}
+                          onSave={saveAssignees}
+                          onCancel={() => setEditingTaskId(null)}
+                        />
+                      )}
+                    </td>
+                    <td className="p-2">{task.priority}</td>
+                    <td className="p-2">{task.dueDate ? new Date(task.dueDate).toLocaleDateString() : "-"}</td>
+                    <td className="p-2 whitespace-nowrap">
+                      <button
+                        className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 inline-flex items-center"
+                        onClick={() => setEditingTaskId(editingTaskId === task._id ? null : task._id)}
+                      >
+                        <FaUserPlus className="mr-1" /> Assign
+                      </button>
                       <button
-                        className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
-                        onClick={() => completeTask(task.id)}
+                        className="bg-green-500 text-white px-3 py-1 rounded ml-2 hover:bg-green-600"
+                        onClick={() => toggleStatus(task)}
                       >
-                        ✅ Mark as Completed
+                        {task.status === "complete" ? "↩ Reopen" : "✅ Mark as Completed"}
                       </button>
                       <button
                         className="bg-red-500 text-white px-3 py-1 rounded ml-2 hover:bg-red-600"
-                        onClick={() => deleteTask(task.id)}
+                        onClick={() => deleteTask(task)}
                       >
                         ❌ Delete
                       </button>
                     </td>
                   </tr>
                 ))}
-            </tbody>
-          </table>
-        </div>
+              </tbody>
+            </table>
+          )}
 
-        {/* Completed Tasks */}
-        <div className="bg-white p-4 shadow rounded-lg">
-          <h2 className="text-lg font-semibold mb-2">Completed Tasks</h2>
-          <table className="w-full border-collapse">
-            <thead>
-              <tr className="bg-gray-200 text-left">
-                <th className="p-2">Title</th>
-                <th className="p-2">Email</th>
-                <th className="p-2">Priority</th>
-                <th className="p-2">Deadline</th>
-              </tr>
-            </thead>
-            <tbody>
-              {tasks
-                .filter((task) => task.progress === 100)
-                .map((task) => (
-                  <tr key={task.id} className="border-b">
-                    <td className="p-2">{task.title}</td>
-                    <td className="p-2">{task.email}</td>
-                    <td className="p-2">{task.priority}</td>
-                    <td className="p-2">{task.deadline}</td>
-                  </tr>
-                ))}
-            </tbody>
-          </table>
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="flex justify-between items-center mt-4 text-sm">
+              <button
+                className="px-3 py-1 border rounded disabled:opacity-50"
+                disabled={!pagination.hasPrevPage}
+                onClick={() => setFilters((prev) => ({ ...prev, page: prev.page - 1 }))}
+              >
+                Previous
+              </button>
+              <span>
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                className="px-3 py-1 border rounded disabled:opacity-50"
+                disabled={!pagination.hasNextPage}
+                onClick={() => setFilters((prev) => ({ ...prev, page: prev.page + 1 }))}
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
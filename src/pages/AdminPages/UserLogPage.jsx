@@ -11,15 +11,17 @@
  * - Display login/logout times and session duration
  * - Show JWT token IDs and IP addresses
  * - Bulk delete operations
+ * - Kill active sessions so their tokens stop working at once
  * - Activity statistics dashboard
- * - Real-time updates
+ * - Real-time updates as users sign in and out
  * 
  * @author Senior Full-Stack Engineer
- * @version 1.0.0
+ * @version 1.2.0
  */
 
 import React, { useCallback, useEffect, useState } from 'react';
 import {
+	FaBan,
 	FaCalendarAlt,
 	FaChartBar,
 	FaClock,
@@ -36,8 +38,12 @@ import {
 import { MdOutlineRefresh } from "react-icons/md";
 import { toast } from 'react-toastify';
 import Sidebar from '../../components/admin/Sidebar';
+import { useServerEvents } from '../../hooks/useServerEvents';
 import { userLogAPI } from '../../utils/api';
 
+// Reload once a burst of live log events has settled
+const LIVE_RELOAD_DELAY_MS = 500;
+
 const UserLogPage = () => {
   const [logs, setLogs] = useState([]);
   const [stats, setStats] = useState({});
@@ -63,10 +69,10 @@ const UserLogPage = () => {
     sortOrder: 'desc'
   });
 
-  // Load logs from server
-  const loadLogs = useCallback(async (newFilters = filters) => {
+  // Load logs from server; a quiet load keeps showing the current logs
+  const loadLogs = useCallback(async (newFilters = filters, { quiet = false } = {}) => {
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       setError(null);
 
       const response = await userLogAPI.getLogs(newFilters);
@@ -108,6 +114,12 @@ const UserLogPage = () => {
     loadStats();
   }, [loadLogs, loadStats]);
 
+  // Reload when users sign in or out, or another admin deletes logs
+  useServerEvents(['user_log.changed'], () => {
+    loadLogs(filters, { quiet: true });
+    loadStats();
+  }, LIVE_RELOAD_DELAY_MS);
+
   // Handle filter changes
   const handleFilterChange = (key, value) => {
     const newFilters = {
@@ -166,6 +178,28 @@ const UserLogPage = () => {
     }
   };
 
+  // Handle killing the session of an active login
+  const handleRevokeSession = async (log) => {
+    if (!window.confirm(`Log ${log.userName} out of this session? Their tokens stop working immediately.`)) {
+      return;
+    }
+
+    try {
+      const response = await userLogAPI.revokeSession(log._id);
+
+      if (response.success) {
+        toast.success('Session revoked successfully');
+        loadLogs();
+        loadStats();
+      } else {
+        throw new Error(response.message || 'Failed to revoke session');
+      }
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      toast.error(err.message || 'Failed to revoke session');
+    }
+  };
+
   // Handle bulk delete
   const handleBulkDelete = async () => {
     if (selectedLogs.length === 0) {
@@ -528,6 +562,15 @@ const UserLogPage = () => {
                         </div>
                       </td>
                       <td className="px-6 py-4 text-sm text-gray-900 whitespace-nowrap">
+                        {log.action === 'login' && log.status === 'active' && log.jwtTokenId && (
+                          <button
+                            onClick={() => handleRevokeSession(log)}
+                            className="mr-3 text-orange-600 hover:text-orange-900"
+                            title="Kill session"
+                          >
+                            <FaBan />
+                          </button>
+                        )}
                         <button
                           onClick={() => handleDeleteLog(log._id)}
                           className="text-red-600 hover:text-red-900"
@@ -1,11 +1,21 @@
 import React from "react";
+import { useDroppable } from "@dnd-kit/core";
+
+const Column = ({ id, title, count, children, className = "" }) => {
+  // Lets tasks be dropped into the column itself, including when it is empty
+  const { setNodeRef, isOver } = useDroppable({ id });
 
-const Column = ({ title, children }) => {
   return (
     <div
-      className="bg-gray-200 p-4 rounded-lg min-h-[500px] flex flex-col transition-all duration-200 hover:bg-gray-300 hover:shadow-lg"
+      ref={setNodeRef}
+      className={`p-4 rounded-lg min-h-[500px] flex flex-col transition-all duration-200 hover:bg-gray-300 hover:shadow-lg ${
+        isOver ? "bg-gray-300" : "bg-gray-200"
+      } ${className}`}
     >
-      <h2 className="text-lg font-semibold text-gray-800">{title}</h2>
+      <h2 className="text-lg font-semibold text-gray-800">
+        {title}
+        {count !== undefined && <span className="ml-2 text-sm font-normal text-gray-600">({count})</span>}
+      </h2>
       <div className="flex-1 space-y-2 mt-2">{children}</div>
     </div>
   );
@@ -0,0 +1,139 @@
+import React, { useState } from "react";
+import { FaTrash } from "react-icons/fa";
+
+// Columns every board keeps: "done" holds the completed tasks
+const FIXED_COLUMNS = ["todo", "done"];
+const MAX_COLUMNS = 10;
+
+/**
+ * Turn a column name into a key that is not used yet
+ */
+const makeColumnKey = (name, columns) => {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 24) || "column";
+  let key = base;
+  for (let suffix = 2; columns.some((column) => column.key === key); suffix++) {
+    key = `${base}_${suffix}`;
+  }
+  return key;
+};
+
+/**
+ * Inline editor to rename, add, remove and reorder the Kanban board's columns
+ */
+const ColumnEditor = ({ columns, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(columns.map((column) => ({ ...column })));
+  const [newName, setNewName] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const renameColumn = (key, name) => {
+    setDraft((prev) => prev.map((column) => (column.key === key ? { ...column, name } : column)));
+  };
+
+  const moveColumn = (index, offset) => {
+    setDraft((prev) => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const addColumn = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name || draft.length >= MAX_COLUMNS) return;
+
+    // Keep "done" last so new columns land before it
+    setDraft((prev) => {
+      const column = { key: makeColumnKey(name, prev), name };
+      const doneIndex = prev.findIndex((item) => item.key === "done");
+      return doneIndex === -1 ? [...prev, column] : [...prev.slice(0, doneIndex), column, ...prev.slice(doneIndex)];
+    });
+    setNewName("");
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    await onSave(draft.map((column) => ({ ...column, name: column.name.trim() })));
+    setSaving(false);
+  };
+
+  return (
+    <div className="p-4 mb-4 bg-white rounded-lg shadow border border-gray-200">
+      <h3 className="mb-2 text-lg font-semibold text-gray-800">Board columns</h3>
+      <ul className="space-y-2">
+        {draft.map((column, index) => (
+          <li key={column.key} className="flex items-center gap-2">
+            <input
+              type="text"
+              value={column.name}
+              onChange={(e) => renameColumn(column.key, e.target.value)}
+              maxLength={50}
+              className="flex-1 p-2 border rounded"
+              aria-label={`Name of column ${column.key}`}
+            />
+            <button
+              className="px-2 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+              onClick={() => moveColumn(index, -1)}
+              disabled={index === 0}
+              aria-label="Move column left"
+            >
+              ←
+            </button>
+            <button
+              className="px-2 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+              onClick={() => moveColumn(index, 1)}
+              disabled={index === draft.length - 1}
+              aria-label="Move column right"
+            >
+              →
+            </button>
+            <button
+              className="px-2 text-red-500 hover:text-red-700 disabled:opacity-30"
+              onClick={() => setDraft((prev) => prev.filter((item) => item.key !== column.key))}
+              disabled={FIXED_COLUMNS.includes(column.key)}
+              title={FIXED_COLUMNS.includes(column.key) ? "This column cannot be removed" : "Remove column"}
+              aria-label="Remove column"
+            >
+              <FaTrash />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {draft.length < MAX_COLUMNS && (
+        <form onSubmit={addColumn} className="flex gap-2 mt-3">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New column name"
+            maxLength={50}
+            className="flex-1 p-2 border rounded"
+          />
+          <button type="submit" className="px-3 py-2 text-white bg-blue-500 rounded hover:bg-blue-600">
+            Add
+          </button>
+        </form>
+      )}
+      <p className="mt-2 text-xs text-gray-500">
+        Tasks in a removed column move back to &quot;{draft.find((column) => column.key === "todo")?.name}&quot;.
+        Tasks dropped in &quot;{draft.find((column) => column.key === "done")?.name}&quot; are marked as completed.
+      </p>
+
+      <div className="flex justify-end mt-3 space-x-2">
+        <button className="px-3 py-1 text-gray-600 hover:text-gray-800" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+        <button
+          className="px-3 py-1 text-white bg-blue-500 rounded hover:bg-blue-600 disabled:opacity-50"
+          onClick={handleSave}
+          disabled={saving || draft.some((column) => !column.name.trim())}
+        >
+          {saving ? "Saving..." : "Save columns"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnEditor;
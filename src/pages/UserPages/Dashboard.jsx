@@ -1,105 +1,171 @@
-import React, { useEffect, useState, useRef } from "react";
+import React, { useCallback, useEffect, useState, useRef } from "react";
 import { DndContext, closestCorners } from "@dnd-kit/core";
-import { SortableContext, verticalListSortingStrategy } from "@dnd-kit/sortable";
+import { SortableContext, arrayMove, verticalListSortingStrategy } from "@dnd-kit/sortable";
 import { Bar } from "react-chartjs-2";
 import "chart.js/auto";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
+import { FaColumns } from "react-icons/fa";
 import UserSidebar from "./UserSidebar";
 import Column from "./Column";
+import ColumnEditor from "./ColumnEditor";
 import SortableItem from "./SortableItem";
 import notificationSound from "./notification.mp3";
+import { taskAPI } from "../../utils/api";
+import { useProjects } from "../../contexts/ProjectContext";
+import { useNotifications } from "../../contexts/NotificationContext";
 
-const UserDashboard = () => {
-  const [tasks, setTasks] = useState({
-    "To Do": [],
-    "In Progress": [],
-    Completed: [],
+const COLUMN_COLORS = ["#FF6384", "#FFCE56", "#36A2EB", "#4BC0C0", "#9966FF", "#FF9F40"];
+
+/**
+ * Group tasks by Kanban column, ordered by rank. Tasks in a column that is
+ * not on the user's board (e.g. shared by another user) show under "todo".
+ */
+const groupTasks = (tasks, columns) => {
+  const board = Object.fromEntries(columns.map((column) => [column.key, []]));
+  tasks.forEach((task) => {
+    const key = board[task.workflowStatus] ? task.workflowStatus : "todo";
+    board[key]?.push(task);
   });
+  Object.values(board).forEach((columnTasks) => columnTasks.sort((a, b) => a.rank - b.rank));
+  return board;
+};
+
+const UserDashboard = () => {
+  const [columns, setColumns] = useState([]);
+  const [tasks, setTasks] = useState({});
+  const [editingColumns, setEditingColumns] = useState(false);
+  const { currentProjectId } = useProjects();
+  const { notifications } = useNotifications();
 
   const [notes, setNotes] = useState(localStorage.getItem("notes") || "");
   const audioRef = useRef(new Audio(notificationSound));
+  const announcedReminders = useRef(new Set());
 
   // 🔹 Ensure page starts from top when component loads
   useEffect(() => {
     window.scrollTo(0, 0);
   }, []);
 
+  // Load the board columns and the tasks of the current project
+  const loadBoard = useCallback(async () => {
+    try {
+      const [columnsResponse, tasksResponse] = await Promise.all([
+        taskAPI.getColumns(),
+        taskAPI.getTasks({ projectId: currentProjectId }),
+      ]);
+      setColumns(columnsResponse.data);
+      setTasks(groupTasks(tasksResponse.data, columnsResponse.data));
+    } catch (error) {
+      console.error("Error loading board:", error);
+      toast.error(error.message || "Failed to load tasks");
+    }
+  }, [currentProjectId]);
+
   useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    const categorizedTasks = {
-      "To Do": storedTasks.filter((task) => task.progress <= 40),
-      "In Progress": storedTasks.filter((task) => task.progress > 40 && task.progress <= 80),
-      Completed: storedTasks.filter((task) => task.progress > 80),
-    };
-    setTasks(categorizedTasks);
-    checkDeadlines(storedTasks);
-  }, []);
+    loadBoard();
+  }, [loadBoard]);
 
   useEffect(() => {
     localStorage.setItem("notes", notes);
   }, [notes]);
 
-  const checkDeadlines = (tasks) => {
-    const today = new Date().toISOString().split("T")[0];
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const tomorrowStr = tomorrow.toISOString().split("T")[0];
-
-    tasks.forEach((task) => {
-      if (task.deadline === today) {
-        showNotification(`🚨 Task Due Today: "${task.title}"`, "bg-red-500 text-white");
-      } else if (task.deadline === tomorrowStr) {
-        showNotification(`⏳ Task Due Tomorrow: "${task.title}"`, "bg-yellow-500 text-black");
-      }
+  // Pop up the unread due date reminders the server sent, each once
+  useEffect(() => {
+    const reminders = notifications.filter(
+      (notification) => notification.type === "due_reminder" &&
+        !notification.readAt &&
+        !announcedReminders.current.has(notification._id)
+    );
+    if (reminders.length === 0) return;
+
+    reminders.forEach((notification) => {
+      announcedReminders.current.add(notification._id);
+      toast(
+        <div className="p-2 rounded-lg shadow-md font-semibold text-lg bg-red-500 text-white">
+          🚨 {notification.title}: "{notification.message}"
+        </div>,
+        { position: "top-right", autoClose: 5000, hideProgressBar: false }
+      );
     });
-  };
+    audioRef.current.play().catch(() => {});
+  }, [notifications]);
 
-  const showNotification = (message, bgClass) => {
-    toast(
-      <div className={`p-2 rounded-lg shadow-md font-semibold text-lg ${bgClass}`}>
-        {message}
-      </div>,
-      { position: "top-right", autoClose: 5000, hideProgressBar: false }
-    );
-    audioRef.current.play();
-  };
+  const findColumn = (id) =>
+    Object.keys(tasks).find((column) => tasks[column].some((task) => task._id === id)) ||
+    (tasks[id] ? id : null);
 
-  const handleDragEnd = (event) => {
+  // Move the card on screen right away, then save the new position
+  const handleDragEnd = async (event) => {
     const { active, over } = event;
     if (!over || active.id === over.id) return;
 
-    const sourceColumn = Object.keys(tasks).find((column) =>
-      tasks[column].some((task) => task.id === active.id)
-    );
-    const targetColumn = Object.keys(tasks).find((column) => tasks[column].some((task) => task.id === over.id)) || over.id;
+    const sourceColumn = findColumn(active.id);
+    const targetColumn = findColumn(over.id);
+    if (!sourceColumn || !targetColumn) return;
 
-    if (!sourceColumn || !targetColumn || sourceColumn === targetColumn) return;
+    const movedTask = tasks[sourceColumn].find((task) => task._id === active.id);
+    // Dropping on the column itself puts the task at the bottom
+    const overIndex = tasks[targetColumn].findIndex((task) => task._id === over.id);
 
-    setTasks((prevTasks) => {
-      const updatedTasks = { ...prevTasks };
-      const movedTask = updatedTasks[sourceColumn].find((task) => task.id === active.id);
-      updatedTasks[sourceColumn] = updatedTasks[sourceColumn].filter((task) => task.id !== active.id);
-      updatedTasks[targetColumn] = [...(updatedTasks[targetColumn] || []), movedTask];
+    let targetTasks;
+    if (sourceColumn === targetColumn) {
+      const oldIndex = tasks[sourceColumn].indexOf(movedTask);
+      const newIndex = overIndex === -1 ? tasks[sourceColumn].length - 1 : overIndex;
+      if (oldIndex === newIndex) return;
+      targetTasks = arrayMove(tasks[sourceColumn], oldIndex, newIndex);
+    } else {
+      targetTasks = [...tasks[targetColumn]];
+      targetTasks.splice(overIndex === -1 ? targetTasks.length : overIndex, 0, movedTask);
+    }
 
-      return updatedTasks;
-    });
+    const position = targetTasks.indexOf(movedTask);
+    const prevTask = targetTasks[position - 1];
+    const nextTask = targetTasks[position + 1];
+
+    setTasks((prevTasks) => ({
+      ...prevTasks,
+      [sourceColumn]: prevTasks[sourceColumn].filter((task) => task._id !== active.id),
+      [targetColumn]: targetTasks,
+    }));
 
-    localStorage.setItem("tasks", JSON.stringify([...tasks["To Do"], ...tasks["In Progress"], ...tasks["Completed"]]));
+    try {
+      const response = await taskAPI.moveTask(movedTask._id, targetColumn, prevTask?._id, nextTask?._id);
+      if (response.nextOccurrence) {
+        toast.info(`Next occurrence of "${movedTask.title}" scheduled`);
+        await loadBoard();
+        return;
+      }
+      setTasks((prevTasks) => ({
+        ...prevTasks,
+        [targetColumn]: prevTasks[targetColumn].map((task) => (task._id === response.data._id ? response.data : task)),
+      }));
+    } catch (error) {
+      console.error("Error moving task:", error);
+      toast.error(error.message || "Failed to move task");
+      await loadBoard();
+    }
+  };
+
+  const saveColumns = async (updatedColumns) => {
+    try {
+      await taskAPI.updateColumns(updatedColumns);
+      setEditingColumns(false);
+      await loadBoard();
+    } catch (error) {
+      console.error("Error saving columns:", error);
+      toast.error(error.message || "Failed to save columns");
+    }
   };
 
   // Task Analytics Chart Data (Bar Graph)
   const chartData = {
-    labels: ["To Do", "In Progress", "Completed"],
+    labels: columns.map((column) => column.name),
     datasets: [
       {
         label: "Number of Tasks",
-        data: [
-          tasks["To Do"].length,
-          tasks["In Progress"].length,
-          tasks.Completed.length,
-        ],
-        backgroundColor: ["#FF6384", "#FFCE56", "#36A2EB"],
+        data: columns.map((column) => tasks[column.key]?.length || 0),
+        backgroundColor: columns.map((_, index) => COLUMN_COLORS[index % COLUMN_COLORS.length]),
       },
     ],
   };
@@ -116,13 +182,34 @@ const UserDashboard = () => {
 
         {/* Kanban Board */}
         <div className="glassmorphism p-4 rounded-xl shadow-lg bg-gradient-to-br from-white/30 to-white/10 backdrop-blur-lg border border-white/20">
+          <div className="flex justify-end mb-3">
+            <button
+              className="flex items-center gap-2 px-3 py-1 text-sm text-gray-700 bg-white rounded shadow hover:bg-gray-100"
+              onClick={() => setEditingColumns((prev) => !prev)}
+            >
+              <FaColumns /> Edit columns
+            </button>
+          </div>
+          {editingColumns && (
+            <ColumnEditor columns={columns} onSave={saveColumns} onCancel={() => setEditingColumns(false)} />
+          )}
+
           <DndContext collisionDetection={closestCorners} onDragEnd={handleDragEnd}>
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-              {Object.keys(tasks).map((columnKey) => (
-                <Column key={columnKey} title={columnKey} id={columnKey} className="w-[280px]">
-                  <SortableContext items={tasks[columnKey].map((task) => task.id)} strategy={verticalListSortingStrategy}>
-                    {tasks[columnKey].map((task) => (
-                      <SortableItem key={task.id} id={task.id} task={task} />
+            <div className="flex gap-4 overflow-x-auto pb-2">
+              {columns.map((column) => (
+                <Column
+                  key={column.key}
+                  id={column.key}
+                  title={column.name}
+                  count={tasks[column.key]?.length || 0}
+                  className="w-[280px] shrink-0"
+                >
+                  <SortableContext
+                    items={(tasks[column.key] || []).map((task) => task._id)}
+                    strategy={verticalListSortingStrategy}
+                  >
+                    {(tasks[column.key] || []).map((task) => (
+                      <SortableItem key={task._id} id={task._id} task={task} />
                     ))}
                   </SortableContext>
                 </Column>
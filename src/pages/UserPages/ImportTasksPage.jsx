@@ -0,0 +1,312 @@
+/**
+ * ImportTasksPage Component
+ *
+ * Import wizard and export downloads for the user's tasks. An import runs in
+ * three steps: choose a CSV, JSON or iCalendar file, review a dry run that
+ * lists the rows that would fail and the labels that would be created, then
+ * import the valid rows.
+ *
+ * @author Senior Full-Stack Engineer
+ * @version 1.0.0
+ */
+
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { FaCheckCircle, FaDownload, FaFileImport, FaSpinner } from "react-icons/fa";
+import { taskAPI } from "../../utils/api";
+import UserSidebar from "./UserSidebar";
+
+const STEPS = ["Choose file", "Review", "Done"];
+
+/**
+ * Counts and per-row errors of an import or dry run
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.result - Data returned by the import endpoint
+ */
+const ImportSummary = ({ result }) => (
+  <div className="space-y-4">
+    <dl className="grid grid-cols-3 gap-3 text-center">
+      <div className="p-3 rounded bg-gray-50">
+        <dt className="text-xs text-gray-500">Rows</dt>
+        <dd className="text-xl font-semibold">{result.total}</dd>
+      </div>
+      <div className="p-3 rounded bg-green-50">
+        <dt className="text-xs text-gray-500">Valid</dt>
+        <dd className="text-xl font-semibold text-green-700">{result.valid}</dd>
+      </div>
+      <div className="p-3 rounded bg-red-50">
+        <dt className="text-xs text-gray-500">With errors</dt>
+        <dd className="text-xl font-semibold text-red-700">{result.invalid}</dd>
+      </div>
+    </dl>
+
+    {result.newLabels.length > 0 && (
+      <p className="text-sm text-gray-600">
+        New labels: <span className="font-medium">{result.newLabels.join(", ")}</span>
+      </p>
+    )}
+
+    {result.errors.length > 0 && (
+      <div className="overflow-x-auto max-h-80 border rounded">
+        <table className="min-w-full text-sm">
+          <thead className="sticky top-0 bg-gray-100 text-left">
+            <tr>
+              <th className="px-3 py-2 font-medium">Row</th>
+              <th className="px-3 py-2 font-medium">Title</th>
+              <th className="px-3 py-2 font-medium">Problems</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.errors.map(({ row, title, errors }) => (
+              <tr key={row} className="border-t align-top">
+                <td className="px-3 py-2 text-gray-500">{row}</td>
+                <td className="px-3 py-2">{title || <span className="italic text-gray-400">untitled</span>}</td>
+                <td className="px-3 py-2 text-red-700">
+                  <ul className="list-disc list-inside">
+                    {errors.map(message => <li key={message}>{message}</li>)}
+                  </ul>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
+
+const ImportTasksPage = () => {
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Download every task in the given format
+   *
+   * @param {string} format - csv or json
+   */
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      setError(null);
+
+      const blob = await taskAPI.exportTasks(format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Error exporting tasks:", err);
+      setError(err.message || "Failed to export tasks");
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  /**
+   * Validate the chosen file without importing anything
+   */
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    try {
+      setBusy(true);
+      setError(null);
+
+      const response = await taskAPI.importTasks(file, { dryRun: true });
+      setPreview(response.data);
+      setStep(1);
+    } catch (err) {
+      console.error("Error checking import file:", err);
+      setError(err.message || "Failed to read the file");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Import the valid rows of the chosen file
+   */
+  const handleImport = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+
+      const response = await taskAPI.importTasks(file);
+      setResult(response.data);
+      setStep(2);
+    } catch (err) {
+      console.error("Error importing tasks:", err);
+      setError(err.message || "Failed to import tasks");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Start over with another file
+   */
+  const handleReset = () => {
+    setStep(0);
+    setFile(null);
+    setPreview(null);
+    setResult(null);
+    setError(null);
+  };
+
+  const buttonClass = "inline-flex items-center px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50";
+
+  return (
+    <div className="flex flex-col md:flex-row min-h-screen bg-gray-100">
+      <UserSidebar />
+
+      <div className="flex-1 p-4 md:p-6">
+        <div className="w-full max-w-3xl mx-auto space-y-6 text-gray-800">
+          {error && (
+            <div className="p-3 bg-red-50 border-l-4 border-red-400 text-red-700 text-sm" role="alert">
+              {error}
+              <button onClick={() => setError(null)} className="ml-2 text-red-500 hover:text-red-700">×</button>
+            </div>
+          )}
+
+          {/* Export */}
+          <section className="bg-white p-6 rounded-lg shadow-md">
+            <h2 className="text-xl font-bold mb-2">Export tasks</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Download every task you created or are assigned to. Tasks in the trash are left out.
+            </p>
+            <div className="flex gap-3">
+              {["csv", "json"].map(format => (
+                <button
+                  key={format}
+                  type="button"
+                  onClick={() => handleExport(format)}
+                  disabled={exporting !== null}
+                  className={`${buttonClass} border border-gray-300 bg-white hover:bg-gray-50`}
+                >
+                  {exporting === format
+                    ? <FaSpinner className="mr-2 animate-spin" aria-hidden="true" />
+                    : <FaDownload className="mr-2" aria-hidden="true" />}
+                  {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </section>
+
+          {/* Import wizard */}
+          <section className="bg-white p-6 rounded-lg shadow-md">
+            <h2 className="text-xl font-bold mb-4">Import tasks</h2>
+
+            <ol className="flex mb-6 text-sm">
+              {STEPS.map((label, index) => (
+                <li
+                  key={label}
+                  className={`flex-1 pb-2 border-b-2 ${index <= step ? "border-blue-500 text-blue-700 font-medium" : "border-gray-200 text-gray-400"}`}
+                  aria-current={index === step ? "step" : undefined}
+                >
+                  {index + 1}. {label}
+                </li>
+              ))}
+            </ol>
+
+            {step === 0 && (
+              <form onSubmit={handlePreview} className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Upload a CSV file with a header row, or a JSON array of tasks. Every task needs a title
+                  and a description; status, priority, dueDate, progress, labels, project and
+                  workflowStatus are optional. Separate several labels with semicolons. An export from
+                  this page can be imported as it is.
+                </p>
+                <p className="text-sm text-gray-600">
+                  You can also upload an iCalendar (.ics) file: each event or to-do becomes a task due on
+                  its date, with its categories as labels.
+                </p>
+                <input
+                  type="file"
+                  accept=".csv,.json,.ics,text/csv,application/json,text/calendar"
+                  onChange={(e) => setFile(e.target.files[0] || null)}
+                  className="block w-full text-sm"
+                  aria-label="Import file"
+                />
+                <button
+                  type="submit"
+                  disabled={!file || busy}
+                  className={`${buttonClass} bg-blue-600 text-white hover:bg-blue-700`}
+                >
+                  {busy && <FaSpinner className="mr-2 animate-spin" aria-hidden="true" />}
+                  Check file
+                </button>
+              </form>
+            )}
+
+            {step === 1 && preview && (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Nothing has been imported yet. Rows with errors are skipped; fix them in the file and
+                  check it again to include them.
+                </p>
+                <ImportSummary result={preview} />
+                <div className="flex gap-3">
+                  <button
+                    type="button"
+                    onClick={handleImport}
+                    disabled={preview.valid === 0 || busy}
+                    className={`${buttonClass} bg-blue-600 text-white hover:bg-blue-700`}
+                  >
+                    {busy
+                      ? <FaSpinner className="mr-2 animate-spin" aria-hidden="true" />
+                      : <FaFileImport className="mr-2" aria-hidden="true" />}
+                    Import {preview.valid} task{preview.valid === 1 ? "" : "s"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleReset}
+                    disabled={busy}
+                    className={`${buttonClass} border border-gray-300 bg-white hover:bg-gray-50`}
+                  >
+                    Choose another file
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {step === 2 && result && (
+              <div className="space-y-4">
+                <p className="flex items-center text-green-700 font-medium">
+                  <FaCheckCircle className="mr-2" aria-hidden="true" />
+                  {result.imported} task{result.imported === 1 ? "" : "s"} imported
+                </p>
+                <ImportSummary result={result} />
+                <div className="flex gap-3">
+                  <Link
+                    to="/user/task-filter"
+                    className={`${buttonClass} bg-blue-600 text-white hover:bg-blue-700`}
+                  >
+                    View tasks
+                  </Link>
+                  <button
+                    type="button"
+                    onClick={handleReset}
+                    className={`${buttonClass} border border-gray-300 bg-white hover:bg-gray-50`}
+                  >
+                    Import another file
+                  </button>
+                </div>
+              </div>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportTasksPage;
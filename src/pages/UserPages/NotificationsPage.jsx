@@ -1,35 +1,31 @@
-import React, { useEffect, useState } from "react";
-import UserSidebar from "./UserSidebar"; 
+import React, { useState } from "react";
+import { FaBell, FaCheck, FaEnvelope, FaSpinner, FaTrash } from "react-icons/fa";
+import { useNotifications } from "../../contexts/NotificationContext";
+import UserSidebar from "./UserSidebar";
 
 const NotificationsPage = () => {
-  const [notifications, setNotifications] = useState([]);
+  const {
+    notifications,
+    unreadCount,
+    loading,
+    hasMore,
+    loadMore,
+    markRead,
+    markAllRead,
+    deleteNotification,
+  } = useNotifications();
+  const [error, setError] = useState(null);
 
-  useEffect(() => {
-    const storedTasks = JSON.parse(localStorage.getItem("tasks")) || [];
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    let newNotifications = [];
-
-    storedTasks.forEach((task) => {
-      const taskDate = new Date(task.deadline);
-      taskDate.setHours(0, 0, 0, 0);
-
-      // 🔴 Deadline is today
-      if (taskDate.getTime() === today.getTime()) {
-        newNotifications.push(`🚨 Task "${task.title}" is due today!`);
-      }
-
-      // ⏳ Deadline is tomorrow
-      const tomorrow = new Date(today);
-      tomorrow.setDate(today.getDate() + 1);
-      if (taskDate.getTime() === tomorrow.getTime()) {
-        newNotifications.push(`⏳ Task "${task.title}" is due tomorrow!`);
-      }
-    });
-
-    setNotifications(newNotifications);
-  }, []);
+  // Run a notification action and show its error, if any
+  const run = async (action) => {
+    try {
+      setError(null);
+      await action();
+    } catch (err) {
+      console.error("Error updating notifications:", err);
+      setError(err.message || "Failed to update notifications");
+    }
+  };
 
   return (
     <div className="flex min-h-screen bg-gray-100">
@@ -37,24 +33,77 @@ const NotificationsPage = () => {
       <UserSidebar />
 
       {/* Main Content */}
-      <div className="flex-1 flex flex-col items-center justify-center p-6">
+      <div className="flex-1 flex flex-col items-center p-6">
         <div className="bg-white p-6 rounded-lg shadow-md w-full max-w-3xl">
-          <h2 className="text-2xl font-bold mb-4 text-center">📢 Notifications</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-bold">📢 Notifications</h2>
+            <button
+              onClick={() => run(markAllRead)}
+              disabled={unreadCount === 0}
+              className="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+            >
+              Mark all as read
+            </button>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 border-l-4 border-red-400 text-red-700 text-sm" role="alert">
+              {error}
+            </div>
+          )}
 
           {notifications.length === 0 ? (
-            <p className="text-gray-500 text-center">No new notifications</p>
+            <p className="text-gray-500 text-center">
+              {loading ? "Loading notifications..." : "No notifications"}
+            </p>
           ) : (
             <ul className="space-y-3">
-              {notifications.map((message, index) => (
+              {notifications.map((notification) => (
                 <li
-                  key={index}
-                  className="p-4 bg-blue-50 border-l-4 border-blue-500 rounded shadow-sm text-gray-800"
+                  key={notification._id}
+                  className={`flex items-start gap-3 p-4 border-l-4 rounded shadow-sm text-gray-800 ${
+                    notification.readAt ? "bg-gray-50 border-gray-300" : "bg-blue-50 border-blue-500"
+                  }`}
                 >
-                  {message}
+                  <FaBell className={`mt-1 ${notification.readAt ? "text-gray-400" : "text-blue-500"}`} aria-hidden="true" />
+                  <div className="flex-1 min-w-0">
+                    <p className={notification.readAt ? "" : "font-semibold"}>{notification.title}</p>
+                    {notification.message && <p className="text-sm text-gray-600 break-words">{notification.message}</p>}
+                    <p className="text-xs text-gray-400 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                  </div>
+                  <button
+                    onClick={() => run(() => markRead(notification._id, !notification.readAt))}
+                    className="p-1 text-gray-500 hover:text-blue-600"
+                    aria-label={notification.readAt ? "Mark as unread" : "Mark as read"}
+                    title={notification.readAt ? "Mark as unread" : "Mark as read"}
+                  >
+                    {notification.readAt ? <FaEnvelope /> : <FaCheck />}
+                  </button>
+                  <button
+                    onClick={() => run(() => deleteNotification(notification._id))}
+                    className="p-1 text-gray-500 hover:text-red-600"
+                    aria-label="Delete notification"
+                    title="Delete"
+                  >
+                    <FaTrash />
+                  </button>
                 </li>
               ))}
             </ul>
           )}
+
+          {hasMore && (
+            <div className="mt-4 text-center">
+              <button
+                onClick={() => run(loadMore)}
+                disabled={loading}
+                className="inline-flex items-center px-4 py-2 text-sm text-blue-600 hover:text-blue-800"
+              >
+                {loading && <FaSpinner className="mr-2 animate-spin" aria-hidden="true" />}
+                Load more
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
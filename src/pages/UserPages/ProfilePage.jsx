@@ -1,5 +1,8 @@
 import React, { useState } from "react";
 import UserSidebar from "./UserSidebar";
+import CalendarFeedSettings from "../../components/user/CalendarFeedSettings";
+import DigestSettings from "../../components/user/DigestSettings";
+import SessionsSettings from "../../components/user/SessionsSettings";
 
 const ProfilePage = () => {
   // Load stored profile data
@@ -184,6 +187,10 @@ const ProfilePage = () => {
               Save Profile
             </button>
           </div>
+
+          <CalendarFeedSettings />
+          <DigestSettings />
+          <SessionsSettings />
         </div>
       </div>
     </div>
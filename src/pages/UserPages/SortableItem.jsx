@@ -3,9 +3,9 @@ import { useSortable } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
 
 const priorityColors = {
-  High: "bg-red-100 hover:bg-red-300",
-  Medium: "bg-yellow-100 hover:bg-yellow-300",
-  Low: "bg-green-100 hover:bg-green-300",
+  high: "bg-red-100 hover:bg-red-300",
+  medium: "bg-yellow-100 hover:bg-yellow-300",
+  low: "bg-green-100 hover:bg-green-300",
 };
 
 const SortableItem = ({ id, task }) => {
@@ -28,7 +28,9 @@ const SortableItem = ({ id, task }) => {
     >
       <p className="font-semibold">{task.title}</p>
       <p className="text-sm text-gray-700">{task.description}</p> {/* Description instead of priority */}
-      <p className="text-xs text-gray-600">Deadline: {task.deadline}</p>
+      {task.dueDate && (
+        <p className="text-xs text-gray-600">Deadline: {new Date(task.dueDate).toLocaleDateString()}</p>
+      )}
     </div>
   );
 };
@@ -2,9 +2,16 @@ import React, { useCallback, useEffect, useRef, useState } from "react";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import { useAuth } from "../../contexts/AuthContext";
+import { useProjects } from "../../contexts/ProjectContext";
+import AttachmentList from "../../components/tasks/AttachmentList";
+import { useServerEvents } from "../../hooks/useServerEvents";
 import { taskAPI } from "../../utils/api";
+import { TASK_EVENTS } from "../../utils/serverEvents";
 import UserSidebar from "./UserSidebar";
 
+// Reload once a burst of live task events (e.g. a bulk update) has settled
+const LIVE_RELOAD_DELAY_MS = 300;
+
 // Custom debounce hook
 const useDebounce = (callback, delay) => {
   const timeoutRef = useRef(null);
@@ -44,9 +51,10 @@ const UserPage = () => {
   });
 
   const { user, isAuthenticated } = useAuth();
+  const { currentProject, currentProjectId } = useProjects();
 
-  // Load tasks from server API
-  const loadTasks = async () => {
+  // Load tasks from server API; a quiet load keeps showing the current tasks
+  const loadTasks = async ({ quiet = false } = {}) => {
     if (!isAuthenticated) {
       setTasks([]);
       setLoading(false);
@@ -54,8 +62,8 @@ const UserPage = () => {
     }
 
     try {
-      setLoading(true);
-      const response = await taskAPI.getTasks();
+      if (!quiet) setLoading(true);
+      const response = await taskAPI.getTasks({ projectId: currentProjectId });
       
       if (response.success) {
         setTasks(response.data);
@@ -73,7 +81,10 @@ const UserPage = () => {
 
   useEffect(() => {
     loadTasks();
-  }, [isAuthenticated]);
+  }, [isAuthenticated, currentProjectId]);
+
+  // Reload when tasks change in another tab or for another user
+  useServerEvents(TASK_EVENTS, () => loadTasks({ quiet: true }), LIVE_RELOAD_DELAY_MS);
 
   // Handle Task Creation
   const handleCreateTask = async (e) => {
@@ -89,7 +100,9 @@ const UserPage = () => {
         description: newTask.description.trim(),
         priority: newTask.priority.toLowerCase(),
         dueDate: newTask.dueDate || null,
-        progress: newTask.progress || 0
+        progress: newTask.progress || 0,
+        // New tasks go into the project selected in the sidebar
+        projectId: currentProject?._id || null
       };
 
       const response = await taskAPI.createTask(taskData);
@@ -125,7 +138,7 @@ const UserPage = () => {
       if (response.success) {
         // Remove task from local state
         setTasks(prevTasks => prevTasks.filter(task => task._id !== taskId));
-        toast.error("Task removed successfully!", { icon: "🗑️" });
+        toast.error("Task moved to trash", { icon: "🗑️" });
       } else {
         throw new Error(response.message || 'Failed to delete task');
       }
@@ -244,6 +257,12 @@ const UserPage = () => {
         {/* Task Creation Box */}
         <div className="p-6 mb-8 w-full max-w-lg bg-white rounded-lg border border-gray-200 shadow-lg">
           <h2 className="mb-4 text-2xl font-semibold text-gray-800">Create a New Task</h2>
+          {currentProject && (
+            <p className="mb-4 text-sm text-gray-600">
+              In project{" "}
+              <span className="font-semibold" style={{ color: currentProject.color }}>{currentProject.name}</span>
+            </p>
+          )}
           <form onSubmit={handleCreateTask} className="space-y-4">
             <div>
               <label className="block text-sm font-medium text-gray-700">Task Title</label>
@@ -376,6 +395,8 @@ const UserPage = () => {
                       max="100"
                       value={task.progress || 0}
                       onChange={(e) => updateProgress(task._id, e.target.value)}
+                      disabled={task.subtasks?.length > 0}
+                      title={task.subtasks?.length > 0 ? 'Progress is calculated from the checklist' : undefined}
                       className={`mt-2 w-full ${getProgressBarColor(task.progress || 0)} transition-all duration-200`}
                       style={{
                         background: `linear-gradient(to right, 
@@ -388,6 +409,10 @@ const UserPage = () => {
                     <div className="mt-1 text-xs text-gray-500">
                       {progressUpdating[task._id] ? (
                         <span className="text-blue-600">Updating progress...</span>
+                      ) : task.subtasks?.length > 0 ? (
+                        <span>
+                          {task.subtasks.filter(subtask => subtask.done).length} of {task.subtasks.length} checklist items done
+                        </span>
                       ) : (
                         <span>
                           {task.progress === 0 && "Not started"}
@@ -401,6 +426,18 @@ const UserPage = () => {
                     </div>
                   </div>
 
+                  {/* Attachments */}
+                  <AttachmentList
+                    taskId={task._id}
+                    attachments={task.attachments}
+                    onChange={(attachments) =>
+                      setTasks(prevTasks =>
+                        prevTasks.map(t => t._id === task._id ? { ...t, attachments } : t)
+                      )
+                    }
+                    onError={(message) => toast.error(message)}
+                  />
+
                   {/* Delete Button */}
                   <button
                     onClick={() => handleDeleteTask(task._id)}
@@ -1,9 +1,17 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import { Link, useLocation } from "react-router-dom";
-import { FaChartBar, FaTasks, FaCalendarAlt, FaBell, FaUser } from "react-icons/fa";
+import { FaChartBar, FaTasks, FaCalendarAlt, FaBell, FaUser, FaPlus, FaFileImport, FaBookmark } from "react-icons/fa";
+import { useProjects } from "../../contexts/ProjectContext";
+import { viewAPI } from "../../utils/api";
+import { viewPath } from "../../utils/taskFilters";
 
 const UserSidebar = () => {
   const location = useLocation();
+  const { projects, currentProjectId, selectProject, createProject } = useProjects();
+  const [showNewProject, setShowNewProject] = useState(false);
+  const [newProject, setNewProject] = useState({ name: "", color: "#6366f1" });
+  const [projectError, setProjectError] = useState("");
+  const [views, setViews] = useState([]);
 
   // Sidebar links with icons
   const menuItems = [
@@ -11,13 +19,88 @@ const UserSidebar = () => {
     { path: "/user/userpage", label: "Create Tasks", icon: <FaTasks /> },
     { path: "/user/calendar", label: "Calendar", icon: <FaCalendarAlt /> },
     { path: "/user/notifications", label: "Notifications", icon: <FaBell /> },
+    { path: "/user/import", label: "Import / Export", icon: <FaFileImport /> },
     { path: "/user/profile", label: "Profile", icon: <FaUser /> },
   ];
 
+  // Saved task filter views, shown as links below the menu
+  useEffect(() => {
+    viewAPI.getViews()
+      .then((response) => setViews(response.data || []))
+      .catch((error) => console.error("Error loading saved views:", error));
+  }, []);
+
+  // Create a project from the inline form and switch to it
+  const handleCreateProject = async (e) => {
+    e.preventDefault();
+    if (!newProject.name.trim()) return;
+
+    try {
+      await createProject({ name: newProject.name.trim(), color: newProject.color });
+      setNewProject({ name: "", color: "#6366f1" });
+      setShowNewProject(false);
+      setProjectError("");
+    } catch (error) {
+      setProjectError(error.message || "Failed to create project");
+    }
+  };
+
   return (
     <div className="w-64 min-h-screen p-6 bg-gray-900 text-white glassmorphism border-r border-gray-700">
       <h2 className="text-2xl font-extrabold text-center text-gray-100 tracking-wide mb-6">🚀 User Panel</h2>
 
+      {/* Project switcher */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-2">
+          <label htmlFor="project-switcher" className="text-sm font-semibold text-gray-300">Project</label>
+          <button
+            onClick={() => setShowNewProject((prev) => !prev)}
+            className="text-gray-300 hover:text-white"
+            aria-label="New project"
+          >
+            <FaPlus size={12} />
+          </button>
+        </div>
+        <select
+          id="project-switcher"
+          value={currentProjectId || ""}
+          onChange={(e) => selectProject(e.target.value)}
+          className="w-full p-2 rounded-lg bg-gray-800 border border-gray-700 text-white"
+        >
+          <option value="">All projects</option>
+          <option value="none">No project</option>
+          {projects.map((project) => (
+            <option key={project._id} value={project._id}>
+              {project.name}
+            </option>
+          ))}
+        </select>
+
+        {showNewProject && (
+          <form onSubmit={handleCreateProject} className="flex mt-2">
+            <input
+              type="color"
+              value={newProject.color}
+              onChange={(e) => setNewProject((prev) => ({ ...prev, color: e.target.value }))}
+              className="w-9 h-9 p-0 border border-gray-700 rounded-l-lg bg-gray-800"
+              aria-label="Project color"
+            />
+            <input
+              type="text"
+              value={newProject.name}
+              onChange={(e) => setNewProject((prev) => ({ ...prev, name: e.target.value }))}
+              placeholder="Project name"
+              maxLength={100}
+              className="flex-1 min-w-0 px-2 bg-gray-800 border-t border-b border-gray-700 text-white"
+            />
+            <button type="submit" className="px-3 rounded-r-lg bg-blue-600 hover:bg-blue-700">
+              Add
+            </button>
+          </form>
+        )}
+        {projectError && <p className="mt-1 text-xs text-red-400">{projectError}</p>}
+      </div>
+
       <ul className="space-y-3">
         {menuItems.map(({ path, label, icon }) => (
           <li key={path}>
@@ -35,6 +118,30 @@ const UserSidebar = () => {
           </li>
         ))}
       </ul>
+
+      {views.length > 0 && (
+        <div className="mt-6">
+          <h3 className="mb-2 text-sm font-semibold text-gray-300">Saved views</h3>
+          <ul className="space-y-1">
+            {views.map((view) => {
+              const path = viewPath(view);
+              return (
+                <li key={view._id}>
+                  <Link
+                    to={path}
+                    className={`flex items-center gap-3 py-2 px-5 rounded-lg transition-all duration-200 ${
+                      `${location.pathname}${location.search}` === path ? "bg-blue-600" : "hover:bg-blue-700"
+                    }`}
+                  >
+                    <FaBookmark className="text-sm text-gray-400" aria-hidden="true" />
+                    <span className="truncate">{view.name}</span>
+                  </Link>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,30 +1,102 @@
 // API Configuration
-const API_BASE_URL = "http://localhost:5050";
+export const API_BASE_URL = "http://localhost:5050";
+
+// Fired on window when the session can no longer be refreshed
+export const SESSION_EXPIRED_EVENT = "taskflow:session-expired";
+
+// Auth data kept in localStorage
+const AUTH_STORAGE_KEYS = ["token", "refreshToken", "userRole", "userId", "email", "fullName"];
+
+let refreshing = null;
+
+/**
+ * Run a token refresh while holding a lock shared by all tabs, so two tabs
+ * never spend the same refresh token (the server would take that as reuse
+ * and end the session)
+ */
+const withRefreshLock = (callback) =>
+  navigator.locks ? navigator.locks.request("taskflow-token-refresh", callback) : callback();
+
+/**
+ * Get a new access token with the stored refresh token. Concurrent calls
+ * share one refresh. When the refresh token is rejected, the stored auth
+ * data is cleared and SESSION_EXPIRED_EVENT fired.
+ *
+ * @param {string} [failedToken] - Access token the server refused; if another tab has replaced it meanwhile, no refresh is needed
+ * @returns {Promise<boolean>} Whether there is a new access token to retry with
+ */
+export const refreshAccessToken = (failedToken) => {
+  if (!refreshing) {
+    refreshing = withRefreshLock(async () => {
+      const current = localStorage.getItem("token");
+      if (failedToken && current && current !== failedToken) return true;
+
+      const refreshToken = localStorage.getItem("refreshToken");
+      if (!refreshToken) return false;
+
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refreshToken }),
+        });
+
+        if (!response.ok) {
+          if (response.status === 401) {
+            AUTH_STORAGE_KEYS.forEach((key) => localStorage.removeItem(key));
+            window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+          }
+          return false;
+        }
+
+        const data = await response.json();
+        localStorage.setItem("token", data.token);
+        localStorage.setItem("refreshToken", data.refreshToken);
+        return true;
+      } catch (error) {
+        // Offline or server down: keep the session and let the request fail
+        console.error("Token refresh failed:", error);
+        return false;
+      }
+    }).finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
 
 /**
- * Generic fetch wrapper with error handling
+ * Generic fetch wrapper with error handling. A request refused with 401 is
+ * retried once after refreshing the access token.
  */
 const apiRequest = async (url, options = {}) => {
   try {
     const token = localStorage.getItem("token");
+    const { responseType, skipRefresh, ...fetchOptions } = options;
+    // Let the browser set the multipart boundary for file uploads
+    const isFormData = fetchOptions.body instanceof FormData;
     
     const config = {
       headers: {
-        "Content-Type": "application/json",
+        ...(!isFormData && { "Content-Type": "application/json" }),
         ...(token && { Authorization: `Bearer ${token}` }),
-        ...options.headers,
+        ...fetchOptions.headers,
       },
-      ...options,
+      ...fetchOptions,
     };
 
     const response = await fetch(`${API_BASE_URL}${url}`, config);
+
+    if (response.status === 401 && token && !skipRefresh && await refreshAccessToken(token)) {
+      return apiRequest(url, { ...options, skipRefresh: true });
+    }
     
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
       throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
     }
 
-    return await response.json();
+    return responseType === "blob" ? await response.blob() : await response.json();
   } catch (error) {
     console.error("API request failed:", error);
     throw error;
@@ -49,9 +121,31 @@ export const authAPI = {
     });
   },
 
+  // Ends the session; the refresh token identifies it if the access token has expired
   logout: async () => {
     return apiRequest("/api/auth/logout", {
       method: "POST",
+      body: JSON.stringify({ refreshToken: localStorage.getItem("refreshToken") }),
+      skipRefresh: true,
+    });
+  },
+
+  // Active sessions of the current user, with device and last-seen time
+  getSessions: async () => {
+    return apiRequest("/api/auth/sessions");
+  },
+
+  // Log out one of the user's other sessions
+  revokeSession: async (jti) => {
+    return apiRequest(`/api/auth/sessions/${encodeURIComponent(jti)}`, {
+      method: "DELETE",
+    });
+  },
+
+  // Log out everywhere except this session
+  revokeOtherSessions: async () => {
+    return apiRequest("/api/auth/sessions", {
+      method: "DELETE",
     });
   },
 
@@ -71,6 +165,10 @@ export const taskAPI = {
   getTasks: async (filters = {}) => {
     const queryParams = new URLSearchParams();
     
+    if (filters.scope && filters.scope !== 'mine') {
+      queryParams.append('scope', filters.scope);
+    }
+    
     if (filters.status && filters.status !== 'all') {
       queryParams.append('status', filters.status);
     }
@@ -83,12 +181,65 @@ export const taskAPI = {
       queryParams.append('priority', filters.priority);
     }
     
+    if (filters.projectId) {
+      queryParams.append('projectId', filters.projectId);
+    }
+    
+    if (filters.labels && filters.labels.length > 0) {
+      queryParams.append('labels', filters.labels.join(','));
+      if (filters.labelMatch === 'all') {
+        queryParams.append('labelMatch', 'all');
+      }
+    }
+
+    // Due date: a preset or "none", and/or a range of YYYY-MM-DD days. Presets
+    // are evaluated in the browser's time zone
+    if (filters.due === 'none') {
+      queryParams.append('noDueDate', 'true');
+    } else {
+      if (filters.due) {
+        queryParams.append('due', filters.due);
+        queryParams.append('timeZone', Intl.DateTimeFormat().resolvedOptions().timeZone);
+      }
+      if (filters.dueAfter) {
+        queryParams.append('dueAfter', filters.dueAfter);
+      }
+      if (filters.dueBefore) {
+        queryParams.append('dueBefore', filters.dueBefore);
+      }
+    }
+
+    // Sort (e.g. "dueDate" or "-updatedAt"), page size, next page cursor and fields to return
+    if (filters.sort) {
+      queryParams.append('sort', filters.sort);
+    }
+
+    if (filters.limit) {
+      queryParams.append('limit', filters.limit);
+    }
+
+    if (filters.cursor) {
+      queryParams.append('cursor', filters.cursor);
+    }
+
+    if (filters.fields && filters.fields.length > 0) {
+      queryParams.append('fields', filters.fields.join(','));
+    }
+    
     const queryString = queryParams.toString();
     const url = `/api/tasks${queryString ? `?${queryString}` : ''}`;
     
     return apiRequest(url);
   },
 
+  // Search-as-you-type suggestions: the best matching task titles
+  suggestTasks: async (query, limit) => {
+    const queryParams = new URLSearchParams({ q: query });
+    if (limit) queryParams.append('limit', limit);
+
+    return apiRequest(`/api/tasks/suggest?${queryParams.toString()}`);
+  },
+
   // Get a specific task by ID
   getTask: async (id) => {
     return apiRequest(`/api/tasks/${id}`);
@@ -125,17 +276,421 @@ export const taskAPI = {
     });
   },
 
-  // Delete a task
+  // Move a task to the trash
   deleteTask: async (id) => {
     return apiRequest(`/api/tasks/${id}`, {
       method: "DELETE",
     });
   },
 
+  // Apply one operation (complete, reopen, set_priority, set_due_date, move_to_project, delete) to several tasks
+  bulkUpdateTasks: async (ids, operation, value) => {
+    return apiRequest("/api/tasks/bulk", {
+      method: "POST",
+      body: JSON.stringify({ ids, operation, value }),
+    });
+  },
+
+  // Get the tasks in the trash
+  getTrash: async () => {
+    return apiRequest("/api/tasks/trash");
+  },
+
+  // Restore a task from the trash
+  restoreTask: async (id) => {
+    return apiRequest(`/api/tasks/${id}/restore`, {
+      method: "POST",
+    });
+  },
+
+  // Download all of the user's tasks as a CSV or JSON Blob
+  exportTasks: async (format = "csv") => {
+    return apiRequest(`/api/tasks/export?format=${format}`, {
+      responseType: "blob",
+    });
+  },
+
+  // Import tasks from a CSV, JSON or iCalendar file; with dryRun only validates the rows
+  importTasks: async (file, { dryRun = false, format } = {}) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    if (format) formData.append("format", format);
+    formData.append("dryRun", String(dryRun));
+
+    return apiRequest("/api/tasks/import", {
+      method: "POST",
+      body: formData,
+    });
+  },
+
   // Get task statistics
   getTaskStats: async () => {
     return apiRequest("/api/tasks/stats/summary");
   },
+
+  // Get the activity history of a task, newest first
+  getTaskHistory: async (id, limit) => {
+    return apiRequest(`/api/tasks/${id}/history${limit ? `?limit=${limit}` : ''}`);
+  },
+
+  // Get the columns of the Kanban board
+  getColumns: async () => {
+    return apiRequest("/api/tasks/columns");
+  },
+
+  // Replace the columns of the Kanban board
+  updateColumns: async (columns) => {
+    return apiRequest("/api/tasks/columns", {
+      method: "PUT",
+      body: JSON.stringify({ columns }),
+    });
+  },
+
+  // Move a task to a column, between two of its tasks
+  moveTask: async (id, workflowStatus, prevTaskId = null, nextTaskId = null) => {
+    return apiRequest(`/api/tasks/${id}/move`, {
+      method: "PATCH",
+      body: JSON.stringify({ workflowStatus, prevTaskId, nextTaskId }),
+    });
+  },
+
+  // Add a checklist item to a task
+  addSubtask: async (taskId, title) => {
+    return apiRequest(`/api/tasks/${taskId}/subtasks`, {
+      method: "POST",
+      body: JSON.stringify({ title }),
+    });
+  },
+
+  // Rename or check/uncheck a checklist item
+  updateSubtask: async (taskId, subtaskId, updateData) => {
+    return apiRequest(`/api/tasks/${taskId}/subtasks/${subtaskId}`, {
+      method: "PUT",
+      body: JSON.stringify(updateData),
+    });
+  },
+
+  // Reorder a task's checklist
+  reorderSubtasks: async (taskId, order) => {
+    return apiRequest(`/api/tasks/${taskId}/subtasks/reorder`, {
+      method: "PATCH",
+      body: JSON.stringify({ order }),
+    });
+  },
+
+  // Remove a checklist item
+  deleteSubtask: async (taskId, subtaskId) => {
+    return apiRequest(`/api/tasks/${taskId}/subtasks/${subtaskId}`, {
+      method: "DELETE",
+    });
+  },
+};
+
+/**
+ * Task comment API calls
+ */
+export const commentAPI = {
+  // Get the comment threads of a task
+  getComments: async (taskId) => {
+    return apiRequest(`/api/tasks/${taskId}/comments`);
+  },
+
+  // Add a comment, or a reply when parentId is given
+  addComment: async (taskId, body, parentId = null) => {
+    return apiRequest(`/api/tasks/${taskId}/comments`, {
+      method: "POST",
+      body: JSON.stringify({ body, parentId }),
+    });
+  },
+
+  // Edit a comment
+  updateComment: async (taskId, commentId, body) => {
+    return apiRequest(`/api/tasks/${taskId}/comments/${commentId}`, {
+      method: "PUT",
+      body: JSON.stringify({ body }),
+    });
+  },
+
+  // Delete a comment
+  deleteComment: async (taskId, commentId) => {
+    return apiRequest(`/api/tasks/${taskId}/comments/${commentId}`, {
+      method: "DELETE",
+    });
+  },
+};
+
+/**
+ * Task attachment API calls
+ */
+export const attachmentAPI = {
+  // List the attachments of a task
+  getAttachments: async (taskId) => {
+    return apiRequest(`/api/tasks/${taskId}/attachments`);
+  },
+
+  // Upload one or more files to a task
+  uploadAttachments: async (taskId, files) => {
+    const formData = new FormData();
+    Array.from(files).forEach((file) => formData.append("files", file));
+
+    return apiRequest(`/api/tasks/${taskId}/attachments`, {
+      method: "POST",
+      body: formData,
+    });
+  },
+
+  // Download an attachment as a Blob
+  downloadAttachment: async (taskId, attachmentId) => {
+    return apiRequest(`/api/tasks/${taskId}/attachments/${attachmentId}/download`, {
+      responseType: "blob",
+    });
+  },
+
+  // Delete an attachment
+  deleteAttachment: async (taskId, attachmentId) => {
+    return apiRequest(`/api/tasks/${taskId}/attachments/${attachmentId}`, {
+      method: "DELETE",
+    });
+  },
+};
+
+/**
+ * Label API calls
+ */
+export const labelAPI = {
+  // Get the current user's labels
+  getLabels: async () => {
+    return apiRequest("/api/labels");
+  },
+
+  // Create a label
+  createLabel: async (labelData) => {
+    return apiRequest("/api/labels", {
+      method: "POST",
+      body: JSON.stringify(labelData),
+    });
+  },
+
+  // Rename or recolor a label
+  updateLabel: async (id, labelData) => {
+    return apiRequest(`/api/labels/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(labelData),
+    });
+  },
+
+  // Delete a label (also removes it from tasks)
+  deleteLabel: async (id) => {
+    return apiRequest(`/api/labels/${id}`, {
+      method: "DELETE",
+    });
+  },
+};
+
+/**
+ * Saved view API calls
+ */
+export const viewAPI = {
+  // Get the current user's saved task list views
+  getViews: async () => {
+    return apiRequest("/api/views");
+  },
+
+  // Save filters and sort under a name
+  createView: async (viewData) => {
+    return apiRequest("/api/views", {
+      method: "POST",
+      body: JSON.stringify(viewData),
+    });
+  },
+
+  // Rename a view or replace its filters
+  updateView: async (id, viewData) => {
+    return apiRequest(`/api/views/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(viewData),
+    });
+  },
+
+  // Delete a view
+  deleteView: async (id) => {
+    return apiRequest(`/api/views/${id}`, {
+      method: "DELETE",
+    });
+  },
+};
+
+/**
+ * Notification API calls
+ */
+export const notificationAPI = {
+  // Get notifications newest first; pass nextCursor for the next page
+  getNotifications: async ({ unread, limit, cursor } = {}) => {
+    const queryParams = new URLSearchParams();
+    if (unread) queryParams.append("unread", "true");
+    if (limit) queryParams.append("limit", limit);
+    if (cursor) queryParams.append("cursor", cursor);
+
+    const queryString = queryParams.toString();
+    return apiRequest(`/api/notifications${queryString ? `?${queryString}` : ""}`);
+  },
+
+  // Get the number of unread notifications
+  getUnreadCount: async () => {
+    return apiRequest("/api/notifications/unread-count");
+  },
+
+  // Mark a notification as read, or unread with read = false
+  markRead: async (id, read = true) => {
+    return apiRequest(`/api/notifications/${id}/read`, {
+      method: "PATCH",
+      body: JSON.stringify({ read }),
+    });
+  },
+
+  // Mark every notification as read
+  markAllRead: async () => {
+    return apiRequest("/api/notifications/read-all", {
+      method: "PATCH",
+    });
+  },
+
+  // Delete a notification
+  deleteNotification: async (id) => {
+    return apiRequest(`/api/notifications/${id}`, {
+      method: "DELETE",
+    });
+  },
+};
+
+/**
+ * Project API calls
+ */
+export const projectAPI = {
+  // Get the projects the user owns or is a member of
+  getProjects: async (archived) => {
+    return apiRequest(`/api/projects${archived ? `?archived=${archived}` : ""}`);
+  },
+
+  // Create a project
+  createProject: async (projectData) => {
+    return apiRequest("/api/projects", {
+      method: "POST",
+      body: JSON.stringify(projectData),
+    });
+  },
+
+  // Update a project (owner only)
+  updateProject: async (id, projectData) => {
+    return apiRequest(`/api/projects/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(projectData),
+    });
+  },
+
+  // Delete a project; its tasks are kept without a project
+  deleteProject: async (id) => {
+    return apiRequest(`/api/projects/${id}`, {
+      method: "DELETE",
+    });
+  },
+};
+
+/**
+ * Calendar feed API calls
+ */
+export const calendarAPI = {
+  // Get the calendar feed URL (null while the feed is off)
+  getFeed: async () => {
+    return apiRequest("/api/calendar/feed");
+  },
+
+  // Turn the feed on, or replace its URL with a new one
+  regenerateFeed: async () => {
+    return apiRequest("/api/calendar/feed", {
+      method: "POST",
+    });
+  },
+
+  // Turn the feed off
+  revokeFeed: async () => {
+    return apiRequest("/api/calendar/feed", {
+      method: "DELETE",
+    });
+  },
+};
+
+/**
+ * Email digest API calls
+ */
+export const digestAPI = {
+  // Get the digest preferences (frequency, hour, weekday, timeZone)
+  getPreferences: async () => {
+    return apiRequest("/api/digest/preferences");
+  },
+
+  // Update some or all of the digest preferences
+  updatePreferences: async (preferences) => {
+    return apiRequest("/api/digest/preferences", {
+      method: "PUT",
+      body: JSON.stringify(preferences),
+    });
+  },
+
+  // Turn the digest off with the token of an unsubscribe link (no login needed)
+  unsubscribe: async (token) => {
+    return apiRequest("/api/digest/unsubscribe", {
+      method: "POST",
+      body: JSON.stringify({ token }),
+    });
+  },
+};
+
+/**
+ * Task administration API calls (Admin only)
+ */
+export const adminTaskAPI = {
+  // Get all tasks with filtering and pagination
+  getTasks: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        queryParams.append(key, value);
+      }
+    });
+
+    const queryString = queryParams.toString();
+    return apiRequest(`/api/admin/tasks${queryString ? `?${queryString}` : ''}`);
+  },
+
+  // Get the users tasks can be assigned to
+  getUsers: async () => {
+    return apiRequest("/api/admin/tasks/users");
+  },
+
+  // Replace the assignees of a task
+  updateAssignees: async (id, assignees) => {
+    return apiRequest(`/api/admin/tasks/${id}/assignees`, {
+      method: "PUT",
+      body: JSON.stringify({ assignees }),
+    });
+  },
+
+  // Set the completion status of a task
+  updateStatus: async (id, status) => {
+    return apiRequest(`/api/admin/tasks/${id}/status`, {
+      method: "PATCH",
+      body: JSON.stringify({ status }),
+    });
+  },
+
+  // Move any task to its creator's trash
+  deleteTask: async (id) => {
+    return apiRequest(`/api/admin/tasks/${id}`, {
+      method: "DELETE",
+    });
+  },
 };
 
 /**
@@ -174,6 +729,13 @@ export const userLogAPI = {
     return apiRequest(url);
   },
 
+  // Kill the session of an active login log
+  revokeSession: async (id) => {
+    return apiRequest(`/api/admin/user-logs/${id}/revoke`, {
+      method: "POST",
+    });
+  },
+
   // Delete a specific user log
   deleteLog: async (id) => {
     return apiRequest(`/api/admin/user-logs/${id}`, {
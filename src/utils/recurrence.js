@@ -0,0 +1,26 @@
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+// Human readable summary of a task recurrence rule, e.g. "Every 2 weeks on Mon, Thu"
+export const describeRecurrence = (rule) => {
+  if (!rule) return '';
+
+  const interval = rule.interval || 1;
+  const unit = UNITS[rule.frequency];
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (rule.frequency === 'weekly' && rule.weekdays?.length) {
+    text += ` on ${rule.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  }
+  if (rule.frequency === 'monthly' && rule.dayOfMonth) {
+    text += ` on day ${rule.dayOfMonth}`;
+  }
+  if (rule.until) {
+    text += ` until ${new Date(rule.until).toLocaleDateString()}`;
+  } else if (rule.count) {
+    text += `, ${rule.count} times`;
+  }
+
+  return text;
+};
@@ -0,0 +1,83 @@
+// Live events from the server (GET /api/events). Every subscriber in a tab
+// shares one EventSource, opened with the current token on the first
+// subscription and closed after the last one.
+
+import { API_BASE_URL, refreshAccessToken } from './api';
+
+// Events for any change to a task the user can see
+export const TASK_EVENTS = ['task.created', 'task.updated', 'task.deleted'];
+
+// Wait before reopening a stream the server refused, e.g. for an expired token
+const RETRY_MS = 5000;
+
+// Event type -> Set of handlers
+const handlers = new Map();
+let source = null;
+let sourceToken = null;
+let retryTimer = null;
+
+const dispatch = (event) => {
+  let data;
+  try {
+    data = JSON.parse(event.data);
+  } catch {
+    return;
+  }
+  handlers.get(event.type)?.forEach((handler) => handler(data, event.type));
+};
+
+const close = () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  source?.close();
+  source = null;
+  sourceToken = null;
+};
+
+const connect = () => {
+  close();
+  const token = localStorage.getItem('token');
+  if (!token || handlers.size === 0) return;
+
+  const stream = new EventSource(`${API_BASE_URL}/api/events?token=${encodeURIComponent(token)}`);
+  handlers.forEach((_, type) => stream.addEventListener(type, dispatch));
+  // The browser reconnects dropped streams itself but gives up on refused
+  // ones, e.g. once the access token expired; refresh the token and reopen
+  stream.onerror = () => {
+    if (stream === source && stream.readyState === EventSource.CLOSED) {
+      retryTimer = setTimeout(() => refreshAccessToken(token).finally(connect), RETRY_MS);
+    }
+  };
+  source = stream;
+  sourceToken = token;
+};
+
+/**
+ * Call a handler for every server event of a type
+ * @param {string} type - Event type, e.g. "task.updated"
+ * @param {Function} handler - Called with (data, type)
+ * @returns {Function} Call to unsubscribe
+ */
+export const subscribe = (type, handler) => {
+  if (!handlers.has(type)) {
+    handlers.set(type, new Set());
+    source?.addEventListener(type, dispatch);
+  }
+  handlers.get(type).add(handler);
+
+  // Open the stream, or reopen it after the user signed in again
+  if (sourceToken !== localStorage.getItem('token') || (!source && !retryTimer)) {
+    connect();
+  }
+
+  return () => {
+    const typeHandlers = handlers.get(type);
+    if (!typeHandlers) return;
+    typeHandlers.delete(handler);
+    if (typeHandlers.size === 0) {
+      handlers.delete(type);
+      source?.removeEventListener(type, dispatch);
+    }
+    if (handlers.size === 0) close();
+  };
+};
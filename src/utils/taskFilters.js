@@ -0,0 +1,70 @@
+// Task list filters and their URL form. The task filter page keeps its
+// filters in the query string, so saved views and shared links are plain URLs.
+
+export const DEFAULT_FILTERS = {
+  scope: 'mine',
+  projectId: '',
+  status: 'all',
+  priority: '',
+  search: '',
+  labels: [],
+  labelMatch: 'any',
+  // Preset (overdue, today, thisWeek, next7days) or none for tasks without a due date
+  due: '',
+  // YYYY-MM-DD days, both included
+  dueAfter: '',
+  dueBefore: '',
+  // Empty leaves the order to the server: best match first when searching, newest first otherwise
+  sort: ''
+};
+
+const CHOICES = {
+  scope: ['mine', 'created', 'assigned'],
+  status: ['all', 'complete', 'incomplete'],
+  priority: ['', 'low', 'medium', 'high'],
+  labelMatch: ['any', 'all'],
+  due: ['', 'overdue', 'today', 'thisWeek', 'next7days', 'none']
+};
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Query string of the filters that differ from the defaults, e.g. "status=incomplete&priority=high"
+export const filtersToQuery = (filters) => {
+  const params = new URLSearchParams();
+
+  Object.keys(DEFAULT_FILTERS).forEach(key => {
+    const value = filters[key] ?? DEFAULT_FILTERS[key];
+    if (key === 'labels') {
+      if (value.length > 0) params.set('labels', value.join(','));
+    } else if (value !== DEFAULT_FILTERS[key]) {
+      params.set(key, value);
+    }
+  });
+
+  return params.toString();
+};
+
+// Filters read from URL search params; unknown or invalid values fall back to the defaults
+export const filtersFromParams = (params) => {
+  const filters = { ...DEFAULT_FILTERS };
+
+  Object.keys(DEFAULT_FILTERS).forEach(key => {
+    const value = params.get(key);
+    if (value === null) return;
+
+    if (key === 'labels') {
+      filters.labels = value.split(',').filter(Boolean);
+    } else if (key === 'dueAfter' || key === 'dueBefore') {
+      if (DAY_PATTERN.test(value)) filters[key] = value;
+    } else if (!CHOICES[key] || CHOICES[key].includes(value)) {
+      filters[key] = value;
+    }
+  });
+
+  return filters;
+};
+
+// Link to the task filter page showing a saved view
+export const viewPath = (view) => {
+  const query = filtersToQuery(view.filters);
+  return `/user/task-filter${query ? `?${query}` : ''}`;
+};